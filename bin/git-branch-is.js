@@ -7,27 +7,1579 @@
 'use strict';
 
 const {Command} = require('commander');
+const fs = require('fs');
+const path = require('path');
 
 const gitBranchIs = require('..');
+const {compileConvention, loadConvention} = require('../lib/conventions');
+const {compileRegExp} = require('../lib/errors');
+const {
+  EXPORT_FORMATS,
+  formatAssignments,
+  slugify
+} = require('../lib/export');
+const {
+  HOOK_NAMES,
+  formatHookBlock,
+  installHook,
+  shellQuote,
+  uninstallHook
+} = require('../lib/hooks');
+const {matchBranch: matchBranchName} = require('../lib/match');
+const {
+  compileRefRules,
+  getOperation,
+  getRefName,
+  parsePrePushInput,
+  parsePreReceiveInput,
+  parseUpdateArgs
+} = require('../lib/ref-updates');
+const {compileRule} = require('../lib/rules');
+const {compileTagTest} = require('../lib/tags');
+const {
+  DEFAULT_VERSION_PATTERN,
+  checkBranchVersion
+} = require('../lib/version');
+const {wildmatchToRegExp} = require('../lib/wildmatch');
 const packageJson = require('../package.json');
 
+/** Exit code when HEAD is detached and the caller did not allow it. */
+const EXIT_DETACHED = 3;
+
+/** Exit code when checking the upstream of a branch without one. */
+const EXIT_NO_UPSTREAM = 4;
+
+/** Exit code when the directory is not in a git repository. */
+const EXIT_NOT_REPOSITORY = 5;
+
+/** Exit code when the git executable can not be found. */
+const EXIT_GIT_NOT_FOUND = 6;
+
+/** Exit code when git did not finish within <code>--timeout</code>. */
+const EXIT_TIMEOUT = 7;
+
+/** Exit code when git failed for another reason. */
+const EXIT_GIT_FAILED = 8;
+
+/** Usage of the <code>install-hook</code> and <code>uninstall-hook</code>
+ * subcommands.
+ */
+const HOOK_USAGE = `Usage: git-branch-is install-hook [--hook <name>]... \
+[--hook-command <command>] [-C <path>] [--] <git-branch-is arguments...>
+       git-branch-is uninstall-hook [--hook <name>]... [-C <path>]
+
+Hook names: ${HOOK_NAMES.join(', ')} (default: pre-commit for install-hook, \
+all for uninstall-hook)
+`;
+
 function collect(arg, args) {
   args.push(arg);
   return args;
 }
 
-/** Result from command entry points.
- *
- * @typedef {{
- *   code: (?number|undefined),
- *   stdout: (?string|undefined),
- *   stderr: (?string|undefined)
- * }} CommandResult
- * @property {?number=} code Exit code for the command.
- * @property {?string=} stdout Content to write to stdout.
- * @property {?string=} stderr Content to write to stderr.
- */
-
+/** Gets the exit code for an <code>Error</code> which occurred while running
+ * the command.
+ *
+ * @param {!Error} err Error which occurred.
+ * @return {number} Exit code for <code>err</code>.
+ */
+function getErrorExitCode(err) {
+  return err instanceof gitBranchIs.InvalidPatternError ? 2
+    : err instanceof gitBranchIs.DetachedHeadError ? EXIT_DETACHED
+      : err instanceof gitBranchIs.NotARepositoryError ? EXIT_NOT_REPOSITORY
+        : err instanceof gitBranchIs.GitNotFoundError ? EXIT_GIT_NOT_FOUND
+          : err instanceof gitBranchIs.TimeoutError
+            || err instanceof gitBranchIs.AbortError ? EXIT_TIMEOUT
+            // execFile errors have the (numeric) exit code of git
+            : typeof err.code === 'number' ? EXIT_GIT_FAILED
+              : 1;
+}
+
+/** Describes a detached HEAD for messages.
+ *
+ * @param {!HeadState} head State of HEAD.
+ * @return {string} Description of HEAD.
+ */
+function describeDetached(head) {
+  let desc = `HEAD is detached at ${head.commit}`;
+  if (head.tags && head.tags.length > 0) {
+    desc += ` (tag ${head.tags.join(', ')})`;
+  }
+  return desc;
+}
+
+/** Gets the name of the current branch to compare with expected names.
+ *
+ * @param {!HeadState} head State of HEAD with a non-null branch.
+ * @param {boolean=} fullName Get the full name of the branch (e.g.
+ * <code>refs/heads/main</code>).
+ * @return {string} Name of the current branch.
+ */
+function getBranchName(head, fullName) {
+  return !fullName ? head.branch : head.ref || `refs/heads/${head.branch}`;
+}
+
+/** Describes the current branch, including where it came from, for messages.
+ *
+ * @param {!HeadState} head State of HEAD with a non-null branch.
+ * @param {boolean=} fullName Describe the full name of the branch.
+ * @return {string} Quoted branch name with source, if not from HEAD.
+ */
+function describeBranch(head, fullName) {
+  let desc = `"${getBranchName(head, fullName)}"`;
+  if (head.ci) {
+    desc += ` (from ${head.ci.variable} on ${head.ci.provider}`;
+    if (head.ci.pullRequest) {
+      desc += ' pull request';
+      if (head.ci.targetBranch) {
+        desc += ` into "${head.ci.targetBranch}"`;
+      }
+    }
+    desc += ')';
+  } else if (head.detached && head.operation) {
+    desc += ` (during ${head.operation})`;
+  }
+  return desc;
+}
+
+/** Compiles a pattern for matching branch names according to the command
+ * options.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {string} pattern Pattern to compile.
+ * @return {!RegExp} RegExp for <code>pattern</code>.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If
+ * <code>pattern</code> is not valid.
+ */
+function compilePattern(command, pattern) {
+  return command.glob ? wildmatchToRegExp(pattern, command.ignoreCase)
+    : compileRegExp(pattern, command.ignoreCase ? 'i' : undefined);
+}
+
+/** Creates the result for an invalid pattern.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {string} pattern Invalid pattern.
+ * @param {!Error} err Error from compiling <code>pattern</code>.
+ * @return {!CommandResult} Command result.
+ */
+function invalidPatternResult(command, pattern, err) {
+  return {
+    code: 2,
+    stderr: `Error: Invalid ${
+      command.semver ? 'semver range' : command.glob ? 'glob' : 'RegExp'} "${
+      pattern}": ${err}\n`
+  };
+}
+
+/** Creates the result for a current branch without an upstream.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!HeadState} head State of HEAD.
+ * @return {!CommandResult} Command result.
+ */
+function noUpstreamResult(command, head) {
+  const currentDesc = describeBranch(head);
+  return {
+    code: EXIT_NO_UPSTREAM,
+    stderr: command.quiet ? null
+      : `Error: Current branch ${currentDesc} has no upstream configured.\n`
+  };
+}
+
+/** Checks the upstream of the current branch against the expected upstream.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches and upstream.
+ * @param {!HeadState} head State of HEAD.
+ * @param {!CommandResult} branchResult Successful result of checking the
+ * current branch.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkUpstream(command, expectation, head, branchResult, callback) {
+  gitBranchIs.getUpstream(command, (err, upstream) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const expected = command.upstream;
+    if (upstream === null) {
+      callback(null, noUpstreamResult(command, head));
+      return;
+    }
+
+    const {upstreamRegExp} = expectation;
+    let isMatch = upstreamRegExp ? upstreamRegExp.test(upstream)
+      : upstream === expected
+        || (command.ignoreCase
+            && upstream.toUpperCase() === expected.toUpperCase());
+    if (command.invertMatch) {
+      isMatch = !isMatch;
+    }
+
+    let errMsg;
+    if (!isMatch && !command.quiet) {
+      if (upstreamRegExp) {
+        errMsg = command.invertMatch
+          ? `Upstream "${upstream}" matches "${expected}".\n`
+          : `Upstream "${upstream}" does not match "${expected}".\n`;
+      } else {
+        errMsg = command.invertMatch
+          ? `Upstream is "${upstream}".\n`
+          : `Upstream is "${upstream}", not "${expected}".\n`;
+      }
+    }
+
+    callback(null, {
+      code: isMatch ? 0 : 1,
+      stderr: errMsg && `Error: ${errMsg}`,
+      stdout: isMatch && command.verbose
+        ? `${branchResult.stdout || ''}Upstream is "${upstream}".\n`
+        : null
+    });
+  });
+}
+
+/** Describes the numbers of commits by which a branch is ahead of and behind
+ * a ref, for messages.
+ *
+ * @private
+ * @param {number} ahead Number of commits ahead of <code>ref</code>.
+ * @param {number} behind Number of commits behind <code>ref</code>.
+ * @param {string} ref Ref to which the branch was compared.
+ * @return {string} Description of the branch relative to <code>ref</code>.
+ */
+function describeAheadBehind(ahead, behind, ref) {
+  const parts = [];
+  if (ahead > 0) {
+    parts.push(`${ahead} commit${ahead === 1 ? '' : 's'} ahead of`);
+  }
+  if (behind > 0) {
+    parts.push(`${behind} commit${behind === 1 ? '' : 's'} behind`);
+  }
+  return parts.length === 0 ? `is up to date with "${ref}"`
+    : `is ${parts.join(' and ')} "${ref}"`;
+}
+
+/** Checks that the current branch is not ahead of and/or behind its upstream
+ * or the ref given by <code>--against</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches and upstream.
+ * @param {!HeadState} head State of HEAD.
+ * @param {!CommandResult} prevResult Successful result of the previous
+ * checks.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkAheadBehind(command, expectation, head, prevResult, callback) {
+  const ref = command.against || null;
+  gitBranchIs.getAheadBehind(ref, command, (err, counts) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (counts === null) {
+      callback(null, noUpstreamResult(command, head));
+      return;
+    }
+
+    const currentDesc = describeBranch(head);
+    const checkAhead = command.notAhead || command.upToDate;
+    const checkBehind = command.notBehind || command.upToDate;
+    const ahead = checkAhead ? counts.ahead : 0;
+    const behind = checkBehind ? counts.behind : 0;
+    const isMatch = ahead === 0 && behind === 0;
+    callback(null, {
+      code: isMatch ? 0 : 1,
+      stderr: !isMatch && !command.quiet
+        ? `Error: Current branch ${currentDesc} ${
+          describeAheadBehind(ahead, behind, counts.ref)}.\n`
+        : null,
+      stdout: isMatch && command.verbose
+        ? `${prevResult.stdout || ''}Current branch ${currentDesc} ${
+          describeAheadBehind(counts.ahead, counts.behind, counts.ref)}.\n`
+        : null
+    });
+  });
+}
+
+/** Checks that the version in the name of the current branch is compatible
+ * with the version in the closest <code>package.json</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches and version pattern.
+ * @param {!HeadState} head State of HEAD.
+ * @param {!CommandResult} prevResult Successful result of the previous
+ * checks.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkVersion(command, expectation, head, prevResult, callback) {
+  gitBranchIs.getPackageVersion(command, (err, packageVersion) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (packageVersion === null) {
+      callback(null, {
+        code: 2,
+        stderr: command.quiet ? null
+          : 'Error: No package.json found for --matches-version.\n'
+      });
+      return;
+    }
+
+    const {filepath, version} = packageVersion;
+    const failure = checkBranchVersion(
+      getBranchName(head),
+      version,
+      expectation.versionRegExp
+    );
+    const currentDesc = describeBranch(head);
+    const versionDesc = `version ${version} in ${filepath}`;
+    callback(null, {
+      code: failure === null ? 0 : 1,
+      stderr: failure !== null && !command.quiet
+        ? `Error: Current branch ${currentDesc} does not match ${
+          versionDesc}: ${failure}.\n`
+        : null,
+      stdout: failure === null && command.verbose
+        ? `${prevResult.stdout || ''}Current branch ${currentDesc} matches ${
+          versionDesc}.\n`
+        : null
+    });
+  });
+}
+
+/** Expected branch names or rule for {@link checkHead}, tag names for
+ * {@link checkTags}, or protected refs for {@link checkPush}.
+ *
+ * @typedef {{
+ *   allowed: (Expectation|undefined),
+ *   branches: (Array<string>|undefined),
+ *   checkConvention: (function(string): ?Object|undefined),
+ *   checkRule: (function(string): ?string|undefined),
+ *   conventionExample: (string|undefined),
+ *   conventionName: (string|undefined),
+ *   regExps: (Array<!RegExp>|undefined),
+ *   ruleName: (string|undefined),
+ *   tagTests: (Array<function(string): boolean>|undefined),
+ *   upstreamRegExp: (RegExp|undefined),
+ *   versionRegExp: (RegExp|undefined)
+ * }} Expectation
+ * @property {Expectation=} allowed Expected refs which are exceptions to
+ * <code>branches</code>, for <code>--pre-push</code>.
+ * @property {Array<string>=} branches Expected branch names (or patterns).
+ * @property {(function(string): ?Object)=} checkConvention Function which
+ * returns the
+ * {@link module:git-branch-is/lib/conventions.ConventionFailure} of a branch
+ * name which does not follow the expected convention, or <code>null</code>
+ * if it does.
+ * @property {(function(string): ?string)=} checkRule Function which returns a
+ * description of why a branch name does not satisfy the expected rule, or
+ * <code>null</code> if it does.
+ * @property {string=} conventionExample Example of a branch name which
+ * follows the expected convention.
+ * @property {string=} conventionName Name (or path) of the expected
+ * convention.
+ * @property {Array<!RegExp>=} regExps Compiled patterns for
+ * <code>branches</code>, if they are patterns.
+ * @property {string=} ruleName Name of the expected rule.
+ * @property {Array<function(string): boolean>=} tagTests Functions to test
+ * tag names against each of <code>branches</code>, in tag mode.
+ * @property {RegExp=} upstreamRegExp Compiled pattern for the expected
+ * upstream, if it is a pattern.
+ * @property {RegExp=} versionRegExp Compiled pattern for the version in the
+ * branch name, if it is checked against <code>package.json</code>.
+ */
+
+/** Matches a branch name against an expected branch name (or pattern).
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches.
+ * @param {number} index Index of the expected branch in
+ * <code>expectation.branches</code>.
+ * @param {string} branchName Branch name to match.
+ * @return {?Object} Match from
+ * {@link module:git-branch-is/lib/match.matchBranch} if
+ * <code>branchName</code> matches the expected branch, otherwise
+ * <code>null</code>.
+ */
+function matchBranch(command, expectation, index, branchName) {
+  const {branches, regExps} = expectation;
+  return matchBranchName(
+    branchName,
+    branches[index],
+    regExps && regExps[index],
+    Boolean(command.ignoreCase),
+    Boolean(command.fullName)
+  );
+}
+
+/** Determines whether a branch name matches an expected branch name (or
+ * pattern).
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches.
+ * @param {number} index Index of the expected branch in
+ * <code>expectation.branches</code>.
+ * @param {string} branchName Branch name to match.
+ * @return {boolean} <code>true</code> if <code>branchName</code> matches the
+ * expected branch.
+ */
+function matchesBranch(command, expectation, index, branchName) {
+  return matchBranch(command, expectation, index, branchName) !== null;
+}
+
+/** Prints the match (or capture group) of the current branch for
+ * <code>--print-match</code> or <code>--print-group</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches.
+ * @param {string} branchName Name of the current branch, which matches
+ * <code>expectation</code>.
+ * @param {!CommandResult} result Successful result of checking the current
+ * branch.
+ * @return {!CommandResult} Command result with the match (or group) appended
+ * to stdout, or an error if the group does not exist.
+ */
+function printMatch(command, expectation, branchName, result) {
+  let match = null;
+  for (let i = 0; i < expectation.branches.length && !match; i += 1) {
+    match = matchBranch(command, expectation, i, branchName);
+  }
+
+  const group = command.printGroup === undefined ? '0' : command.printGroup;
+  let value;
+  if (/^\d+$/.test(group)) {
+    const groupNum = Number(group);
+    if (groupNum >= match.match.length) {
+      return {
+        code: 2,
+        stderr: `Error: Pattern has no group ${group}.\n`
+      };
+    }
+    value = match.match[groupNum];
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(match.groups, group)) {
+      return {
+        code: 2,
+        stderr: `Error: Pattern has no group named "${group}".\n`
+      };
+    }
+    value = match.groups[group];
+  }
+
+  // Unmatched (optional) groups are printed as empty lines
+  return {
+    code: result.code,
+    stderr: result.stderr,
+    stdout: `${result.stdout || ''}${value === undefined ? '' : value}\n`
+  };
+}
+
+/** Describes why a branch name does not follow a convention, for messages.
+ *
+ * @private
+ * @param {!Expectation} expectation Expected convention.
+ * @param {!module:git-branch-is/lib/conventions.ConventionFailure} failure
+ * Failure of the branch name to follow the convention.
+ * @return {string} Description of <code>failure</code>, to follow the branch
+ * name, with an example of a name which follows the convention (if known).
+ */
+function describeConventionFailure(expectation, failure) {
+  const desc = failure.rule === null
+    ? `is not a valid branch name: ${failure.reason}.\n`
+    : `does not follow convention "${expectation.conventionName}": ${
+      `failed rule "${failure.rule}" (${failure.reason}).\n`}`;
+  return expectation.conventionExample === undefined ? desc
+    : `${desc}Example of a valid name: "${expectation.conventionExample}".\n`;
+}
+
+/** Checks the state of HEAD against expectations for the command.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches or rule.
+ * @param {!HeadState} head State of HEAD.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkHeadState(command, expectation, head, callback) {
+  // Include the state of HEAD in the result for --format json
+  const headCallback = callback;
+  callback = (errCheck, result) => {
+    if (result) {
+      result.head = head;
+    }
+    headCallback(errCheck, result);
+  };
+
+  if (command.detached) {
+    const isDetachMatch =
+      command.invertMatch ? !head.detached : head.detached;
+    const desc = head.detached ? describeDetached(head)
+      : `Current branch is "${head.branch}", HEAD is not detached`;
+    callback(null, {
+      code: isDetachMatch ? 0 : 1,
+      stderr: !isDetachMatch && !command.quiet ? `Error: ${desc}.\n` : null,
+      stdout: isDetachMatch && command.verbose ? `${desc}.\n` : null
+    });
+    return;
+  }
+
+  if (head.branch === null) {
+    const desc = describeDetached(head);
+    if (command.allowDetached) {
+      callback(null, {
+        code: 0,
+        stdout: command.verbose ? `${desc}.\n` : null
+      });
+    } else {
+      callback(null, {
+        code: EXIT_DETACHED,
+        stderr: command.quiet ? null
+          : `Error: ${desc}, not on a branch.\n`
+      });
+    }
+    return;
+  }
+
+  const currentBranch = getBranchName(head, command.fullName);
+  const currentDesc = describeBranch(head, command.fullName);
+  let errMsg, isMatch;
+  if (expectation.checkConvention) {
+    const failure = expectation.checkConvention(getBranchName(head));
+    isMatch = command.invertMatch ? failure !== null : failure === null;
+
+    if (!isMatch && !command.quiet) {
+      errMsg = command.invertMatch
+        ? `Current branch ${currentDesc} follows convention "${
+          expectation.conventionName}".\n`
+        : `Current branch ${currentDesc} ${
+          describeConventionFailure(expectation, failure)}`;
+    }
+  } else if (expectation.checkRule) {
+    const ruleFailure = expectation.checkRule(currentBranch);
+    isMatch = command.invertMatch ? ruleFailure !== null
+      : ruleFailure === null;
+
+    if (!isMatch && !command.quiet) {
+      errMsg = command.invertMatch
+        ? `Current branch ${currentDesc} satisfies rule "${
+          expectation.ruleName}".\n`
+        : `Current branch ${currentDesc} does not satisfy rule "${
+          expectation.ruleName}": ${ruleFailure}.\n`;
+    }
+  } else {
+    const {branches, regExps} = expectation;
+    // Expectations which were not satisfied by the current branch
+    const failedBranches = branches.filter((expectedBranch, i) => {
+      const isEqual = matchesBranch(command, expectation, i, currentBranch);
+      return command.invertMatch ? isEqual : !isEqual;
+    });
+    isMatch = branches.length === 0
+      || (command.all ? failedBranches.length === 0
+        : failedBranches.length < branches.length);
+
+    if (!isMatch && !command.quiet) {
+      // When inverted, the listed branches all matched.  Otherwise none did.
+      const failedList = failedBranches
+        .map((failedBranch) => `"${failedBranch}"`)
+        .join(command.invertMatch ? ' and ' : ' or ');
+      if (regExps) {
+        errMsg = command.invertMatch
+          ? `Current branch ${currentDesc} matches ${failedList}.\n`
+          : `Current branch ${currentDesc} does not match ${failedList}.\n`;
+      } else {
+        errMsg = command.invertMatch
+          ? `Current branch is ${currentDesc}.\n`
+          : `Current branch is ${currentDesc}, not ${failedList}.\n`;
+      }
+    }
+  }
+
+  const branchResult = {
+    code: isMatch ? 0 : 1,
+    stderr: errMsg && `Error: ${errMsg}`,
+    stdout: isMatch && command.verbose
+      ? `Current branch is ${currentDesc}.\n`
+      : null
+  };
+
+  const checks = [];
+  if (command.upstream !== undefined) {
+    checks.push(checkUpstream);
+  }
+  if (command.notAhead || command.notBehind || command.upToDate) {
+    checks.push(checkAheadBehind);
+  }
+  if (command.matchesVersion) {
+    checks.push(checkVersion);
+  }
+
+  // Run each check after the previous one succeeds
+  let checkInd = 0;
+  function nextCheck(errCheck, result) {
+    if (errCheck || result.code !== 0 || checkInd >= checks.length) {
+      if (!errCheck
+          && result.code === 0
+          && (command.printMatch || command.printGroup !== undefined)) {
+        result = printMatch(command, expectation, currentBranch, result);
+      }
+      callback(errCheck, result);
+      return;
+    }
+
+    const check = checks[checkInd];
+    checkInd += 1;
+    check(command, expectation, head, result, nextCheck);
+  }
+  nextCheck(null, branchResult);
+}
+
+/** Checks HEAD against expectations for the command.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches or rule.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkHead(command, expectation, callback) {
+  gitBranchIs.getHead(command, (err, head) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    checkHeadState(command, expectation, head, callback);
+  });
+}
+
+/** Checks branch names given as arguments, rather than the current branch,
+ * against the expected convention for <code>--convention</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected convention.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkConventionNames(command, expectation, callback) {
+  let stderr = '';
+  let stdout = '';
+  command.args.forEach((branchName) => {
+    const failure = expectation.checkConvention(branchName);
+    const nameDesc = `Branch name "${branchName}"`;
+    const followsDesc = `follows convention "${expectation.conventionName}"`;
+    if (command.invertMatch ? failure === null : failure !== null) {
+      stderr += command.invertMatch ? `Error: ${nameDesc} ${followsDesc}.\n`
+        : `Error: ${nameDesc} ${
+          describeConventionFailure(expectation, failure)}`;
+    } else {
+      stdout += failure === null ? `${nameDesc} ${followsDesc}.\n`
+        : `${nameDesc} ${describeConventionFailure(expectation, failure)}`;
+    }
+  });
+
+  process.nextTick(callback, null, {
+    code: stderr ? 1 : 0,
+    stderr: stderr && !command.quiet ? stderr : null,
+    stdout: command.verbose && stdout ? stdout : null
+  });
+}
+
+/** Prints the current branch, its slug, and whether it matches the expected
+ * branches as variable assignments for <code>--export</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function exportBranch(command, expectation, callback) {
+  gitBranchIs.getBranch(command, (err, branchName) => {
+    if (err) {
+      if (err instanceof gitBranchIs.DetachedHeadError) {
+        callback(null, {
+          code: EXIT_DETACHED,
+          stderr: command.quiet ? null
+            : `Error: ${describeDetached(err.head)}, not on a branch.\n`
+        });
+      } else {
+        callback(err);
+      }
+      return;
+    }
+
+    const vars = {
+      GIT_BRANCH: branchName,
+      GIT_BRANCH_SLUG: slugify(branchName)
+    };
+
+    const {branches} = expectation;
+    if (branches.length > 0) {
+      const matches = branches.map((expectedBranch, i) => {
+        const isEqual = matchesBranch(command, expectation, i, branchName);
+        return command.invertMatch ? !isEqual : isEqual;
+      });
+      const isMatch = command.all ? matches.every(Boolean)
+        : matches.some(Boolean);
+      vars.GIT_BRANCH_MATCH = isMatch ? '1' : '0';
+    }
+
+    callback(null, {
+      code: 0,
+      stdout: formatAssignments(vars, command.export)
+    });
+  });
+}
+
+/** Formats rows of cells as a table with aligned columns.
+ *
+ * @private
+ * @param {!Array<!Array<string>>} rows Rows of cells, starting with headings.
+ * @return {string} Table with one line per row.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map(
+    (heading, i) => Math.max(...rows.map((row) => row[i].length))
+  );
+  return rows
+    .map((row) => row
+      .map((cell, i) => (i === row.length - 1 ? cell
+        : cell + ' '.repeat(widths[i] - cell.length)))
+      .join('  '))
+    .join('\n');
+}
+
+/** Checks the current branch of each repository given by <code>--repo</code>
+ * (and their submodules, with <code>--recurse-submodules</code>) against
+ * expectations for the command.
+ *
+ * The command fails with the exit code of the first repository which does
+ * not satisfy the expectations.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches or rule.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkRepositories(command, expectation, callback) {
+  const repoPaths = command.repo.length > 0 ? command.repo : ['.'];
+  gitBranchIs.getBranches(repoPaths, command, (err, repoBranches) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const checkPromises = repoBranches.map((repoBranch) => {
+      // Check each repository with messages to report in the table
+      const repoCommand = Object.assign({}, command, {
+        cwd: path.resolve(command.cwd || '.', repoBranch.path),
+        gitDir: undefined,
+        quiet: false,
+        verbose: false
+      });
+      return new Promise((resolve, reject) => {
+        checkHeadState(
+          repoCommand,
+          expectation,
+          repoBranch.head,
+          (errCheck, result) => {
+            if (errCheck) {
+              reject(errCheck);
+            } else {
+              result.path = repoBranch.path;
+              resolve(result);
+            }
+          }
+        );
+      });
+    });
+    Promise.all(checkPromises).then(
+      (repositories) => {
+        const failed = repositories.find((result) => result.code !== 0);
+        const rows = [['Repository', 'Branch', 'Result']].concat(
+          repositories.map((result) => [
+            result.path,
+            result.head.branch === null ? `(${result.head.commit})`
+              : getBranchName(result.head, command.fullName),
+            result.code === 0 ? 'OK'
+              : result.stderr.replace(/^Error: /, '').trim()
+          ])
+        );
+        process.nextTick(callback, null, {
+          code: failed ? failed.code : 0,
+          repositories,
+          stdout: command.quiet ? null : `${formatTable(rows)}\n`
+        });
+      },
+      (errCheck) => process.nextTick(callback, errCheck)
+    );
+  });
+}
+
+/** Checks HEAD against expectations for the command once the repository is
+ * being watched and again each time the current branch changes.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches or rule.
+ * @param {function(Error, CommandResult=)} callback Callback for the result
+ * of each check or an error, after which watching stops.
+ * @return {EventEmitter} Watcher from {@link gitBranchIs.watch}, or
+ * <code>null</code> if watching could not be started.
+ */
+function watchHead(command, expectation, callback) {
+  let watcher;
+  try {
+    watcher = gitBranchIs.watch(command);
+  } catch (errWatch) {
+    callback(errWatch);
+    return null;
+  }
+
+  function checkCallback(err, result) {
+    if (err) {
+      watcher.close();
+    }
+    callback(err, result);
+  }
+
+  watcher.on('ready', () => checkHead(command, expectation, checkCallback));
+  watcher.on('change', (change) => {
+    checkHead(command, expectation, (err, result) => {
+      if (result && !command.quiet) {
+        const from = change.previousBranch === null ? 'detached HEAD'
+          : `"${change.previousBranch}"`;
+        const to = change.branch === null ? 'detached HEAD'
+          : `"${change.branch}"`;
+        result.stdout =
+          `Current branch changed from ${from} to ${to}.\n${
+            result.stdout || ''}`;
+      }
+      checkCallback(err, result);
+    });
+  });
+  watcher.on('error', checkCallback);
+  return watcher;
+}
+
+/** Describes a worktree, including whether it is locked or prunable, for
+ * messages.
+ *
+ * @private
+ * @param {!module:git-branch-is/lib/worktrees.Worktree} worktree Worktree.
+ * @return {string} Description of the worktree.
+ */
+function describeWorktree(worktree) {
+  let desc = worktree.path;
+  if (worktree.locked) {
+    desc += worktree.lockedReason ? ` (locked: ${worktree.lockedReason})`
+      : ' (locked)';
+  }
+  if (worktree.prunable) {
+    desc += worktree.prunableReason ? ` (prunable: ${worktree.prunableReason})`
+      : ' (prunable)';
+  }
+  return desc;
+}
+
+/** Checks the branches checked out in any worktree of the repository against
+ * expectations for the command, for <code>--any-worktree</code> and
+ * <code>--which-worktree</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkWorktrees(command, expectation, callback) {
+  gitBranchIs.listWorktrees(command, (err, worktrees) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const {branches} = expectation;
+    // Worktrees in which each expected branch is checked out
+    const branchWorktrees = branches.map((expectedBranch, i) => worktrees
+      .filter((worktree) => worktree.branch !== null
+        && matchesBranch(
+          command,
+          expectation,
+          i,
+          command.fullName ? worktree.ref : worktree.branch
+        )));
+    // Indexes of expectations which were not satisfied by any worktree
+    const failedInds = [];
+    branches.forEach((expectedBranch, i) => {
+      const isCheckedOut = branchWorktrees[i].length > 0;
+      if (command.invertMatch ? isCheckedOut : !isCheckedOut) {
+        failedInds.push(i);
+      }
+    });
+    const isMatch = command.all ? failedInds.length === 0
+      : failedInds.length < branches.length;
+
+    function describeCheckedOut(i) {
+      return `"${branches[i]}" is checked out in ${
+        branchWorktrees[i].map(describeWorktree).join(', ')}`;
+    }
+
+    let errMsg;
+    if (!isMatch && !command.quiet) {
+      if (command.invertMatch) {
+        // When inverted, the listed branches are all checked out.
+        errMsg = `${failedInds.map(describeCheckedOut).join('; ')}.\n`;
+      } else {
+        const failedList = failedInds
+          .map((i) => `"${branches[i]}"`)
+          .join(' or ');
+        errMsg = `${failedList} is not checked out in any worktree.\n`;
+      }
+    }
+
+    const matchingWorktrees = worktrees.filter((worktree) => branchWorktrees
+      .some((checkedOut) => checkedOut.indexOf(worktree) >= 0));
+    let stdout = null;
+    if (command.whichWorktree) {
+      stdout = matchingWorktrees
+        .map((worktree) => `${describeWorktree(worktree)}\n`)
+        .join('') || null;
+    } else if (isMatch && command.verbose && matchingWorktrees.length > 0) {
+      stdout = `${branches
+        .map((expectedBranch, i) => i)
+        .filter((i) => branchWorktrees[i].length > 0)
+        .map(describeCheckedOut)
+        .join('; ')}.\n`;
+    }
+
+    callback(null, {
+      code: isMatch ? 0 : 1,
+      stderr: errMsg && `Error: ${errMsg}`,
+      stdout,
+      worktrees: matchingWorktrees
+    });
+  });
+}
+
+/** Reads all content from a stream.
+ *
+ * @private
+ * @param {!stream.Readable} stream Stream to read.
+ * @param {function(Error, string=)} callback Callback with the content of
+ * <code>stream</code> or <code>Error</code> if it could not be read.
+ */
+function readStream(stream, callback) {
+  let content = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (data) => { content += data; });
+  stream.once('error', callback);
+  stream.once('end', () => callback(null, content));
+}
+
+/** Finds the first expected branch name (or pattern) which matches a branch
+ * name.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected branches.
+ * @param {string} branchName Branch name to match.
+ * @return {?string} First of <code>expectation.branches</code> which matches
+ * <code>branchName</code>, or <code>null</code> if none match.
+ */
+function findMatchingBranch(command, expectation, branchName) {
+  const {branches} = expectation;
+  for (let i = 0; i < branches.length; i += 1) {
+    if (matchesBranch(command, expectation, i, branchName)) {
+      return branches[i];
+    }
+  }
+  return null;
+}
+
+/** Descriptions of operations from
+ * {@link module:git-branch-is/lib/ref-updates.getOperation}, for messages.
+ *
+ * @private
+ */
+const OPERATION_DESCS = {
+  create: 'Creation of',
+  delete: 'Deletion of',
+  'non-fast-forward': 'Force-push to',
+  update: 'Push to'
+};
+
+/** Result of checking an operation on a ref.
+ *
+ * @typedef {{
+ *   allowed: boolean,
+ *   reason: ?string
+ * }} RefCheck
+ * @property {boolean} allowed Is the operation allowed?
+ * @property {?string} reason Description of why the operation is (or is
+ * not) allowed, if there is one.
+ */
+
+/** Checks updates to refs, as given to a <code>pre-push</code>,
+ * <code>pre-receive</code>, or <code>update</code> hook.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Array<!module:git-branch-is/lib/ref-updates.RefUpdate>} updates
+ * Updates to refs.
+ * @param {function(string, string): !RefCheck} checkRef Function to check an
+ * operation (from
+ * {@link module:git-branch-is/lib/ref-updates.getOperation}) on a ref name.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkRefUpdates(command, updates, checkRef, callback) {
+  // Remote name (or URL, if unnamed) is the first argument to pre-push
+  const remoteDesc = command.prePush && command.args.length > 0
+    ? ` on ${command.args[0]}`
+    : '';
+  const refUpdates = [];
+  let stderr = '';
+  let stdout = '';
+  function nextUpdate(updateInd) {
+    if (updateInd >= updates.length) {
+      callback(null, {
+        code: stderr ? 1 : 0,
+        stderr: stderr && !command.quiet ? stderr : null,
+        stdout: command.verbose && stdout ? stdout : null,
+        refUpdates
+      });
+      return;
+    }
+
+    const update = updates[updateInd];
+    function checkUpdate(err, isFastForward) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      const name = getRefName(update.ref, command.fullName);
+      const operation = getOperation(update, isFastForward);
+      const refCheck = checkRef(operation, name);
+      refUpdates.push(Object.assign(
+        {},
+        update,
+        // protected is reported for compatibility with earlier --pre-push
+        {name, operation, protected: !refCheck.allowed},
+        refCheck
+      ));
+
+      const desc = `${OPERATION_DESCS[operation]} "${name}"${remoteDesc}`;
+      const reasonDesc = refCheck.reason ? ` (${refCheck.reason})` : '';
+      if (refCheck.allowed) {
+        stdout += `${desc} is allowed${reasonDesc}.\n`;
+      } else {
+        stderr += `Error: ${desc} is not allowed${reasonDesc}.\n`;
+      }
+      nextUpdate(updateInd + 1);
+    }
+
+    if (update.oldCommit === null || update.newCommit === null) {
+      checkUpdate(null, false);
+    } else {
+      gitBranchIs.isFastForward(
+        update.oldCommit,
+        update.newCommit,
+        command,
+        checkUpdate
+      );
+    }
+  }
+  nextUpdate(0);
+}
+
+/** Checks the refs to be pushed, as given on stdin to a
+ * <code>pre-push</code> hook, against the protected refs for
+ * <code>--pre-push</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Protected refs, with allowed exceptions.
+ * @param {string} input Input to the <code>pre-push</code> hook.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkPush(command, expectation, input, callback) {
+  let updates;
+  try {
+    updates = parsePrePushInput(input);
+  } catch (errParse) {
+    callback(null, {
+      code: 2,
+      stderr: `Error: ${errParse.message}.\n`
+    });
+    return;
+  }
+
+  checkRefUpdates(command, updates, (operation, name) => {
+    const protectedBy = findMatchingBranch(command, expectation, name);
+    if (protectedBy === null) {
+      return {allowed: true, reason: null};
+    }
+
+    const allowedBy = findMatchingBranch(command, expectation.allowed, name);
+    return allowedBy === null
+      ? {allowed: false, reason: `protected by "${protectedBy}"`}
+      : {allowed: true, reason: `allowed by "${allowedBy}"`};
+  }, callback);
+}
+
+/** Checks the refs to be updated, as given on stdin to a
+ * <code>pre-receive</code> hook or as arguments to an <code>update</code>
+ * hook, against the <code>refs</code> rules in the configuration file, for
+ * <code>--pre-receive</code> and <code>--update</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {string} input Input to the <code>pre-receive</code> hook, if any.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkReceive(command, input, callback) {
+  let updates;
+  try {
+    updates = command.update ? [parseUpdateArgs(command.args)]
+      : parsePreReceiveInput(input);
+  } catch (errParse) {
+    callback(null, {
+      code: 2,
+      stderr: `Error: ${errParse.message}.\n`
+    });
+    return;
+  }
+
+  gitBranchIs.getConfig(command, (errConfig, loaded) => {
+    if (errConfig) {
+      callback(errConfig);
+      return;
+    }
+
+    const refRules = loaded && loaded.config.refs;
+    if (!refRules) {
+      callback(null, {
+        code: 2,
+        stderr: loaded ? `Error: No refs rules in ${loaded.filepath}.\n`
+          : 'Error: No refs rules found (no config file).\n'
+      });
+      return;
+    }
+
+    let checkRefOperation;
+    try {
+      checkRefOperation = compileRefRules(refRules, command.ignoreCase);
+    } catch (errRules) {
+      callback(null, {
+        code: 2,
+        stderr: `Error: Invalid refs rules in ${loaded.filepath}: ${
+          errRules}\n`
+      });
+      return;
+    }
+
+    checkRefUpdates(command, updates, (operation, name) => {
+      const failure = checkRefOperation(operation, name);
+      return {
+        allowed: failure === null,
+        reason: failure
+      };
+    }, callback);
+  });
+}
+
+/** Gets the name of the way in which HEAD is matched by the command.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @return {string} <code>'detached'</code>, <code>'convention'</code>,
+ * <code>'glob'</code>, <code>'regex'</code>, <code>'semver'</code>, or
+ * <code>'exact'</code>.
+ */
+function getMatchMode(command) {
+  return command.detached ? 'detached'
+    : command.convention ? 'convention'
+      : command.glob ? 'glob'
+        : command.regex ? 'regex'
+          : command.semver ? 'semver'
+            : 'exact';
+}
+
+/** Expands the placeholders in a message template given by
+ * <code>--message</code> or <code>--success-message</code>.
+ *
+ * Placeholders which are not known are left unchanged.
+ *
+ * @private
+ * @param {string} template Message template.
+ * @param {!Object} command Parsed command options.
+ * @param {!CommandResult} result Result with the state of HEAD or tags.
+ * @return {string} Message with placeholders replaced.
+ */
+function expandTemplate(template, command, result) {
+  const {head} = result;
+  const values = {
+    current: result.tags ? result.tags.join(', ')
+      : head.branch === null ? head.commit
+        : getBranchName(head, command.fullName),
+    expected: command.rule || command.convention || command.args.join(', '),
+    mode: getMatchMode(command)
+  };
+  return template.replace(
+    /\{(\w+)\}/g,
+    (placeholder, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name]
+        : placeholder
+    )
+  );
+}
+
+/** Formats the result of the command as JSON for <code>--format json</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {Error} err Error which occurred while running the command, if any.
+ * @param {CommandResult=} result Result of the command, if no error occurred.
+ * @return {!CommandResult} Command result with JSON on stdout.
+ */
+function formatJsonResult(command, err, result) {
+  const code = err ? getErrorExitCode(err) : result.code || 0;
+  const head = (result && result.head) || null;
+  let error = null;
+  if (err) {
+    error = err.message;
+  } else if (result.stderr) {
+    error = result.stderr.replace(/^Error: /, '').trim();
+  }
+
+  const report = {
+    current: head && head.branch !== null
+      ? getBranchName(head, command.fullName)
+      : null,
+    head,
+    tags: (result && result.tags) || null,
+    refUpdates: (result && result.refUpdates) || null,
+    worktrees: (result && result.worktrees) || null,
+    repositories: result && result.repositories
+      ? result.repositories.map((repoResult) => ({
+        path: repoResult.path,
+        current: repoResult.head.branch !== null
+          ? getBranchName(repoResult.head, command.fullName)
+          : null,
+        head: repoResult.head,
+        match: repoResult.code === 0,
+        exitCode: repoResult.code,
+        error: repoResult.stderr
+          ? repoResult.stderr.replace(/^Error: /, '').trim()
+          : null
+      }))
+      : null,
+    expected: command.args,
+    rule: command.rule || null,
+    convention: command.convention || null,
+    upstream: command.upstream === undefined ? null : command.upstream,
+    mode: getMatchMode(command),
+    ignoreCase: Boolean(command.ignoreCase),
+    inverted: Boolean(command.invertMatch),
+    all: Boolean(command.all),
+    match: code === 0,
+    exitCode: code,
+    error
+  };
+  return {
+    code,
+    stdout: `${JSON.stringify(report)}\n`
+  };
+}
+
+/** Checks the tags at HEAD against expectations for the command.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {!Expectation} expectation Expected tags.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkTags(command, expectation, callback) {
+  gitBranchIs.getTags(command, (err, tags) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const {branches, tagTests} = expectation;
+    // Expectations which were not satisfied by any tag
+    const failedTags = branches.filter((expectedTag, i) => {
+      const isTagMatch = tags.some(tagTests[i]);
+      return command.invertMatch ? isTagMatch : !isTagMatch;
+    });
+    const isMatch = command.all ? failedTags.length === 0
+      : failedTags.length < branches.length;
+
+    const tagsDesc = tags.length === 0 ? 'no tags at HEAD'
+      : `tags at HEAD: ${tags.join(', ')}`;
+    let errMsg;
+    if (!isMatch && !command.quiet) {
+      // When inverted, the listed tags all matched.  Otherwise none did.
+      const failedList = failedTags
+        .map((failedTag) => `"${failedTag}"`)
+        .join(command.invertMatch ? ' and ' : ' or ');
+      errMsg = command.invertMatch
+        ? `A tag at HEAD matches ${failedList} (${tagsDesc}).\n`
+        : `No tag at HEAD matches ${failedList} (${tagsDesc}).\n`;
+    }
+
+    callback(null, {
+      code: isMatch ? 0 : 1,
+      stderr: errMsg && `Error: ${errMsg}`,
+      stdout: isMatch && command.verbose
+        ? `${tagsDesc[0].toUpperCase()}${tagsDesc.slice(1)}.\n`
+        : null,
+      tags
+    });
+  });
+}
+
+/** Checks that HEAD is at a tag with the version in the closest
+ * <code>package.json</code>, for <code>--tag --semver</code> without a
+ * <code>&lt;branch name&gt;</code>.
+ *
+ * @private
+ * @param {!Object} command Parsed command options.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function checkPackageTag(command, callback) {
+  gitBranchIs.getPackageVersion(command, (err, packageVersion) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (packageVersion === null) {
+      callback(null, {
+        code: 2,
+        stderr: command.quiet ? null
+          : 'Error: No package.json found for --tag --semver.\n'
+      });
+      return;
+    }
+
+    const {version} = packageVersion;
+    checkTags(
+      command,
+      {branches: [version], tagTests: [compileTagTest(version, command)]},
+      callback
+    );
+  });
+}
+
+/** Result from command entry points.
+ *
+ * @typedef {{
+ *   code: (?number|undefined),
+ *   head: (HeadState|undefined),
+ *   path: (string|undefined),
+ *   refUpdates: (Array<!Object>|undefined),
+ *   repositories: (Array<!CommandResult>|undefined),
+ *   stdout: (?string|undefined),
+ *   stderr: (?string|undefined),
+ *   tags: (Array<string>|undefined),
+ *   watcher: (EventEmitter|undefined),
+ *   worktrees: (Array<!Object>|undefined)
+ * }} CommandResult
+ * @property {?number=} code Exit code for the command.
+ * @property {HeadState=} head State of HEAD, if it was read.
+ * @property {string=} path Path of the repository, for results in
+ * <code>repositories</code>.
+ * @property {Array<!Object>=} refUpdates Each ref update being checked, with
+ * its name, operation, whether (and why) it is allowed, and whether it is
+ * protected (i.e. not allowed), with
+ * <code>--pre-push</code>, <code>--pre-receive</code>, or
+ * <code>--update</code>.
+ * @property {Array<!CommandResult>=} repositories Result for each repository,
+ * with <code>--repo</code> or <code>--recurse-submodules</code>.
+ * @property {Array<string>=} tags Names of tags at HEAD, if they were read.
+ * @property {?string=} stdout Content to write to stdout.
+ * @property {?string=} stderr Content to write to stderr.
+ * @property {EventEmitter=} watcher Watcher to close to stop checking, with
+ * <code>--watch</code>.
+ * @property {Array<!Object>=} worktrees Worktrees in which an expected branch
+ * is checked out, with <code>--any-worktree</code> or
+ * <code>--which-worktree</code>.
+ */
+
+/** Entry point for the <code>install-hook</code> and
+ * <code>uninstall-hook</code> subcommands, which add or remove a block running
+ * git-branch-is (with the given arguments) in git hook scripts.
+ *
+ * Options for the subcommand are <code>--hook</code>,
+ * <code>--hook-command</code>, and <code>-C</code>.  All other arguments (and
+ * all arguments after <code>--</code>) are passed to git-branch-is in the
+ * hook.
+ *
+ * @private
+ * @param {!Array<string>} args Command-line arguments.
+ * @param {function(Error, CommandResult=)} callback Callback for the command
+ * result or error.
+ */
+function hookCmd(args, callback) {
+  const isInstall = args[2] === 'install-hook';
+  const hookNames = [];
+  const checkArgs = [];
+  let cwd;
+  let hookCommand;
+  for (let i = 3; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--') {
+      Array.prototype.push.apply(checkArgs, args.slice(i + 1));
+      break;
+    }
+
+    if (arg === '--hook' || arg === '--hook-command' || arg === '-C') {
+      if (i + 1 >= args.length) {
+        callback(new Error(`${arg} requires an argument.\n${HOOK_USAGE}`));
+        return;
+      }
+
+      i += 1;
+      const value = args[i];
+      if (arg === '--hook') {
+        if (HOOK_NAMES.indexOf(value) < 0) {
+          callback(new Error(`Unsupported hook "${value}".\n${HOOK_USAGE}`));
+          return;
+        }
+        hookNames.push(value);
+      } else if (arg === '--hook-command') {
+        hookCommand = value;
+      } else {
+        cwd = value;
+      }
+    } else {
+      checkArgs.push(arg);
+    }
+  }
+
+  if (isInstall && checkArgs.length === 0) {
+    callback(new Error(
+      `At least one argument for git-branch-is is required.\n${HOOK_USAGE}`
+    ));
+    return;
+  }
+
+  if (!isInstall && (checkArgs.length > 0 || hookCommand !== undefined)) {
+    callback(new Error(
+      `Only --hook and -C are allowed with uninstall-hook.\n${HOOK_USAGE}`
+    ));
+    return;
+  }
+
+  if (hookNames.length === 0) {
+    Array.prototype.push.apply(
+      hookNames,
+      isInstall ? ['pre-commit'] : HOOK_NAMES
+    );
+  }
+
+  // git-branch-is is often not on PATH when git runs hooks (e.g. when it is
+  // installed locally).  Run this script with this node by default.
+  const defaultCommand =
+    `${shellQuote(process.execPath)} ${shellQuote(__filename)}`;
+  const commandLine = [hookCommand || defaultCommand]
+    .concat(checkArgs.map(shellQuote))
+    .join(' ');
+  // --pre-push accepts the remote name and URL given to the pre-push hook
+  const isPrePush = checkArgs.indexOf('--pre-push') >= 0;
+
+  gitBranchIs.getHooksDir({cwd}, (err, hooksDir) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    let stdout = '';
+    let changeCount = 0;
+    function nextHook(hookInd) {
+      if (hookInd >= hookNames.length) {
+        if (!isInstall && changeCount === 0) {
+          stdout += `git-branch-is is not installed in hooks in ${hooksDir}.\n`;
+        }
+        callback(null, {code: 0, stdout});
+        return;
+      }
+
+      const hookName = hookNames[hookInd];
+      const hookPath = path.join(hooksDir, hookName);
+      function hookDone(errHook, changed) {
+        if (errHook) {
+          callback(errHook);
+          return;
+        }
+
+        if (changed) {
+          changeCount += 1;
+          stdout += isInstall ? `Installed git-branch-is in ${hookPath}.\n`
+            : `Removed git-branch-is from ${hookPath}.\n`;
+        } else if (isInstall) {
+          stdout += `git-branch-is is already installed in ${hookPath}.\n`;
+        }
+        nextHook(hookInd + 1);
+      }
+
+      if (isInstall) {
+        const block = formatHookBlock(
+          hookName,
+          commandLine,
+          isPrePush && hookName === 'pre-push'
+        );
+        installHook(hookPath, block, hookDone);
+      } else {
+        uninstallHook(hookPath, hookDone);
+      }
+    }
+
+    if (!isInstall) {
+      nextHook(0);
+      return;
+    }
+
+    // Create the hooks directory if it does not exist (e.g. core.hooksPath)
+    fs.mkdir(hooksDir, (errMkdir) => {
+      if (errMkdir && errMkdir.code !== 'EEXIST') {
+        callback(errMkdir);
+        return;
+      }
+
+      nextHook(0);
+    });
+  });
+}
+
 /** Entry point for this command.
  *
  * @param {!Array<string>} args Command-line arguments.
@@ -52,34 +1604,528 @@ function gitBranchIsCmd(args, callback) {
     throw new TypeError('callback must be a function');
   }
 
+  if (args[2] === 'install-hook' || args[2] === 'uninstall-hook') {
+    hookCmd(args, callback);
+    return undefined;
+  }
+
+  // The format for --export is optional.  Commander would take any following
+  // argument as the format, so only take supported formats (e.g. for
+  // --export main).
+  const endInd = args.indexOf('--');
+  const cmdArgs = args.map((arg, i) => (arg === '--export'
+      && (endInd < 0 || i < endInd)
+      && EXPORT_FORMATS.indexOf(args[i + 1]) < 0
+    ? '--export=sh'
+    : arg));
+
   // TODO:  Proxy console.{error,log} and process.exit so we can return result
   const command = new Command()
     // .arguments() splits on white space.  Call .parseExpectedArgs directly.
-    .parseExpectedArgs(['<branch name>'])
+    .parseExpectedArgs(['[branch name...]'])
     .option('-C <path>', 'run as if started in <path>')
+    .option(
+      '--against <ref>',
+      'compare with <ref> instead of upstream for ahead/behind checks'
+    )
+    .option('-a, --all', 'require all <branch name>s to match (not any)')
+    .option(
+      '--allow <pattern>',
+      'allow pushes to refs matching <pattern> despite --protect',
+      collect, []
+    )
+    .option('--allow-detached', 'succeed if HEAD is detached')
+    .option(
+      '--any-worktree',
+      'check branch checked out in any worktree (not only current)'
+    )
+    .option(
+      '--backend <backend>',
+      'read HEAD using git, fs (without git), or auto (default: git)'
+    )
+    .option(
+      '--ci',
+      'if HEAD is detached, get branch from CI environment variables'
+    )
+    .option(
+      '--convention <preset|file>',
+      'check branch (or <branch name>s) follow naming convention'
+    )
+    .option('--detached', 'check that HEAD is detached (no <branch name>)')
+    .option(
+      '--during-operation',
+      'if HEAD is detached, get branch being rebased, bisected, etc.'
+    )
+    .option(
+      '--export [format]',
+      `print branch variables for ${EXPORT_FORMATS.join(', ')} (default: sh)`
+    )
+    .option('--format <format>', 'output format: text or json (default: text)')
+    .option('--full-name', 'compare full name of branch (e.g. refs/heads/main)')
     .option(
       '--git-arg <arg>', 'additional argument to git (can be repeated)',
       collect, []
     )
     .option('--git-dir <dir>', 'set the path to the repository')
     .option('--git-path <path>', 'set the path to the git binary')
+    .option('-g, --glob', 'match <branch name> as a wildmatch/glob pattern')
     .option('-i, --ignore-case', 'compare/match branch name case-insensitively')
     .option('-I, --invert-match', 'inverts/negates comparison')
+    .option(
+      '--matches-version',
+      'check that version in branch name matches version in package.json'
+    )
+    .option(
+      '--message <template>',
+      'error message with {current}, {expected}, {mode} if not matched'
+    )
     // Note:  Commander.js only supports one long option per option call
     // https://github.com/tj/commander.js/issues/430
     .option('--not', 'inverts/negates comparison (same as --invert-match)')
+    .option('--not-ahead', 'check that the branch is not ahead of its upstream')
+    .option(
+      '--not-behind',
+      'check that the branch is not behind its upstream'
+    )
+    .option(
+      '--pre-push',
+      'check refs being pushed (on stdin, as for a pre-push hook)'
+    )
+    .option(
+      '--pre-receive',
+      'check ref updates (on stdin, as for a pre-receive hook) with refs rules'
+    )
+    .option(
+      '--print-group <n|name>',
+      'print capture group <n|name> of matching <branch name> pattern'
+    )
+    .option('--print-match', 'print text matched by <branch name> pattern')
+    .option(
+      '--protect <pattern>',
+      'refuse pushes to refs matching <pattern> with --pre-push',
+      collect, []
+    )
     .option('-q, --quiet', 'suppress warning message if branch differs')
     .option('-r, --regex', 'match <branch name> as a regular expression')
+    .option(
+      '--recurse-submodules',
+      'also check the branch of each submodule (recursively)'
+    )
+    .option(
+      '--repo <path>', 'check repository at <path> (can be repeated)',
+      collect, []
+    )
+    .option(
+      '--semver',
+      'match <branch name> (or package.json version) as semver range (--tag)'
+    )
+    .option('--rule <name>', 'check branch with rule <name> from config file')
+    .option(
+      '--success-message <template>',
+      'message with {current}, {expected}, {mode} if matched'
+    )
+    .option('--tag', 'check tags at HEAD instead of the branch')
+    .option('--timeout <ms>', 'fail if git does not finish within <ms>')
+    .option(
+      '--update',
+      'check update of <ref> from <old sha> to <new sha> with refs rules'
+    )
+    .option(
+      '--up-to-date',
+      'check that the branch is neither ahead of nor behind its upstream'
+    )
+    .option(
+      '--upstream <ref>',
+      'check that the upstream of the current branch is <ref>'
+    )
     .option('-v, --verbose', 'print a message if the branch matches')
+    .option(
+      '--version-pattern <regexp>',
+      'get version for --matches-version from first group of <regexp>'
+    )
+    .option('--watch', 'check again each time the current branch changes')
+    .option(
+      '--which-worktree',
+      'print worktrees where <branch name> is checked out'
+    )
     .version(packageJson.version)
-    .parse(args);
+    .parse(cmdArgs);
+
+  // Report usage errors as JSON, like the results of checks
+  const usageCallback = command.format !== 'json' ? callback
+    : (err) => callback(null, formatJsonResult(command, err));
+
+  if (command.detached && command.args.length !== 0) {
+    usageCallback(new Error(`No arguments are allowed with --detached.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.glob && command.regex) {
+    usageCallback(new Error(`--glob and --regex can not be combined.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.semver && !command.tag) {
+    usageCallback(new Error(`--semver can only be used with --tag.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.semver && (command.glob || command.regex)) {
+    usageCallback(new Error(
+      `--semver can not be combined with --glob or --regex.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.tag && (command.detached || command.rule)) {
+    usageCallback(new Error(
+      `--tag can not be combined with --detached or --rule.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.convention
+      && (command.detached
+        || command.glob
+        || command.regex
+        || command.rule
+        || command.tag)) {
+    usageCallback(new Error(
+      `--convention can not be combined with --detached, --glob, --regex, ${
+        '--rule, or --tag'}.\n${command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  const multiRepo = command.repo.length > 0 || command.recurseSubmodules;
+  if (multiRepo && (command.tag || command.watch)) {
+    const multiOpts = '--repo and --recurse-submodules';
+    usageCallback(new Error(
+      `${multiOpts} can not be combined with --tag or --watch.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  const worktreeMode = command.anyWorktree || command.whichWorktree;
+  if (worktreeMode
+      && (multiRepo
+        || command.convention
+        || command.detached
+        || command.matchesVersion
+        || command.notAhead
+        || command.notBehind
+        || command.rule
+        || command.tag
+        || command.upToDate
+        || command.upstream !== undefined
+        || command.watch)) {
+    const worktreeOpts = '--any-worktree and --which-worktree';
+    usageCallback(new Error(
+      `${worktreeOpts} can only be combined with matching options.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  const printOpts = command.printMatch || command.printGroup !== undefined;
+  if (printOpts
+      && (multiRepo
+        || worktreeMode
+        || command.convention
+        || command.detached
+        || command.invertMatch
+        || command.not
+        || command.prePush
+        || command.preReceive
+        || command.rule
+        || command.tag
+        || command.update
+        || command.watch)) {
+    usageCallback(new Error(
+      `--print-match and --print-group can only be combined with ${
+        'matching options'}.\n${command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (printOpts && command.args.length === 0) {
+    usageCallback(new Error(
+      `--print-match and --print-group require a <branch name>.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.printMatch && command.printGroup !== undefined) {
+    usageCallback(new Error(
+      `--print-match and --print-group can not be combined.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.export !== undefined
+      && EXPORT_FORMATS.indexOf(command.export) < 0) {
+    usageCallback(new Error(
+      `--export must be one of ${EXPORT_FORMATS.join(', ')}.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.export !== undefined
+      && (multiRepo
+        || printOpts
+        || worktreeMode
+        || command.allowDetached
+        || command.convention
+        || command.detached
+        || command.format === 'json'
+        || command.matchesVersion
+        || command.notAhead
+        || command.notBehind
+        || command.prePush
+        || command.preReceive
+        || command.rule
+        || command.tag
+        || command.update
+        || command.upToDate
+        || command.upstream !== undefined
+        || command.watch)) {
+    usageCallback(new Error(
+      `--export can only be combined with matching options.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  const pushOpts = command.protect.length > 0 || command.allow.length > 0;
+  if (pushOpts && !command.prePush) {
+    usageCallback(new Error(
+      `--protect and --allow can only be used with --pre-push.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  const refModeCount = [command.prePush, command.preReceive, command.update]
+    .filter(Boolean)
+    .length;
+  const refModeOpts = '--pre-push, --pre-receive, and --update';
+  if (refModeCount > 1) {
+    usageCallback(new Error(`${refModeOpts} can not be combined.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (refModeCount > 0
+      && (multiRepo
+        || worktreeMode
+        || command.all
+        || command.allowDetached
+        || command.ci
+        || command.convention
+        || command.detached
+        || command.duringOperation
+        || command.invertMatch
+        || command.matchesVersion
+        || command.not
+        || command.notAhead
+        || command.notBehind
+        || command.rule
+        || command.tag
+        || command.upToDate
+        || command.upstream !== undefined
+        || command.watch)) {
+    usageCallback(new Error(
+      `${refModeOpts} can only be combined with matching options.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if ((command.preReceive || command.update)
+      && (command.glob || command.regex)) {
+    const receiveOpts = '--pre-receive or --update';
+    usageCallback(new Error(
+      `--glob and --regex can not be combined with ${receiveOpts}.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.preReceive && command.args.length !== 0) {
+    usageCallback(new Error(`No arguments are allowed with --pre-receive.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.update && command.args.length !== 3) {
+    usageCallback(new Error(
+      `--update requires <ref>, <old sha>, and <new sha> arguments.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.prePush && command.protect.length === 0) {
+    usageCallback(new Error(`--pre-push requires at least one --protect.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.prePush && command.args.length > 2) {
+    usageCallback(new Error(
+      `Only <remote> and <url> arguments are allowed with --pre-push.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.watch && command.tag) {
+    usageCallback(new Error(`--watch can not be combined with --tag.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.matchesVersion && (command.detached || command.tag)) {
+    usageCallback(new Error(
+      `--matches-version can not be combined with --detached or --tag.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.versionPattern !== undefined && !command.matchesVersion) {
+    usageCallback(new Error(
+      `--version-pattern can only be used with --matches-version.\n${
+        command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (command.rule && command.args.length !== 0) {
+    usageCallback(new Error(`No arguments are allowed with --rule.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
+
+  if (command.convention
+      && command.args.length !== 0
+      && (multiRepo
+        || command.matchesVersion
+        || command.notAhead
+        || command.notBehind
+        || command.upToDate
+        || command.upstream !== undefined
+        || command.watch)) {
+    usageCallback(new Error(
+      `--convention with <branch name>s can only be combined with ${
+        'matching options'}.\n${command.helpInformation()}`
+    ));
+    return undefined;
+  }
+
+  if (!command.detached
+      && command.export === undefined
+      && !command.convention
+      && !command.rule
+      && !command.notAhead
+      && !command.notBehind
+      && !command.upToDate
+      && !command.matchesVersion
+      && !command.watch
+      && !command.prePush
+      && !command.preReceive
+      && !command.semver
+      && command.upstream === undefined
+      && command.args.length === 0) {
+    usageCallback(new Error(`At least one argument is required.\n${
+      command.helpInformation()}`));
+    return undefined;
+  }
 
-  if (command.args.length !== 1) {
-    callback(new Error(`Exactly one argument is required.\n${
+  if (command.format !== undefined
+      && command.format !== 'json'
+      && command.format !== 'text') {
+    usageCallback(new Error(`--format must be "json" or "text".\n${
       command.helpInformation()}`));
     return undefined;
   }
 
+  if (command.timeout !== undefined) {
+    const timeout = Number(command.timeout);
+    if (!(timeout > 0) || Math.floor(timeout) !== timeout) {
+      usageCallback(new Error(`--timeout must be a positive integer.\n${
+        command.helpInformation()}`));
+      return undefined;
+    }
+    command.timeout = timeout;
+  }
+
+  let watcher = null;
+  if (command.watch) {
+    // Include the watcher in each result so the caller can stop watching
+    const watchCallback = callback;
+    callback = (err, result) => {
+      if (result) {
+        result.watcher = watcher;
+      }
+      watchCallback(err, result);
+    };
+  }
+
+  // Check whether the branch name could refer to other refs (e.g. a tag)
+  command.checkAmbiguous = !command.quiet || command.format === 'json';
+  if (!command.quiet && command.format !== 'json') {
+    const warnCallback = callback;
+    callback = (err, result) => {
+      const ambiguousRefs = result && result.head && result.head.ambiguousRefs;
+      if (ambiguousRefs && ambiguousRefs.length > 0) {
+        const {branch} = result.head;
+        const refList = ambiguousRefs.join(', ');
+        const warning =
+          `Warning: Branch name "${branch}" is ambiguous with ${refList}.\n`;
+        result.stderr = warning + (result.stderr || '');
+      }
+      warnCallback(err, result);
+    };
+  }
+
+  if (command.format === 'json') {
+    // Report all results and errors, including messages, as JSON on stdout
+    command.quiet = false;
+    const textCallback = callback;
+    callback = (err, result) => {
+      textCallback(null, formatJsonResult(command, err, result));
+    };
+  }
+
+  if (command.message !== undefined || command.successMessage !== undefined) {
+    // Replace messages for checks of HEAD (not errors before checking)
+    const messageCallback = callback;
+    callback = (err, result) => {
+      if (result && (result.head || result.tags)) {
+        if (result.code !== 0
+            && command.message !== undefined
+            && !command.quiet) {
+          result.stderr =
+            `${expandTemplate(command.message, command, result)}\n`;
+        } else if (result.code === 0 && command.successMessage !== undefined) {
+          result.stdout =
+            `${expandTemplate(command.successMessage, command, result)}\n`;
+        }
+      }
+      messageCallback(err, result);
+    };
+  }
+
   // -C option is cmd in options Object
   command.cwd = command.C;
 
@@ -89,65 +2135,237 @@ function gitBranchIsCmd(args, callback) {
   // treat --not as an alias for --invert-match
   command.invertMatch = command.invertMatch || command.not;
 
-  const expectedBranch = command.args[0];
+  const expectedBranches = command.args;
+
+  if (command.prePush) {
+    const expectation = {
+      allowed: {branches: command.allow},
+      branches: command.protect
+    };
+    if (command.glob || command.regex) {
+      const patternExpectations = [expectation, expectation.allowed];
+      for (let i = 0; i < patternExpectations.length; i += 1) {
+        const patternExpectation = patternExpectations[i];
+        patternExpectation.regExps = [];
+        for (let j = 0; j < patternExpectation.branches.length; j += 1) {
+          const pattern = patternExpectation.branches[j];
+          try {
+            patternExpectation.regExps.push(compilePattern(command, pattern));
+          } catch (errRegExp) {
+            callback(null, invalidPatternResult(command, pattern, errRegExp));
+            return undefined;
+          }
+        }
+      }
+    }
+
+    readStream(process.stdin, (errRead, input) => {
+      if (errRead) {
+        callback(errRead);
+        return;
+      }
+
+      checkPush(command, expectation, input, callback);
+    });
+    return undefined;
+  }
+
+  if (command.update) {
+    checkReceive(command, null, callback);
+    return undefined;
+  }
+
+  if (command.preReceive) {
+    readStream(process.stdin, (errRead, input) => {
+      if (errRead) {
+        callback(errRead);
+        return;
+      }
+
+      checkReceive(command, input, callback);
+    });
+    return undefined;
+  }
+
+  if (command.tag && command.semver && expectedBranches.length === 0) {
+    checkPackageTag(command, callback);
+    return undefined;
+  }
+
+  if (command.tag) {
+    const tagTests = [];
+    for (let i = 0; i < expectedBranches.length; i += 1) {
+      const expectedTag = expectedBranches[i];
+      try {
+        tagTests.push(compileTagTest(expectedTag, command));
+      } catch (errTest) {
+        callback(null, invalidPatternResult(command, expectedTag, errTest));
+        return undefined;
+      }
+    }
+
+    checkTags(command, {branches: expectedBranches, tagTests}, callback);
+    return undefined;
+  }
+
+  let expectedRegExps;
+  if ((command.glob || command.regex) && !command.detached) {
+    expectedRegExps = [];
+    for (let i = 0; i < expectedBranches.length; i += 1) {
+      const expectedBranch = expectedBranches[i];
+      try {
+        expectedRegExps.push(compilePattern(command, expectedBranch));
+      } catch (errRegExp) {
+        callback(
+          null,
+          invalidPatternResult(command, expectedBranch, errRegExp)
+        );
+        return undefined;
+      }
+    }
+  }
+
+  if (command.export !== undefined) {
+    exportBranch(
+      command,
+      {branches: expectedBranches, regExps: expectedRegExps},
+      callback
+    );
+    return undefined;
+  }
+
+  if (worktreeMode) {
+    checkWorktrees(
+      command,
+      {branches: expectedBranches, regExps: expectedRegExps},
+      callback
+    );
+    return undefined;
+  }
 
-  let expectedBranchRegExp;
-  if (command.regex) {
+  let upstreamRegExp;
+  if ((command.glob || command.regex) && command.upstream !== undefined) {
     try {
-      expectedBranchRegExp = new RegExp(
-        expectedBranch,
-        command.ignoreCase ? 'i' : undefined
+      upstreamRegExp = compilePattern(command, command.upstream);
+    } catch (errRegExp) {
+      callback(
+        null,
+        invalidPatternResult(command, command.upstream, errRegExp)
       );
+      return undefined;
+    }
+  }
+
+  let versionRegExp;
+  if (command.matchesVersion) {
+    const versionPattern = command.versionPattern || DEFAULT_VERSION_PATTERN;
+    try {
+      versionRegExp = compileRegExp(versionPattern);
     } catch (errRegExp) {
       callback(null, {
         code: 2,
-        stderr: `Error: Invalid RegExp "${expectedBranch}": ${
-          errRegExp}\n`
+        stderr: `Error: Invalid RegExp "${versionPattern}": ${errRegExp}\n`
       });
       return undefined;
     }
   }
 
-  gitBranchIs.getBranch(command, (err, currentBranch) => {
-    if (err) {
-      callback(err);
-      return;
+  // Check HEAD once, each time the current branch changes with --watch, or
+  // in each repository with --repo or --recurse-submodules
+  function checkOrWatchHead(expectation) {
+    if (command.watch) {
+      watcher = watchHead(command, expectation, callback);
+    } else if (multiRepo) {
+      checkRepositories(command, expectation, callback);
+    } else {
+      checkHead(command, expectation, callback);
     }
+  }
 
-    let errMsg, isMatch;
-    if (expectedBranchRegExp) {
-      isMatch = expectedBranchRegExp.test(currentBranch);
-      if (command.invertMatch) {
-        isMatch = !isMatch;
+  if (command.convention) {
+    const conventionDir = path.resolve(command.cwd || '');
+    loadConvention(command.convention, conventionDir, (errLoad, convention) => {
+      if (errLoad) {
+        callback(null, {
+          code: 2,
+          stderr: `Error: Unable to load convention: ${errLoad.message}\n`
+        });
+        return;
       }
 
-      if (!isMatch && !command.quiet) {
-        errMsg = command.invertMatch
-          ? `Current branch "${currentBranch}" matches "${expectedBranch}".\n`
-          : `Current branch "${currentBranch}" does not match "${
-            expectedBranch}".\n`;
-      }
-    } else {
-      isMatch = currentBranch === expectedBranch
-        || (command.ignoreCase
-            && currentBranch.toUpperCase() === expectedBranch.toUpperCase());
-      if (command.invertMatch) {
-        isMatch = !isMatch;
+      let checkConvention;
+      try {
+        checkConvention = compileConvention(convention, command.ignoreCase);
+      } catch (errConvention) {
+        callback(null, {
+          code: 2,
+          stderr: `Error: Invalid convention "${command.convention}": ${
+            errConvention}\n`
+        });
+        return;
       }
 
-      if (!isMatch && !command.quiet) {
-        errMsg = command.invertMatch
-          ? `Current branch is "${currentBranch}".\n`
-          : `Current branch is "${currentBranch}", not "${expectedBranch}".\n`;
+      const expectation = {
+        checkConvention,
+        conventionExample: convention.example,
+        conventionName: command.convention,
+        upstreamRegExp,
+        versionRegExp
+      };
+      if (expectedBranches.length > 0) {
+        checkConventionNames(command, expectation, callback);
+      } else {
+        checkOrWatchHead(expectation);
       }
+    });
+    return undefined;
+  }
+
+  if (!command.rule) {
+    checkOrWatchHead({
+      branches: expectedBranches,
+      regExps: expectedRegExps,
+      upstreamRegExp,
+      versionRegExp
+    });
+    return undefined;
+  }
+
+  gitBranchIs.getConfig(command, (errConfig, loaded) => {
+    if (errConfig) {
+      callback(errConfig);
+      return;
     }
 
-    callback(null, {
-      code: isMatch ? 0 : 1,
-      stderr: errMsg && `Error: ${errMsg}`,
-      stdout: isMatch && command.verbose
-        ? `Current branch is "${currentBranch}".\n`
-        : null
+    const ruleName = command.rule;
+    const rules = loaded && loaded.config.rules;
+    if (!rules || !Object.prototype.hasOwnProperty.call(rules, ruleName)) {
+      callback(null, {
+        code: 2,
+        stderr: loaded
+          ? `Error: Rule "${ruleName}" not found in ${loaded.filepath}.\n`
+          : `Error: Rule "${ruleName}" not found (no config file).\n`
+      });
+      return;
+    }
+
+    let checkRule;
+    try {
+      checkRule = compileRule(rules[ruleName], command.ignoreCase);
+    } catch (errRule) {
+      callback(null, {
+        code: 2,
+        stderr: `Error: Invalid rule "${ruleName}" in ${loaded.filepath}: ${
+          errRule}\n`
+      });
+      return;
+    }
+
+    checkOrWatchHead({
+      checkRule,
+      ruleName,
+      upstreamRegExp,
+      versionRegExp
     });
   });
   return undefined;
@@ -164,8 +2382,12 @@ if (require.main === module) {
     if (errOrResult.stderr) { process.stderr.write(errOrResult.stderr); }
     if (err) { process.stderr.write(`${err.name}: ${err.message}\n`); }
 
-    const code = typeof errOrResult.code === 'number' ? errOrResult.code
-      : err ? 1 : 0;
-    process.exit(code);
+    const code = err ? getErrorExitCode(err) : result.code || 0;
+    if (!err && result.watcher) {
+      // Keep watching.  Exit with the code of the last check once closed.
+      process.exitCode = code;
+    } else {
+      process.exit(code);
+    }
   });
 }
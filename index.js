@@ -6,43 +6,157 @@
 'use strict';
 
 const {execFile} = require('child_process');
+const {EventEmitter} = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const {getCIBranch} = require('./lib/ci');
+const {findConfig} = require('./lib/config');
+const {
+  AbortError,
+  DetachedHeadError,
+  GitNotFoundError,
+  InvalidPatternError,
+  NotARepositoryError,
+  TimeoutError
+} = require('./lib/errors');
+const {
+  findAmbiguousRefs,
+  findGitDir,
+  readHead,
+  readOperation,
+  readTags,
+  shortenRef
+} = require('./lib/fs-head');
+const {matchBranch} = require('./lib/match');
+const {compileRule} = require('./lib/rules');
+const {compileTagTest} = require('./lib/tags');
+const {findPackageVersion} = require('./lib/version');
+const {wildmatchToRegExp} = require('./lib/wildmatch');
+const {parseWorktreeList} = require('./lib/worktrees');
 
 /** Options for {@link gitBranchIs}.
  *
  * @typedef {{
+ *   backend: (string|undefined),
+ *   checkAmbiguous: (boolean|undefined),
+ *   ci: (boolean|Object<string,string>|undefined),
  *   cwd: (?string|undefined),
+ *   duringOperation: (boolean|undefined),
+ *   fullName: (boolean|undefined),
  *   gitArgs: (Array|undefined),
  *   gitDir: (?string|undefined),
- *   gitPath: (string|undefined)
+ *   gitPath: (string|undefined),
+ *   glob: (boolean|undefined),
+ *   ignoreCase: (boolean|undefined),
+ *   matchDetails: (boolean|undefined),
+ *   recurseSubmodules: (boolean|undefined),
+ *   semver: (boolean|undefined),
+ *   signal: (AbortSignal|undefined),
+ *   timeout: (number|undefined)
  * }}
+ * @property {string=} backend How to read the state of HEAD:
+ * <code>'git'</code> to run git (the default), <code>'fs'</code> to read the
+ * repository files directly, or <code>'auto'</code> to read the files if
+ * <code>gitArgs</code> and <code>gitPath</code> are not specified and run git
+ * if that fails.
+ * @property {boolean=} checkAmbiguous Check whether the name of the current
+ * branch could also refer to other refs (e.g. a tag with the same name) and
+ * list them in {@link HeadState}.
+ * @property {(boolean|Object<string,string>)=} ci If HEAD is detached, get the
+ * branch name from environment variables set by continuous integration
+ * services (e.g. <code>GITHUB_REF</code>, <code>TRAVIS_BRANCH</code>).  If an
+ * <code>Object</code>, it is used in place of <code>process.env</code>.
  * @property {?string=} cwd Current working directory where the branch name is
  * tested.
+ * @property {boolean=} duringOperation Detect operations in progress (e.g.
+ * rebase, merge, or bisect) and, if HEAD is detached, get the branch name from
+ * the branch on which the operation was started.
+ * @property {boolean=} fullName Compare/match the full name of the current
+ * branch (e.g. <code>refs/heads/main</code>) rather than the short name.
+ * Expected names which do not start with <code>refs/</code> are compared as
+ * names of branches (e.g. <code>main</code> as
+ * <code>refs/heads/main</code>).
  * @property {Array=} gitArgs Extra arguments to pass to git.
  * @property {?string=} gitDir Path to the repository (i.e.
  * <code>--git-dir=</code> option to <code>git</code>).
  * @property {string=} gitPath Git binary name or path to use (default:
  * <code>'git'</code>).
+ * @property {boolean=} glob Match expected branch names as wildmatch patterns
+ * (as used by git for ref patterns, e.g. <code>release/*</code>).
+ * @property {boolean=} ignoreCase Compare/match branch names
+ * case-insensitively.
+ * @property {boolean=} matchDetails Get the {@link BranchMatch} (or
+ * <code>null</code>) from {@link gitBranchIs}, rather than a boolean.
+ * @property {boolean=} recurseSubmodules Include the initialized submodules
+ * (recursively) of each repository (for {@link gitBranchIs.getBranches}).
+ * @property {boolean=} semver Match expected tag names as semantic version
+ * ranges (for {@link gitBranchIs.isAtTag}).
+ * @property {AbortSignal=} signal Signal which, when aborted, kills any
+ * running git process and fails with
+ * {@link module:git-branch-is/lib/errors.AbortError}.
+ * @property {number=} timeout Number of milliseconds after which a running
+ * git process is killed and the operation fails with
+ * {@link module:git-branch-is/lib/errors.TimeoutError} (default:
+ * <code>0</code>, no timeout).
  */
 const GitBranchIsOptions = {
+  backend: 'git',
+  checkAmbiguous: false,
+  ci: false,
   cwd: '',
+  duringOperation: false,
+  fullName: false,
   gitArgs: [],
   gitDir: '',
-  gitPath: 'git'
+  gitPath: 'git',
+  glob: false,
+  ignoreCase: false,
+  matchDetails: false,
+  recurseSubmodules: false,
+  semver: false,
+  signal: null,
+  timeout: 0
 };
 
+/** Match of the current branch from {@link gitBranchIs} with the
+ * <code>matchDetails</code> option.
+ *
+ * @typedef {{
+ *   branch: string,
+ *   expected: (string|RegExp|null),
+ *   groups: !Object<string, (string|undefined)>,
+ *   match: !Array<(string|undefined)>
+ * }} BranchMatch
+ * @property {string} branch Name of the current branch.
+ * @property {(string|RegExp|null)} expected Expected name (or pattern) which
+ * matched the current branch, or <code>null</code> for a rule or test
+ * function.
+ * @property {!Object<string, (string|undefined)>} groups Named capture groups
+ * of <code>expected</code>, if it is a <code>RegExp</code>.
+ * @property {!Array<(string|undefined)>} match Matched text, followed by
+ * capture groups of <code>expected</code>, if it is a <code>RegExp</code>.
+ */
+
 /** Checks that the current branch of a git repository has a given name.
  *
- * @param {string|function(string)} branchNameOrTest Expected name of
- * current branch or a test function to apply to the branch name.
+ * @param {string|!RegExp|!Array<(string|!RegExp)>|!Object|function(string)}
+ * branchNameOrTest Expected name (or pattern, with the <code>glob</code>
+ * option) of current branch, a <code>RegExp</code> to match, an Array of names
+ * or <code>RegExp</code>s any of which is expected, a
+ * {@link module:git-branch-is/lib/rules.BranchRule} (e.g. from
+ * {@link gitBranchIs.getConfig}) which the branch name must satisfy, or a test
+ * function to apply to the branch name.
  * @param {?GitBranchIsOptions=} options Options.
- * @param {?function(Error, boolean=)=} callback Callback function called
- * with the return value of <code>branchNameOrTest</code> if it is a function,
- * or the result of identity checking <code>branchNameOrTest</code> to the
- * current branch name.
+ * @param {?function(Error, (boolean|BranchMatch)=)=} callback Callback
+ * function called with the return value of <code>branchNameOrTest</code> if
+ * it is a function, or the result of identity checking (or matching)
+ * <code>branchNameOrTest</code> (or any of its elements) to the current branch
+ * name.  With the <code>matchDetails</code> option, the {@link BranchMatch}
+ * of the first which matches, or <code>null</code>.
  * @return {Promise|undefined} If <code>callback</code> is not given, a
- * <code>Promise</code> with the return value of <code>branchNameOrTest</code>
- * if it is a function, or the result of identity checking
- * <code>branchNameOrTest</code> to the current branch name.
+ * <code>Promise</code> with the value which would be passed to
+ * <code>callback</code>.
  */
 function gitBranchIs(branchNameOrTest, options, callback) {
   if (!callback && typeof options === 'function') {
@@ -67,17 +181,72 @@ function gitBranchIs(branchNameOrTest, options, callback) {
     return undefined;
   }
 
+  let isTestFunc = typeof branchNameOrTest === 'function';
+  const expectedNames = Array.isArray(branchNameOrTest) ? branchNameOrTest
+    : [branchNameOrTest];
+  const ignoreCase = Boolean(options && options.ignoreCase);
+
+  if (branchNameOrTest
+      && typeof branchNameOrTest === 'object'
+      && !Array.isArray(branchNameOrTest)
+      && !(branchNameOrTest instanceof RegExp)) {
+    let checkRule;
+    try {
+      checkRule = compileRule(branchNameOrTest, ignoreCase);
+    } catch (errRule) {
+      process.nextTick(callback, errRule);
+      return undefined;
+    }
+    branchNameOrTest = (branchName) => checkRule(branchName) === null;
+    isTestFunc = true;
+  }
+
+  let expectedRegExps;
+  if (options && options.glob && !isTestFunc) {
+    try {
+      expectedRegExps = expectedNames
+        .map((pattern) => (pattern instanceof RegExp ? pattern
+          : wildmatchToRegExp(pattern, ignoreCase)));
+    } catch (errGlob) {
+      process.nextTick(callback, errGlob);
+      return undefined;
+    }
+  }
+
   gitBranchIs.getBranch(options, (err, currentBranch) => {
     if (err) {
       callback(err);
       return;
     }
 
+    const matchDetails = Boolean(options && options.matchDetails);
     let result;
     try {
-      result = currentBranch === branchNameOrTest
-        || (typeof branchNameOrTest === 'function'
-         && branchNameOrTest(currentBranch));
+      if (isTestFunc) {
+        result = branchNameOrTest(currentBranch);
+        if (matchDetails) {
+          result = !result ? null : {
+            branch: currentBranch,
+            expected: null,
+            groups: {},
+            match: [currentBranch]
+          };
+        }
+      } else {
+        result = null;
+        for (let i = 0; i < expectedNames.length && !result; i += 1) {
+          result = matchBranch(
+            currentBranch,
+            expectedNames[i],
+            expectedRegExps && expectedRegExps[i],
+            ignoreCase,
+            Boolean(options && options.fullName)
+          );
+        }
+        if (!matchDetails) {
+          result = result !== null;
+        }
+      }
     } catch (errTest) {
       callback(errTest);
       return;
@@ -88,17 +257,359 @@ function gitBranchIs(branchNameOrTest, options, callback) {
   return undefined;
 }
 
-/** Gets the name of the current (i.e. checked out) branch of a git repository.
+/** Combines caller-provided options with {@link GitBranchIsOptions} defaults.
  *
+ * @private
  * @param {?GitBranchIsOptions=} options Options.
- * @param {?function(Error, string=)=} callback Callback function called
- * with the current branch name, or <code>Error</code> if it could not be
+ * @return {!GitBranchIsOptions} Options with defaults for unspecified values.
+ */
+function combineOptions(options) {
+  const combinedOpts = {};
+  Object.keys(GitBranchIsOptions).forEach((prop) => {
+    combinedOpts[prop] = GitBranchIsOptions[prop];
+  });
+  Object.keys(Object(options)).forEach((prop) => {
+    combinedOpts[prop] = options[prop];
+  });
+  return combinedOpts;
+}
+
+/** Converts an <code>Error</code> from running git to one of the error
+ * classes in {@link module:git-branch-is/lib/errors}, if it is one of the
+ * failures they represent.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @param {!Error} err Error from <code>execFile</code>.
+ * @param {string=} stderr Output of git on stderr.
+ * @param {function(!Error)} callback Callback with the converted error, or
+ * <code>err</code> if it is not converted.
+ */
+function convertGitError(combinedOpts, err, stderr, callback) {
+  if (/\bnot a git repository\b/i.test(stderr)) {
+    const errRepo = new NotARepositoryError(stderr.trim().split('\n')[0]);
+    errRepo.cause = err;
+    callback(errRepo);
+    return;
+  }
+
+  if (err.code !== 'ENOENT' || !/^spawn\b/.test(err.syscall)) {
+    callback(err);
+    return;
+  }
+
+  // spawn also fails with ENOENT when cwd does not exist
+  fs.stat(combinedOpts.cwd || '.', (errStat) => {
+    if (errStat) {
+      callback(err);
+      return;
+    }
+
+    const {gitPath} = combinedOpts;
+    const errGit =
+      new GitNotFoundError(`git not found at "${gitPath}"`, gitPath);
+    errGit.cause = err;
+    callback(errGit);
+  });
+}
+
+/** Runs git with given arguments in the repository described by options.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @param {!Array<string>} args Arguments to git, after global arguments.
+ * @param {function(Error, string=, string=)} callback Callback function
+ * called with the output of git or <code>Error</code> if it could not be run,
+ * exited with non-0 status, timed out, or was aborted.
+ */
+function execGit(combinedOpts, args, callback) {
+  const gitArgs = combinedOpts.gitArgs
+    ? Array.prototype.slice.call(combinedOpts.gitArgs, 0)
+    : [];
+  if (combinedOpts.gitDir) {
+    gitArgs.unshift(`--git-dir=${combinedOpts.gitDir}`);
+  }
+  Array.prototype.push.apply(gitArgs, args);
+
+  const {signal, timeout} = combinedOpts;
+  if (signal && signal.aborted) {
+    process.nextTick(callback, new AbortError());
+    return;
+  }
+
+  let child, timeoutId;
+  let finished = false;
+  function onAbort() {
+    child.kill();
+    finish(new AbortError());
+  }
+  function finish(err, stdout, stderr) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timeoutId);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    if (!err || err instanceof AbortError || err instanceof TimeoutError) {
+      callback(err, stdout, stderr);
+      return;
+    }
+    convertGitError(combinedOpts, err, stderr, (errGit) => {
+      callback(errGit, stdout, stderr);
+    });
+  }
+
+  try {
+    child = execFile(
+      combinedOpts.gitPath,
+      gitArgs,
+      {
+        cwd: combinedOpts.cwd,
+        // Messages are matched by convertGitError.  Don't translate them.
+        env: Object.assign({}, process.env, {LANGUAGE: 'C', LC_ALL: 'C'})
+      },
+      finish
+    );
+  } catch (errExec) {
+    process.nextTick(callback, errExec);
+    return;
+  }
+
+  // Fail without waiting for git to exit, since it may not exit when killed
+  // (e.g. while blocked on a network filesystem).
+  if (timeout > 0) {
+    timeoutId = setTimeout(() => {
+      child.kill();
+      finish(new TimeoutError(
+        `git ${args.join(' ')} did not finish within ${timeout} ms`,
+        timeout
+      ));
+    }, timeout);
+  }
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+}
+
+/** Determines whether to read the files in the repository directly, rather
+ * than running git, according to the <code>backend</code> option.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @return {boolean} <code>true</code> to read the files in the repository,
+ * <code>false</code> to run git.
+ * @throws {TypeError} If <code>backend</code> is not valid or can not be used
+ * with the other options.
+ */
+function shouldUseFs(combinedOpts) {
+  const backend = combinedOpts.backend || GitBranchIsOptions.backend;
+  if (backend !== 'auto' && backend !== 'fs' && backend !== 'git') {
+    throw new TypeError('backend must be \'auto\', \'fs\', or \'git\'');
+  }
+
+  const hasGitArgs =
+    Boolean(combinedOpts.gitArgs && combinedOpts.gitArgs.length > 0);
+  if (backend === 'fs' && hasGitArgs) {
+    throw new TypeError('gitArgs can not be used with backend \'fs\'');
+  }
+
+  return backend === 'fs'
+    || (backend === 'auto' && !hasGitArgs && combinedOpts.gitPath === 'git');
+}
+
+/** Reads the names of tags which point to HEAD by running git.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @param {function(Error, Array<string>=)} callback Callback function called
+ * with the names of tags which point to HEAD, or <code>Error</code> if they
+ * could not be determined.
+ */
+function readTagsGit(combinedOpts, callback) {
+  execGit(combinedOpts, ['tag', '--points-at', 'HEAD'], (err, tagOut) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(null, tagOut.split('\n').filter(Boolean));
+  });
+}
+
+/** Reads the state of HEAD by running git.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @param {function(Error, HeadState=)} callback Callback function called with
+ * the state of HEAD (without CI information), or <code>Error</code> if it
+ * could not be determined.
+ */
+function readHeadGit(combinedOpts, callback) {
+  execGit(
+    combinedOpts,
+    ['symbolic-ref', '--quiet', 'HEAD'],
+    (errSymRef, symRefOut) => {
+      if (!errSymRef) {
+        // Note:  ASCII space and control characters are forbidden in names
+        // https://www.kernel.org/pub/software/scm/git/docs/git-check-ref-format.html
+        const ref = symRefOut.trimRight();
+        // Note:  Not symbolic-ref --short, which adds heads/ if ambiguous
+        callback(null, {
+          branch: shortenRef(ref),
+          detached: false,
+          ref
+        });
+        return;
+      }
+
+      // symbolic-ref --quiet exits with 1 (and no message) when HEAD is not
+      // a symbolic ref.  Other errors (e.g. not a repository) exit with 128.
+      if (errSymRef.code !== 1) {
+        callback(errSymRef);
+        return;
+      }
+
+      execGit(combinedOpts, ['rev-parse', 'HEAD'], (errRev, revOut) => {
+        if (errRev) {
+          callback(errRev);
+          return;
+        }
+
+        readTagsGit(combinedOpts, (errTag, tags) => {
+          if (errTag) {
+            callback(errTag);
+            return;
+          }
+
+          callback(null, {
+            branch: null,
+            commit: revOut.trim(),
+            detached: true,
+            tags
+          });
+        });
+      });
+    }
+  );
+}
+
+/** Lists the initialized submodules of a repository, recursively.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @param {function(Error, Array<string>=)} callback Callback function called
+ * with the paths of the submodules, relative to <code>cwd</code>, or
+ * <code>Error</code> if they could not be determined.
+ */
+function listSubmodules(combinedOpts, callback) {
+  execGit(
+    combinedOpts,
+    ['submodule', 'status', '--recursive'],
+    (err, stdout) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      // Each line is status, commit, path, and (for checked out) describe.
+      // Uninitialized submodules (with status -) have no repository to check.
+      const submodulePaths = [];
+      stdout.split('\n').forEach((line) => {
+        const match = /^([ +U])[0-9a-f]+ (.+?)(?: \(.*\))?$/.exec(line);
+        if (match) {
+          submodulePaths.push(match[2]);
+        }
+      });
+      callback(null, submodulePaths);
+    }
+  );
+}
+
+/** Gets the path of the git directory (of the worktree) of a repository.
+ *
+ * @private
+ * @param {!GitBranchIsOptions} combinedOpts Options, with defaults applied.
+ * @param {boolean} useFs Find the git directory without running git.
+ * @param {function(Error, string=)} callback Callback function called with
+ * the path of the git directory, or <code>Error</code> if it could not be
  * determined.
+ */
+function getGitDir(combinedOpts, useFs, callback) {
+  if (useFs) {
+    findGitDir(combinedOpts).then(
+      (gitDir) => process.nextTick(callback, null, gitDir),
+      (err) => process.nextTick(callback, err)
+    );
+    return;
+  }
+
+  execGit(combinedOpts, ['rev-parse', '--git-dir'], (err, stdout) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(null, path.resolve(combinedOpts.cwd || '.', stdout.trimRight()));
+  });
+}
+
+/** State of HEAD in a git repository.
+ *
+ * @typedef {{
+ *   ambiguousRefs: (Array<string>|undefined),
+ *   branch: ?string,
+ *   ci: (module:git-branch-is/lib/ci.CIBranch|undefined),
+ *   commit: (string|undefined),
+ *   detached: boolean,
+ *   operation: (?string|undefined),
+ *   ref: (string|undefined),
+ *   tags: (Array<string>|undefined)
+ * }} HeadState
+ * @property {Array<string>=} ambiguousRefs Full names of other refs to which
+ * the name of the current branch could refer (e.g.
+ * <code>refs/tags/&lt;branch&gt;</code>), if HEAD is not detached and the
+ * <code>checkAmbiguous</code> option was used.
+ * @property {?string} branch Name of the current branch, or <code>null</code>
+ * if HEAD is detached and the branch could not be determined from the
+ * environment.
+ * @property {module:git-branch-is/lib/ci.CIBranch=} ci Information about the
+ * CI environment variable from which <code>branch</code> was read, if HEAD is
+ * detached and the <code>ci</code> option was used.
+ * @property {string=} commit SHA-1 of the commit at HEAD, if HEAD is
+ * detached.
+ * @property {boolean} detached Is HEAD detached (i.e. not a symbolic ref to a
+ * branch)?
+ * @property {?string=} operation Name of the operation in progress
+ * (<code>'am'</code>, <code>'bisect'</code>, <code>'cherry-pick'</code>,
+ * <code>'merge'</code>, <code>'rebase'</code>, or <code>'revert'</code>), or
+ * <code>null</code> if none, if the <code>duringOperation</code> option was
+ * used.
+ * @property {string=} ref Full name of the ref to which HEAD points (e.g.
+ * <code>refs/heads/main</code>), if HEAD is not detached.
+ * @property {Array<string>=} tags Names of tags which point to HEAD, if HEAD
+ * is detached.
+ */
+
+/** Gets the git-branch-is configuration which applies to a directory.
+ *
+ * Configuration is read from the closest <code>.gitbranchisrc</code>,
+ * <code>.gitbranchisrc.json</code>, <code>.gitbranchisrc.js</code>, or
+ * <code>package.json</code> with a <code>git-branch-is</code> property in the
+ * <code>cwd</code> directory or its ancestors.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, module:git-branch-is/lib/config.LoadedConfig=)=}
+ * callback Callback function called with the configuration and the path from
+ * which it was loaded, <code>null</code> if no configuration was found, or
+ * <code>Error</code> if it could not be loaded.
  * @return {Promise|undefined} If <code>callback</code> is not given, a
- * <code>Promise</code> with the current branch name, or <code>Error</code> if
- * it could not be determined.
+ * <code>Promise</code> with the configuration and the path from which it was
+ * loaded, <code>null</code> if no configuration was found, or
+ * <code>Error</code> if it could not be loaded.
  */
-gitBranchIs.getBranch = function getBranch(options, callback) {
+gitBranchIs.getConfig = function getConfig(options, callback) {
   if (!callback && typeof options === 'function') {
     callback = options;
     options = null;
@@ -106,7 +617,7 @@ gitBranchIs.getBranch = function getBranch(options, callback) {
 
   if (!callback) {
     return new Promise(((resolve, reject) => {
-      getBranch(options, (err, result) => {
+      getConfig(options, (err, result) => {
         if (err) { reject(err); } else { resolve(result); }
       });
     }));
@@ -121,44 +632,1039 @@ gitBranchIs.getBranch = function getBranch(options, callback) {
     return undefined;
   }
 
-  const combinedOpts = {};
-  Object.keys(GitBranchIsOptions).forEach((prop) => {
-    combinedOpts[prop] = GitBranchIsOptions[prop];
-  });
-  Object.keys(Object(options)).forEach((prop) => {
-    combinedOpts[prop] = options[prop];
-  });
+  findConfig(combineOptions(options).cwd || '.', callback);
+  return undefined;
+};
 
-  const gitArgs = combinedOpts.gitArgs
-    ? Array.prototype.slice.call(combinedOpts.gitArgs, 0)
-    : [];
-  if (combinedOpts.gitDir) {
-    gitArgs.unshift(`--git-dir=${combinedOpts.gitDir}`);
+/** Gets the version from the <code>package.json</code> which applies to a
+ * directory.
+ *
+ * The version is read from the closest <code>package.json</code> in the
+ * <code>cwd</code> directory or its ancestors.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, module:git-branch-is/lib/version.PackageVersion=)=}
+ * callback Callback function called with the version and the path from which
+ * it was read, <code>null</code> if no <code>package.json</code> was found,
+ * or <code>Error</code> if it could not be read or the version is not valid.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the version and the path from which it was read,
+ * <code>null</code> if no <code>package.json</code> was found, or
+ * <code>Error</code> if it could not be read or the version is not valid.
+ */
+gitBranchIs.getPackageVersion = function getPackageVersion(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
   }
-  gitArgs.push('symbolic-ref', '--short', 'HEAD');
 
-  try {
-    execFile(
-      combinedOpts.gitPath,
-      gitArgs,
-      {cwd: combinedOpts.cwd},
-      (errExec, stdout, stderr) => {
-        if (errExec) {
-          callback(errExec);
-          return;
-        }
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getPackageVersion(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
 
-        // Note:  ASCII space and control characters are forbidden in names
-        // https://www.kernel.org/pub/software/scm/git/docs/git-check-ref-format.html
-        callback(null, stdout.trimRight());
-      }
-    );
-  } catch (errExec) {
-    process.nextTick(callback, errExec);
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
+    return undefined;
+  }
+
+  findPackageVersion(combineOptions(options).cwd || '.', callback);
+  return undefined;
+};
+
+/** Gets the path of the directory containing the hooks of a git repository.
+ *
+ * The path is <code>.git/hooks</code> (in the common directory, for linked
+ * worktrees), unless the <code>core.hooksPath</code> configuration variable is
+ * set.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, string=)=} callback Callback function called with
+ * the path of the hooks directory, or <code>Error</code> if it could not be
+ * determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the path of the hooks directory, or
+ * <code>Error</code> if it could not be determined.
+ */
+gitBranchIs.getHooksDir = function getHooksDir(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getHooksDir(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
     return undefined;
   }
 
+  const combinedOpts = combineOptions(options);
+  execGit(combinedOpts, ['rev-parse', '--git-path', 'hooks'], (err, stdout) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(null, path.resolve(combinedOpts.cwd || '.', stdout.trimRight()));
+  });
   return undefined;
 };
 
+/** Gets the state of HEAD (i.e. the current branch or detached commit) of a
+ * git repository.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, HeadState=)=} callback Callback function called
+ * with the state of HEAD, or <code>Error</code> if it could not be
+ * determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the state of HEAD, or <code>Error</code> if it
+ * could not be determined.
+ */
+gitBranchIs.getHead = function getHead(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getHead(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
+    return undefined;
+  }
+
+  const combinedOpts = combineOptions(options);
+  let useFs;
+  try {
+    useFs = shouldUseFs(combinedOpts);
+  } catch (errBackend) {
+    process.nextTick(callback, errBackend);
+    return undefined;
+  }
+
+  function withCIBranch(err, head) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const {ci} = combinedOpts;
+    const ciBranch = head.branch === null
+      && ci
+      && getCIBranch(typeof ci === 'object' ? ci : process.env);
+    if (ciBranch) {
+      head.branch = ciBranch.branch;
+      head.ci = ciBranch;
+    }
+
+    callback(null, head);
+  }
+
+  function withGitDirState(err, head) {
+    if (err) {
+      withCIBranch(err);
+      return;
+    }
+
+    const {duringOperation} = combinedOpts;
+    const checkAmbiguous = combinedOpts.checkAmbiguous && !head.detached;
+    if (!duringOperation && !checkAmbiguous) {
+      withCIBranch(null, head);
+      return;
+    }
+
+    getGitDir(combinedOpts, useFs, (errGitDir, gitDir) => {
+      if (errGitDir) {
+        withCIBranch(errGitDir);
+        return;
+      }
+
+      Promise.all([
+        duringOperation ? readOperation(gitDir) : null,
+        checkAmbiguous ? findAmbiguousRefs(gitDir, head.branch) : null
+      ]).then(
+        (results) => {
+          const [operation, ambiguousRefs] = results;
+          if (checkAmbiguous) {
+            head.ambiguousRefs = ambiguousRefs;
+          }
+          if (duringOperation) {
+            head.operation = operation && operation.operation;
+            if (head.branch === null && operation && operation.branch) {
+              head.branch = operation.branch;
+            }
+          }
+          process.nextTick(withCIBranch, null, head);
+        },
+        (errRead) => process.nextTick(withCIBranch, errRead)
+      );
+    });
+  }
+
+  if (!useFs) {
+    readHeadGit(combinedOpts, withGitDirState);
+    return undefined;
+  }
+
+  readHead(combinedOpts).then(
+    (head) => process.nextTick(withGitDirState, null, head),
+    (errFs) => {
+      if (combinedOpts.backend === 'auto') {
+        // Let git handle (and report) anything not understood
+        useFs = false;
+        readHeadGit(combinedOpts, withGitDirState);
+      } else {
+        process.nextTick(withGitDirState, errFs);
+      }
+    }
+  );
+  return undefined;
+};
+
+/** Gets the name of the current (i.e. checked out) branch of a git repository.
+ *
+ * If HEAD is detached (and the branch could not be determined from the
+ * environment using the <code>ci</code> option), the <code>Error</code> is a
+ * {@link module:git-branch-is/lib/errors.DetachedHeadError} with a
+ * <code>head</code> property with the {@link HeadState}.
+ *
+ * With the <code>fullName</code> option, the full name of the branch (e.g.
+ * <code>refs/heads/main</code>) is returned.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, string=)=} callback Callback function called
+ * with the current branch name, or <code>Error</code> if it could not be
+ * determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the current branch name, or <code>Error</code> if
+ * it could not be determined.
+ */
+gitBranchIs.getBranch = function getBranch(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getBranch(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  gitBranchIs.getHead(options, (err, head) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (head.branch === null) {
+      callback(
+        new DetachedHeadError(`HEAD is detached at ${head.commit}`, head)
+      );
+      return;
+    }
+
+    const {fullName} = combineOptions(options);
+    callback(
+      null,
+      !fullName ? head.branch : head.ref || `refs/heads/${head.branch}`
+    );
+  });
+  return undefined;
+};
+
+/** Gets the upstream (i.e. <code>@{upstream}</code>) of the current branch of
+ * a git repository.
+ *
+ * If HEAD is detached (and the branch could not be determined from the
+ * environment using the <code>ci</code> option, or the branch from the
+ * environment does not exist locally), the <code>Error</code> is a
+ * {@link module:git-branch-is/lib/errors.DetachedHeadError}.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, ?string=)=} callback Callback function called
+ * with the short name of the upstream branch (e.g.
+ * <code>origin/main</code>), <code>null</code> if the current branch has no
+ * upstream configured, or <code>Error</code> if it could not be determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the short name of the upstream branch,
+ * <code>null</code> if the current branch has no upstream configured, or
+ * <code>Error</code> if it could not be determined.
+ */
+gitBranchIs.getUpstream = function getUpstream(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getUpstream(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
+    return undefined;
+  }
+
+  gitBranchIs.getHead(options, (err, head) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const {branch} = head;
+    if (branch === null) {
+      callback(
+        new DetachedHeadError(`HEAD is detached at ${head.commit}`, head)
+      );
+      return;
+    }
+
+    // Note:  for-each-ref matches refs under refName/ as well as refName.
+    // Unlike rev-parse @{upstream}, it succeeds when there is no upstream.
+    const refName = `refs/heads/${branch}`;
+    execGit(
+      combineOptions(options),
+      ['for-each-ref', '--format=%(refname) %(upstream:short)', refName],
+      (errExec, stdout) => {
+        if (errExec) {
+          callback(errExec);
+          return;
+        }
+
+        let exists = false;
+        let upstream = null;
+        stdout.split('\n').forEach((line) => {
+          const sepInd = line.indexOf(' ');
+          if (line.slice(0, sepInd) === refName) {
+            exists = true;
+            upstream = line.slice(sepInd + 1) || null;
+          }
+        });
+
+        // A branch from the CI environment may not have been created locally
+        if (!exists && head.ci) {
+          callback(new DetachedHeadError(
+            `HEAD is detached at ${head.commit} and branch "${branch}" (from ${
+              head.ci.variable}) does not exist locally`,
+            head
+          ));
+          return;
+        }
+
+        callback(null, upstream);
+      }
+    );
+  });
+  return undefined;
+};
+
+/** Numbers of commits by which HEAD and another ref differ.
+ *
+ * @typedef {{
+ *   ahead: number,
+ *   behind: number,
+ *   ref: string
+ * }} AheadBehind
+ * @property {number} ahead Number of commits reachable from HEAD which are not
+ * reachable from <code>ref</code>.
+ * @property {number} behind Number of commits reachable from <code>ref</code>
+ * which are not reachable from HEAD.
+ * @property {string} ref Ref to which HEAD was compared.
+ */
+
+/** Gets the number of commits by which HEAD is ahead of and behind a given ref
+ * or the upstream of the current branch.
+ *
+ * @param {?string} ref Ref to compare with HEAD, or <code>null</code> to
+ * compare with the upstream of the current branch (see
+ * {@link gitBranchIs.getUpstream}).
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, AheadBehind=)=} callback Callback function called
+ * with the ahead and behind counts, <code>null</code> if <code>ref</code> is
+ * <code>null</code> and the current branch has no upstream configured, or
+ * <code>Error</code> if they could not be determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the ahead and behind counts, <code>null</code> if
+ * <code>ref</code> is <code>null</code> and the current branch has no upstream
+ * configured, or <code>Error</code> if they could not be determined.
+ */
+gitBranchIs.getAheadBehind = function getAheadBehind(ref, options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getAheadBehind(ref, options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (ref !== null && ref !== undefined && typeof ref !== 'string') {
+    process.nextTick(callback, new TypeError('ref must be a string'));
+    return undefined;
+  }
+
+  function countCommits(err, compareRef) {
+    if (err || !compareRef) {
+      callback(err, null);
+      return;
+    }
+
+    // Note:  Starting with HEAD ensures compareRef is not parsed as an option
+    execGit(
+      combineOptions(options),
+      ['rev-list', '--left-right', '--count', `HEAD...${compareRef}`],
+      (errExec, stdout) => {
+        if (errExec) {
+          callback(errExec);
+          return;
+        }
+
+        const counts = stdout.trim().split(/\s+/);
+        callback(null, {
+          ahead: Number(counts[0]),
+          behind: Number(counts[1]),
+          ref: compareRef
+        });
+      }
+    );
+  }
+
+  if (ref) {
+    countCommits(null, ref);
+  } else {
+    gitBranchIs.getUpstream(options, countCommits);
+  }
+  return undefined;
+};
+
+/** Determines whether updating a ref from one commit to another is a
+ * fast-forward (i.e. whether the old commit is an ancestor of the new one).
+ *
+ * If <code>oldCommit</code> is not in the repository (e.g. a commit on a
+ * remote which has not been fetched), the update is not known to be a
+ * fast-forward and <code>false</code> is returned.
+ *
+ * @param {string} oldCommit Commit from which the ref is updated.
+ * @param {string} newCommit Commit to which the ref is updated.
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, boolean=)=} callback Callback function called
+ * with <code>true</code> if the update is a fast-forward, <code>false</code>
+ * if it is not, or <code>Error</code> if it could not be determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with <code>true</code> if the update is a
+ * fast-forward, <code>false</code> if it is not, or <code>Error</code> if it
+ * could not be determined.
+ */
+gitBranchIs.isFastForward =
+function isFastForward(oldCommit, newCommit, options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      isFastForward(oldCommit, newCommit, options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  // Note:  Commits starting with - would be parsed as options
+  if (typeof oldCommit !== 'string' || oldCommit[0] === '-') {
+    process.nextTick(callback, new TypeError('oldCommit must be a commit'));
+    return undefined;
+  }
+
+  if (typeof newCommit !== 'string' || newCommit[0] === '-') {
+    process.nextTick(callback, new TypeError('newCommit must be a commit'));
+    return undefined;
+  }
+
+  const combinedOpts = combineOptions(options);
+  execGit(
+    combinedOpts,
+    ['merge-base', '--is-ancestor', oldCommit, newCommit],
+    (err) => {
+      if (!err) {
+        callback(null, true);
+        return;
+      }
+
+      if (err.code === 1) {
+        // oldCommit is not an ancestor of newCommit
+        callback(null, false);
+        return;
+      }
+
+      // Check whether the error is due to oldCommit not being present
+      execGit(
+        combinedOpts,
+        ['rev-parse', '--verify', '--quiet', `${oldCommit}^{commit}`],
+        (errVerify) => {
+          callback(
+            errVerify && errVerify.code === 1 ? null : err,
+            errVerify && errVerify.code === 1 ? false : undefined
+          );
+        }
+      );
+    }
+  );
+  return undefined;
+};
+
+/** Current branch of a repository from {@link gitBranchIs.getBranches}.
+ *
+ * @typedef {{
+ *   branch: ?string,
+ *   head: !HeadState,
+ *   path: string
+ * }} RepositoryBranch
+ * @property {?string} branch Name of the current branch, or <code>null</code>
+ * if HEAD is detached (see {@link HeadState}).
+ * @property {!HeadState} head State of HEAD.
+ * @property {string} path Path of the repository, as given or joined with the
+ * path of the superproject for submodules.
+ */
+
+/** Gets the current branches of multiple git repositories (and, with the
+ * <code>recurseSubmodules</code> option, their submodules).
+ *
+ * Relative paths are resolved against the <code>cwd</code> option.  The
+ * <code>gitDir</code> option does not apply to the repositories.
+ *
+ * @param {!Array<string>} paths Paths of the repositories.
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, Array<!RepositoryBranch>=)=} callback Callback
+ * function called with the current branch of each repository, in the order
+ * given with submodules following their superproject, or <code>Error</code>
+ * if any could not be determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the current branch of each repository, or
+ * <code>Error</code> if any could not be determined.
+ */
+gitBranchIs.getBranches = function getBranches(paths, options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getBranches(paths, options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (!Array.isArray(paths)
+      || paths.some((repoPath) => typeof repoPath !== 'string')) {
+    process.nextTick(
+      callback,
+      new TypeError('paths must be an Array of strings')
+    );
+    return undefined;
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
+    return undefined;
+  }
+
+  const combinedOpts = combineOptions(options);
+  const cwd = combinedOpts.cwd || '.';
+  function repoOptions(repoPath) {
+    const repoOpts = combineOptions(combinedOpts);
+    repoOpts.cwd = path.resolve(cwd, repoPath);
+    repoOpts.gitDir = '';
+    return repoOpts;
+  }
+
+  function withSubmodules(repoPath, cb) {
+    if (!combinedOpts.recurseSubmodules) {
+      cb(null, [repoPath]);
+      return;
+    }
+
+    listSubmodules(repoOptions(repoPath), (err, submodulePaths) => {
+      cb(err, err ? undefined : [repoPath].concat(submodulePaths.map(
+        (submodulePath) => path.join(repoPath, submodulePath)
+      )));
+    });
+  }
+
+  const pathsPromise = Promise.all(paths.map(
+    (repoPath) => new Promise((resolve, reject) => {
+      withSubmodules(repoPath, (err, repoPaths) => {
+        if (err) { reject(err); } else { resolve(repoPaths); }
+      });
+    })
+  ));
+  pathsPromise
+    .then((pathLists) => Promise.all([].concat(...pathLists).map(
+      (repoPath) => gitBranchIs.getHead(repoOptions(repoPath))
+        .then((head) => ({
+          branch: head.branch,
+          head,
+          path: repoPath
+        }))
+    )))
+    .then(
+      (repoBranches) => process.nextTick(callback, null, repoBranches),
+      (err) => process.nextTick(callback, err)
+    );
+  return undefined;
+};
+
+/** Lists the worktrees of a git repository, including locked and prunable
+ * worktrees, by running <code>git worktree list --porcelain</code>.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, Array<!Object>=)=} callback Callback function
+ * called with the {@link module:git-branch-is/lib/worktrees.Worktree}s,
+ * starting with the main worktree, or <code>Error</code> if they could not be
+ * listed.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the worktrees, or <code>Error</code> if they could
+ * not be listed.
+ */
+gitBranchIs.listWorktrees = function listWorktrees(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      listWorktrees(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
+    return undefined;
+  }
+
+  execGit(
+    combineOptions(options),
+    ['worktree', 'list', '--porcelain'],
+    (err, stdout) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, parseWorktreeList(stdout));
+    }
+  );
+  return undefined;
+};
+
+/** Gets the names of tags which point to HEAD in a git repository.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, Array<string>=)=} callback Callback function
+ * called with the sorted names of tags which point to HEAD, or
+ * <code>Error</code> if they could not be determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with the sorted names of tags which point to HEAD, or
+ * <code>Error</code> if they could not be determined.
+ */
+gitBranchIs.getTags = function getTags(options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      getTags(options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (options && typeof options !== 'object') {
+    process.nextTick(callback, new TypeError('options must be an Object'));
+    return undefined;
+  }
+
+  const combinedOpts = combineOptions(options);
+  let useFs;
+  try {
+    useFs = shouldUseFs(combinedOpts);
+  } catch (errBackend) {
+    process.nextTick(callback, errBackend);
+    return undefined;
+  }
+
+  if (!useFs) {
+    readTagsGit(combinedOpts, callback);
+    return undefined;
+  }
+
+  readTags(combinedOpts).then(
+    (tags) => process.nextTick(callback, null, tags),
+    (errFs) => {
+      if (combinedOpts.backend === 'auto') {
+        // Let git handle (and report) anything not understood
+        readTagsGit(combinedOpts, callback);
+      } else {
+        process.nextTick(callback, errFs);
+      }
+    }
+  );
+  return undefined;
+};
+
+/** Checks that HEAD of a git repository is at a tag with a given name.
+ *
+ * With the <code>semver</code> option and no <code>tagNameOrTest</code>,
+ * checks that HEAD is at a tag with the version in the closest
+ * <code>package.json</code> (see {@link gitBranchIs.getPackageVersion}).
+ *
+ * @param {?string|!Array<string>|!RegExp|function(string)} tagNameOrTest
+ * Expected name of a tag at HEAD (or pattern, with the <code>glob</code>
+ * option, or version range, with the <code>semver</code> option), an Array of
+ * names any of which is expected, a RegExp to match, or a test function to
+ * apply to each tag name.
+ * @param {?GitBranchIsOptions=} options Options.
+ * @param {?function(Error, boolean=)=} callback Callback function called
+ * with <code>true</code> if any tag at HEAD satisfies
+ * <code>tagNameOrTest</code>, <code>false</code> if not, or
+ * <code>Error</code> if the tags could not be determined.
+ * @return {Promise|undefined} If <code>callback</code> is not given, a
+ * <code>Promise</code> with <code>true</code> if any tag at HEAD satisfies
+ * <code>tagNameOrTest</code>, <code>false</code> if not, or
+ * <code>Error</code> if the tags could not be determined.
+ */
+gitBranchIs.isAtTag = function isAtTag(tagNameOrTest, options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (!callback) {
+    return new Promise(((resolve, reject) => {
+      isAtTag(tagNameOrTest, options, (err, result) => {
+        if (err) { reject(err); } else { resolve(result); }
+      });
+    }));
+  }
+
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+
+  if (tagNameOrTest === null || tagNameOrTest === undefined) {
+    if (!options || !options.semver) {
+      process.nextTick(
+        callback,
+        new TypeError('tagNameOrTest is required without semver option')
+      );
+      return undefined;
+    }
+
+    gitBranchIs.getPackageVersion(options, (err, packageVersion) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (packageVersion === null) {
+        callback(new Error('No package.json found for version'));
+        return;
+      }
+
+      isAtTag(packageVersion.version, options, callback);
+    });
+    return undefined;
+  }
+
+  let tests;
+  if (typeof tagNameOrTest === 'function') {
+    tests = [tagNameOrTest];
+  } else if (tagNameOrTest instanceof RegExp) {
+    tests = [(tagName) => tagNameOrTest.test(tagName)];
+  } else {
+    const tagNames = Array.isArray(tagNameOrTest) ? tagNameOrTest
+      : [tagNameOrTest];
+    try {
+      tests = tagNames.map((tagName) => compileTagTest(String(tagName), {
+        glob: options && options.glob,
+        ignoreCase: options && options.ignoreCase,
+        semver: options && options.semver
+      }));
+    } catch (errTest) {
+      process.nextTick(callback, errTest);
+      return undefined;
+    }
+  }
+
+  gitBranchIs.getTags(options, (err, tags) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    let result;
+    try {
+      result = tags.some((tagName) => tests.some((test) => test(tagName)));
+    } catch (errTest) {
+      callback(errTest);
+      return;
+    }
+
+    callback(null, result);
+  });
+  return undefined;
+};
+
+/** Change of the current branch reported by {@link gitBranchIs.watch}.
+ *
+ * @typedef {{
+ *   branch: ?string,
+ *   head: !HeadState,
+ *   previousBranch: ?string
+ * }} BranchChange
+ * @property {?string} branch Name of the current branch, or
+ * <code>null</code> if HEAD is detached.
+ * @property {!HeadState} head State of HEAD after the change.
+ * @property {?string} previousBranch Name of the previous branch, or
+ * <code>null</code> if HEAD was detached.
+ */
+
+/** Determines whether two states of HEAD have the same branch or, if HEAD is
+ * detached without a known branch, the same commit.
+ *
+ * @private
+ * @param {!HeadState} head1 State of HEAD.
+ * @param {!HeadState} head2 State of HEAD.
+ * @return {boolean} <code>true</code> if <code>head1</code> and
+ * <code>head2</code> are the same.
+ */
+function isSameHead(head1, head2) {
+  return head1.branch === head2.branch
+    // Commits of a known branch change during operations (e.g. rebase)
+    && (head1.branch !== null || head1.commit === head2.commit);
+}
+
+/** Watches a git repository for changes to the current branch.
+ *
+ * The returned <code>EventEmitter</code> emits <code>'ready'</code> with the
+ * {@link HeadState} once the repository is being watched,
+ * <code>'change'</code> with a {@link BranchChange} each time the current
+ * branch (or, if HEAD is detached without a known branch, the commit at HEAD)
+ * changes,
+ * <code>'error'</code> with an <code>Error</code> if the
+ * repository could not be watched (after which it is closed) or HEAD could
+ * not be read, and <code>'close'</code> after it is closed.
+ *
+ * HEAD is read again whenever the <code>HEAD</code> file in the git directory
+ * changes.  For linked worktrees, this is the git directory of the worktree
+ * (e.g. <code>.git/worktrees/&lt;name&gt;</code>), not the common directory.
+ *
+ * Unless the <code>duringOperation</code> option is <code>false</code>, the
+ * branch on which an operation (e.g. rebase) was started is the current
+ * branch while HEAD is detached by the operation, so that the commits it
+ * moves through are not reported as changes.
+ *
+ * @param {?GitBranchIsOptions=} options Options.
+ * @return {!EventEmitter} Emitter of branch changes with a
+ * <code>close()</code> method to stop watching.
+ * @throws {TypeError} If <code>options</code> is not valid.
+ */
+gitBranchIs.watch = function watch(options) {
+  if (options && typeof options !== 'object') {
+    throw new TypeError('options must be an Object');
+  }
+
+  const combinedOpts = combineOptions(options);
+  const useFs = shouldUseFs(combinedOpts);
+  const headOptions = options && options.duringOperation !== undefined
+    ? options
+    : Object.assign({}, options, {duringOperation: true});
+
+  const watcher = new EventEmitter();
+  let closed = false;
+  let fsWatcher = null;
+  let head = null;
+  // Whether HEAD is being read, and whether it changed again while reading
+  let reading = false;
+  let rereadPending = false;
+
+  watcher.close = function close() {
+    if (closed) {
+      return;
+    }
+
+    closed = true;
+    if (fsWatcher) {
+      fsWatcher.close();
+    }
+    process.nextTick(() => watcher.emit('close'));
+  };
+
+  function fail(err) {
+    if (!closed) {
+      watcher.emit('error', err);
+      watcher.close();
+    }
+  }
+
+  function readHeadState() {
+    if (closed) {
+      return;
+    }
+
+    if (reading) {
+      rereadPending = true;
+      return;
+    }
+
+    reading = true;
+    gitBranchIs.getHead(headOptions, (err, newHead) => {
+      reading = false;
+      if (closed) {
+        return;
+      }
+
+      if (err) {
+        watcher.emit('error', err);
+      } else {
+        const previousHead = head;
+        head = newHead;
+        if (previousHead === null) {
+          watcher.emit('ready', newHead);
+        } else if (!isSameHead(newHead, previousHead)) {
+          watcher.emit('change', {
+            branch: newHead.branch,
+            head: newHead,
+            previousBranch: previousHead.branch
+          });
+        }
+      }
+
+      if (rereadPending) {
+        rereadPending = false;
+        readHeadState();
+      }
+    });
+  }
+
+  function watchGitDir(err, gitDir) {
+    if (closed) {
+      return;
+    }
+
+    if (err) {
+      fail(err);
+      return;
+    }
+
+    try {
+      // git replaces HEAD by renaming HEAD.lock, so watch the directory
+      fsWatcher = fs.watch(gitDir, (eventType, filename) => {
+        if (!filename || filename === 'HEAD') {
+          readHeadState();
+        }
+      });
+    } catch (errWatch) {
+      fail(errWatch);
+      return;
+    }
+
+    fsWatcher.on('error', fail);
+    readHeadState();
+  }
+
+  getGitDir(combinedOpts, useFs, (err, gitDir) => {
+    if (err && useFs && combinedOpts.backend === 'auto') {
+      // Let git handle (and report) anything not understood
+      getGitDir(combinedOpts, false, watchGitDir);
+    } else {
+      watchGitDir(err, gitDir);
+    }
+  });
+
+  return watcher;
+};
+
+gitBranchIs.AbortError = AbortError;
+gitBranchIs.DetachedHeadError = DetachedHeadError;
+gitBranchIs.GitNotFoundError = GitNotFoundError;
+gitBranchIs.InvalidPatternError = InvalidPatternError;
+gitBranchIs.NotARepositoryError = NotARepositoryError;
+gitBranchIs.TimeoutError = TimeoutError;
+
 module.exports = gitBranchIs;
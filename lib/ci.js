@@ -0,0 +1,234 @@
+/**
+ * Functions for determining the branch being built from environment variables
+ * set by continuous integration services.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/ci
+ */
+
+'use strict';
+
+/** Branch information from a continuous integration service.
+ *
+ * @typedef {{
+ *   branch: string,
+ *   provider: string,
+ *   pullRequest: boolean,
+ *   targetBranch: (string|undefined),
+ *   variable: string
+ * }} CIBranch
+ * @property {string} branch Name of the branch being built.  For pull request
+ * builds, this is the source (i.e. head) branch of the pull request.
+ * @property {string} provider Name of the CI service.
+ * @property {boolean} pullRequest Is this a pull (or merge) request build?
+ * @property {string=} targetBranch Name of the branch into which the pull
+ * request would be merged, if known.
+ * @property {string} variable Name of the environment variable from which
+ * <code>branch</code> was read.
+ */
+
+/** Removes a <code>refs/heads/</code> prefix from a ref name.
+ *
+ * @private
+ * @param {string} ref Ref name.
+ * @return {?string} Branch name, or <code>null</code> if <code>ref</code> is
+ * fully-qualified but not in <code>refs/heads/</code> (e.g. a tag).
+ */
+function refToBranch(ref) {
+  if (ref.slice(0, 11) === 'refs/heads/') {
+    return ref.slice(11);
+  }
+  return ref.slice(0, 5) === 'refs/' ? null : ref;
+}
+
+/** Creates a {@link CIBranch} for a value read from the environment.
+ *
+ * @private
+ * @param {string} provider Name of the CI service.
+ * @param {!Object<string,string>} env Environment variables.
+ * @param {string} variable Name of the variable with the branch name.
+ * @param {?string=} targetVariable Name of the variable with the target branch
+ * name, if this is a pull request build.
+ * @return {CIBranch} Branch information, or <code>null</code> if
+ * <code>variable</code> is not a branch name.
+ */
+function makeCIBranch(provider, env, variable, targetVariable) {
+  const branch = env[variable] && refToBranch(env[variable]);
+  if (!branch) {
+    return null;
+  }
+
+  const ciBranch = {
+    branch,
+    provider,
+    pullRequest: Boolean(targetVariable),
+    variable
+  };
+  const target = targetVariable && env[targetVariable];
+  if (target) {
+    ciBranch.targetBranch = refToBranch(target) || target;
+  }
+  return ciBranch;
+}
+
+/** Functions to get the branch from environment variables for each CI
+ * service.  Each returns <code>undefined</code> if the environment is not
+ * for that service, <code>null</code> if it is but the build is not for a
+ * branch (e.g. a tag build), or a {@link CIBranch}.
+ *
+ * @private
+ * @type {!Array<function(!Object<string,string>): CIBranch|undefined>}
+ */
+const providers = [
+  // https://docs.github.com/en/actions/learn-github-actions/variables
+  function githubActions(env) {
+    if (env.GITHUB_ACTIONS !== 'true') {
+      return undefined;
+    }
+    return env.GITHUB_HEAD_REF
+      ? makeCIBranch(
+        'GitHub Actions',
+        env,
+        'GITHUB_HEAD_REF',
+        'GITHUB_BASE_REF'
+      )
+      : makeCIBranch('GitHub Actions', env, 'GITHUB_REF');
+  },
+
+  // https://docs.gitlab.com/ee/ci/variables/predefined_variables.html
+  function gitlab(env) {
+    if (!env.GITLAB_CI) {
+      return undefined;
+    }
+    if (env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME) {
+      return makeCIBranch(
+        'GitLab CI',
+        env,
+        'CI_MERGE_REQUEST_SOURCE_BRANCH_NAME',
+        'CI_MERGE_REQUEST_TARGET_BRANCH_NAME'
+      );
+    }
+    return env.CI_COMMIT_TAG ? null
+      : makeCIBranch('GitLab CI', env, 'CI_COMMIT_REF_NAME');
+  },
+
+  // https://docs.travis-ci.com/user/environment-variables/
+  function travis(env) {
+    if (env.TRAVIS !== 'true') {
+      return undefined;
+    }
+    if (env.TRAVIS_PULL_REQUEST && env.TRAVIS_PULL_REQUEST !== 'false') {
+      return makeCIBranch(
+        'Travis CI',
+        env,
+        'TRAVIS_PULL_REQUEST_BRANCH',
+        'TRAVIS_BRANCH'
+      );
+    }
+    return env.TRAVIS_TAG ? null
+      : makeCIBranch('Travis CI', env, 'TRAVIS_BRANCH');
+  },
+
+  // https://www.appveyor.com/docs/environment-variables/
+  function appveyor(env) {
+    if (!/^true$/i.test(env.APPVEYOR)) {
+      return undefined;
+    }
+    if (env.APPVEYOR_PULL_REQUEST_NUMBER) {
+      return makeCIBranch(
+        'AppVeyor',
+        env,
+        'APPVEYOR_PULL_REQUEST_HEAD_REPO_BRANCH',
+        'APPVEYOR_REPO_BRANCH'
+      );
+    }
+    return /^true$/i.test(env.APPVEYOR_REPO_TAG) ? null
+      : makeCIBranch('AppVeyor', env, 'APPVEYOR_REPO_BRANCH');
+  },
+
+  // https://www.jenkins.io/doc/book/pipeline/multibranch/
+  // https://plugins.jenkins.io/git/#plugin-content-environment-variables
+  function jenkins(env) {
+    if (!env.JENKINS_URL) {
+      return undefined;
+    }
+    if (env.CHANGE_ID) {
+      return makeCIBranch('Jenkins', env, 'CHANGE_BRANCH', 'CHANGE_TARGET');
+    }
+    if (env.TAG_NAME) {
+      return null;
+    }
+    if (env.BRANCH_NAME) {
+      return makeCIBranch('Jenkins', env, 'BRANCH_NAME');
+    }
+    // The Git plugin sets GIT_BRANCH to the remote-tracking name
+    const ciBranch = makeCIBranch('Jenkins', env, 'GIT_BRANCH');
+    if (ciBranch && ciBranch.branch.slice(0, 7) === 'origin/') {
+      ciBranch.branch = ciBranch.branch.slice(7);
+    }
+    return ciBranch;
+  },
+
+  // https://circleci.com/docs/variables/
+  function circleci(env) {
+    if (env.CIRCLECI !== 'true') {
+      return undefined;
+    }
+    const ciBranch = makeCIBranch('CircleCI', env, 'CIRCLE_BRANCH');
+    if (ciBranch && env.CIRCLE_PULL_REQUEST) {
+      // CircleCI does not provide the target branch
+      ciBranch.pullRequest = true;
+    }
+    return ciBranch;
+  },
+
+  // https://learn.microsoft.com/en-us/azure/devops/pipelines/build/variables
+  function azurePipelines(env) {
+    if (!/^true$/i.test(env.TF_BUILD)) {
+      return undefined;
+    }
+    if (env.SYSTEM_PULLREQUEST_SOURCEBRANCH) {
+      return makeCIBranch(
+        'Azure Pipelines',
+        env,
+        'SYSTEM_PULLREQUEST_SOURCEBRANCH',
+        'SYSTEM_PULLREQUEST_TARGETBRANCH'
+      );
+    }
+    return makeCIBranch('Azure Pipelines', env, 'BUILD_SOURCEBRANCH');
+  },
+
+  // https://support.atlassian.com/bitbucket-cloud/docs/variables-and-secrets/
+  function bitbucket(env) {
+    if (!env.BITBUCKET_BUILD_NUMBER) {
+      return undefined;
+    }
+    return env.BITBUCKET_PR_ID
+      ? makeCIBranch(
+        'Bitbucket Pipelines',
+        env,
+        'BITBUCKET_BRANCH',
+        'BITBUCKET_PR_DESTINATION_BRANCH'
+      )
+      : makeCIBranch('Bitbucket Pipelines', env, 'BITBUCKET_BRANCH');
+  }
+];
+
+/** Gets the branch being built by a continuous integration service from
+ * environment variables.
+ *
+ * @param {!Object<string,string>} env Environment variables (e.g.
+ * <code>process.env</code>).
+ * @return {CIBranch} Branch being built, or <code>null</code> if it could not
+ * be determined from <code>env</code>.
+ */
+exports.getCIBranch = function getCIBranch(env) {
+  for (let i = 0; i < providers.length; i += 1) {
+    const ciBranch = providers[i](env);
+    if (ciBranch !== undefined) {
+      return ciBranch;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,173 @@
+/**
+ * Functions for finding and loading git-branch-is configuration files.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/config
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/** Names of configuration files, in order of precedence within a directory.
+ *
+ * @private
+ */
+const CONFIG_FILE_NAMES = [
+  '.gitbranchisrc',
+  '.gitbranchisrc.json',
+  '.gitbranchisrc.js',
+  'package.json'
+];
+
+/** Name of the property of <code>package.json</code> with configuration. */
+const PACKAGE_JSON_PROP = 'git-branch-is';
+
+/** Configuration loaded from a file.
+ *
+ * @typedef {{
+ *   config: !Object,
+ *   filepath: string
+ * }} LoadedConfig
+ * @property {!Object} config Configuration.  The <code>rules</code> property,
+ * if present, is an <code>Object</code> mapping rule names to
+ * {@link module:git-branch-is/lib/rules.BranchRule}.  The <code>refs</code>
+ * property, if present, is
+ * {@link module:git-branch-is/lib/ref-updates.RefRules}.
+ * @property {string} filepath Path of the file from which
+ * <code>config</code> was loaded.
+ */
+
+/** Validates configuration loaded from a file.
+ *
+ * @private
+ * @param {*} config Loaded configuration.
+ * @param {string} filepath Path from which <code>config</code> was loaded.
+ * @return {Error} Error describing why <code>config</code> is not valid, or
+ * <code>null</code> if it is valid.
+ */
+function validateConfig(config, filepath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return new TypeError(`Configuration in ${filepath} must be an object`);
+  }
+
+  const {rules} = config;
+  if (rules !== undefined
+      && (!rules || typeof rules !== 'object' || Array.isArray(rules))) {
+    return new TypeError(`rules in ${filepath} must be an object`);
+  }
+
+  const {refs} = config;
+  if (refs !== undefined
+      && (!refs || typeof refs !== 'object' || Array.isArray(refs))) {
+    return new TypeError(`refs in ${filepath} must be an object`);
+  }
+
+  return null;
+}
+
+/** Loads configuration from a file, if it exists and contains configuration.
+ *
+ * @private
+ * @param {string} filepath Path of file to load.
+ * @param {function(Error, LoadedConfig=)} callback Callback with the loaded
+ * configuration, <code>null</code> if the file does not exist (or is a
+ * <code>package.json</code> without configuration), or <code>Error</code> if
+ * it could not be loaded.
+ */
+function loadConfigFile(filepath, callback) {
+  if (path.extname(filepath) === '.js') {
+    fs.access(filepath, (errAccess) => {
+      if (errAccess) {
+        callback(errAccess.code === 'ENOENT' ? null : errAccess, null);
+        return;
+      }
+
+      let config;
+      try {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        config = require(filepath);
+      } catch (errRequire) {
+        errRequire.message =
+          `Unable to load ${filepath}: ${errRequire.message}`;
+        callback(errRequire);
+        return;
+      }
+
+      const errValid = validateConfig(config, filepath);
+      callback(errValid, errValid ? undefined : {config, filepath});
+    });
+    return;
+  }
+
+  fs.readFile(filepath, {encoding: 'utf8'}, (errRead, content) => {
+    if (errRead) {
+      callback(errRead.code === 'ENOENT' ? null : errRead, null);
+      return;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (errParse) {
+      errParse.message = `Unable to parse ${filepath}: ${errParse.message}`;
+      callback(errParse);
+      return;
+    }
+
+    if (path.basename(filepath) === 'package.json') {
+      config = config && config[PACKAGE_JSON_PROP];
+      if (config === undefined) {
+        callback(null, null);
+        return;
+      }
+    }
+
+    const errValid = validateConfig(config, filepath);
+    callback(errValid, errValid ? undefined : {config, filepath});
+  });
+}
+
+/** Finds and loads configuration from the closest configuration file in a
+ * given directory or its ancestors.
+ *
+ * In each directory, configuration is read from the first of
+ * <code>.gitbranchisrc</code> (JSON), <code>.gitbranchisrc.json</code>,
+ * <code>.gitbranchisrc.js</code> (module), or the <code>git-branch-is</code>
+ * property of <code>package.json</code> which exists.
+ *
+ * @param {string} dir Directory in which to start searching.
+ * @param {function(Error, LoadedConfig=)} callback Callback with the loaded
+ * configuration, <code>null</code> if no configuration file was found, or
+ * <code>Error</code> if one could not be loaded.
+ */
+exports.findConfig = function findConfig(dir, callback) {
+  dir = path.resolve(dir);
+
+  function tryFile(index) {
+    if (index >= CONFIG_FILE_NAMES.length) {
+      const parentDir = path.dirname(dir);
+      if (parentDir === dir) {
+        callback(null, null);
+      } else {
+        findConfig(parentDir, callback);
+      }
+      return;
+    }
+
+    loadConfigFile(
+      path.join(dir, CONFIG_FILE_NAMES[index]),
+      (err, loaded) => {
+        if (err || loaded) {
+          callback(err, loaded);
+        } else {
+          tryFile(index + 1);
+        }
+      }
+    );
+  }
+
+  tryFile(0);
+};
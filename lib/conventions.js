@@ -0,0 +1,266 @@
+/**
+ * Functions for checking branch names against naming conventions.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/conventions
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const {compileRule} = require('./rules');
+
+/** Branch naming convention.
+ *
+ * A branch name follows a convention if it is a valid branch name (see
+ * {@link checkRefFormat}) and either satisfies <code>exempt</code> or
+ * satisfies each of the <code>rules</code>.
+ *
+ * @typedef {{
+ *   description: (string|undefined),
+ *   example: (string|undefined),
+ *   exempt: (string|Array<string>|Object|undefined),
+ *   rules: !Object<string, (string|Array<string>|Object)>
+ * }} Convention
+ * @property {string=} description Description of the convention.
+ * @property {string=} example Example of a branch name which follows the
+ * convention.
+ * @property {(string|Array<string>|Object)=} exempt Rule for branches which
+ * are not subject to <code>rules</code> (e.g. <code>main</code>).
+ * @property {!Object<string, (string|Array<string>|Object)>} rules Rules, by
+ * name, which a branch name must satisfy.
+ * @see module:git-branch-is/lib/rules.BranchRule for the form of rules.
+ */
+
+/** Branches which are not subject to the rules of presets for topic
+ * branches.
+ *
+ * @private
+ */
+const LONG_LIVED_BRANCHES = Object.freeze(['develop', 'main', 'master']);
+
+/** Built-in conventions, by name. */
+exports.PRESETS = Object.freeze({
+  conventional: Object.freeze({
+    description: 'Conventional Commits type, then a lowercase description',
+    example: 'feat/add-login-page',
+    exempt: LONG_LIVED_BRANCHES,
+    rules: Object.freeze({
+      type: {
+        regex: '^(?:build|chore|ci|docs|feat|fix|perf|refactor|revert|style'
+          + '|test)/'
+      },
+      description: {regex: '^[^/]+/[a-z0-9]+(?:[-.][a-z0-9]+)*$'}
+    })
+  }),
+  gitflow: Object.freeze({
+    description: 'Git Flow branch types, with versions for releases',
+    example: 'feature/short-desc',
+    rules: Object.freeze({
+      type: {
+        branch: LONG_LIVED_BRANCHES,
+        regex: '^(?:bugfix|feature|hotfix|release|support)/.'
+      },
+      'release-version': {
+        not: {regex: '^release/(?!v?\\d+(?:\\.\\d+){0,2}$)'}
+      }
+    })
+  }),
+  'issue-key': Object.freeze({
+    description: 'Optional type, issue key, then a lowercase description',
+    example: 'feat/ABC-123-short-desc',
+    exempt: LONG_LIVED_BRANCHES,
+    rules: Object.freeze({
+      'issue-key': {regex: '^(?:[a-z]+/)?[A-Z][A-Z0-9]*-\\d+(?:-|$)'},
+      description: {regex: '^(?:[a-z]+/)?[A-Z][A-Z0-9]*-\\d+(?:-[a-z0-9]+)*$'}
+    })
+  })
+});
+
+/** Properties allowed in {@link Convention}.
+ *
+ * @private
+ */
+const CONVENTION_PROPS = ['description', 'example', 'exempt', 'rules'];
+
+/** Checks that a branch name is valid, according to the rules of
+ * <code>git check-ref-format --branch</code>.
+ *
+ * A valid name is not empty, <code>HEAD</code>, or <code>@</code>, does not
+ * start with <code>-</code> or <code>/</code>, does not end with
+ * <code>/</code> or <code>.</code>, does not contain control characters,
+ * space, <code>~ ^ : ? * [ \</code>, <code>..</code>, <code>@{</code>, or
+ * <code>//</code>, and has no <code>/</code>-separated component which starts
+ * with <code>.</code> or ends with <code>.lock</code>.
+ *
+ * @param {string} branchName Branch name (without <code>refs/heads/</code>).
+ * @return {?string} Description of why <code>branchName</code> is not valid,
+ * or <code>null</code> if it is valid.
+ */
+exports.checkRefFormat = function checkRefFormat(branchName) {
+  if (branchName.length === 0) {
+    return 'is empty';
+  }
+
+  if (branchName === 'HEAD') {
+    return 'is "HEAD"';
+  }
+
+  // @ alone is a shorthand for HEAD
+  if (branchName === '@') {
+    return 'is "@"';
+  }
+
+  if (branchName[0] === '-') {
+    return 'starts with "-"';
+  }
+
+  // eslint-disable-next-line no-control-regex
+  const invalidChar = /[\x00-\x20\x7f~^:?*[\\]/.exec(branchName);
+  if (invalidChar) {
+    return `contains ${JSON.stringify(invalidChar[0])}`;
+  }
+
+  const invalidSeq = /\.\.|@\{|\/\//.exec(branchName);
+  if (invalidSeq) {
+    return `contains "${invalidSeq[0]}"`;
+  }
+
+  if (branchName[0] === '/' || branchName[branchName.length - 1] === '/') {
+    return 'starts or ends with "/"';
+  }
+
+  if (branchName[branchName.length - 1] === '.') {
+    return 'ends with "."';
+  }
+
+  const components = branchName.split('/');
+  for (let i = 0; i < components.length; i += 1) {
+    const component = components[i];
+    if (component[0] === '.') {
+      return `has component "${component}" starting with "."`;
+    }
+
+    if (component.slice(-5) === '.lock') {
+      return `has component "${component}" ending with ".lock"`;
+    }
+  }
+
+  return null;
+};
+
+/** Failure of a branch name to follow a convention.
+ *
+ * @typedef {{
+ *   reason: string,
+ *   rule: ?string
+ * }} ConventionFailure
+ * @property {string} reason Description of why the rule is not satisfied.
+ * @property {?string} rule Name of the rule which is not satisfied, or
+ * <code>null</code> if the branch name is not valid (see
+ * {@link checkRefFormat}).
+ */
+
+/** Compiles a convention into a function for checking branch names.
+ *
+ * @param {!Convention} convention Convention to compile.
+ * @param {boolean=} ignoreCase Compare/match case-insensitively, if not
+ * specified by a rule.
+ * @return {function(string): ?ConventionFailure} Function which returns
+ * <code>null</code> if a given branch name follows the convention, or the
+ * rule it does not satisfy.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If a
+ * pattern in <code>convention</code> is not valid.
+ * @throws {TypeError} If <code>convention</code> is not valid.
+ */
+exports.compileConvention = function compileConvention(convention, ignoreCase) {
+  if (!convention
+      || typeof convention !== 'object'
+      || Array.isArray(convention)) {
+    throw new TypeError('convention must be an object');
+  }
+
+  Object.keys(convention).forEach((prop) => {
+    if (CONVENTION_PROPS.indexOf(prop) < 0) {
+      throw new TypeError(`Unknown convention property "${prop}"`);
+    }
+  });
+
+  const {rules} = convention;
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new TypeError('convention rules must be an object');
+  }
+
+  const checkExempt = convention.exempt === undefined ? null
+    : compileRule(convention.exempt, ignoreCase);
+  const ruleNames = Object.keys(rules);
+  const ruleChecks = ruleNames.map((ruleName) => {
+    try {
+      return compileRule(rules[ruleName], ignoreCase);
+    } catch (errRule) {
+      errRule.message = `Invalid rule "${ruleName}": ${errRule.message}`;
+      throw errRule;
+    }
+  });
+
+  return function checkConvention(branchName) {
+    const formatFailure = exports.checkRefFormat(branchName);
+    if (formatFailure !== null) {
+      return {reason: formatFailure, rule: null};
+    }
+
+    if (checkExempt && checkExempt(branchName) === null) {
+      return null;
+    }
+
+    for (let i = 0; i < ruleChecks.length; i += 1) {
+      const ruleFailure = ruleChecks[i](branchName);
+      if (ruleFailure !== null) {
+        return {reason: ruleFailure, rule: ruleNames[i]};
+      }
+    }
+
+    return null;
+  };
+};
+
+/** Loads a built-in convention or a convention from a JSON file.
+ *
+ * @param {string} presetOrFile Name of a convention in {@link PRESETS} or
+ * path of a JSON file containing a {@link Convention}.
+ * @param {string} dir Directory against which <code>presetOrFile</code> is
+ * resolved, if it is a path.
+ * @param {function(Error, Convention=)} callback Callback with the
+ * convention, or <code>Error</code> if it could not be loaded.
+ */
+exports.loadConvention = function loadConvention(presetOrFile, dir, callback) {
+  if (Object.prototype.hasOwnProperty.call(exports.PRESETS, presetOrFile)) {
+    process.nextTick(callback, null, exports.PRESETS[presetOrFile]);
+    return;
+  }
+
+  const filepath = path.resolve(dir, presetOrFile);
+  fs.readFile(filepath, {encoding: 'utf8'}, (errRead, content) => {
+    if (errRead) {
+      errRead.message = `"${presetOrFile}" is not a preset (${
+        Object.keys(exports.PRESETS).join(', ')}) or a readable file: ${
+        errRead.message}`;
+      callback(errRead);
+      return;
+    }
+
+    let convention;
+    try {
+      convention = JSON.parse(content);
+    } catch (errParse) {
+      errParse.message = `Unable to parse ${filepath}: ${errParse.message}`;
+      callback(errParse);
+      return;
+    }
+
+    callback(null, convention);
+  });
+};
@@ -0,0 +1,135 @@
+/**
+ * Error classes for failures which callers may need to distinguish.
+ *
+ * Each class has a <code>code</code> property (as Node.js system errors do)
+ * which identifies the failure without <code>instanceof</code>.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/errors
+ */
+
+'use strict';
+
+/** Error for git invocations which were aborted using the <code>signal</code>
+ * option.
+ *
+ * The <code>name</code> and <code>code</code> match the
+ * <code>AbortError</code> of Node.js APIs which accept an
+ * <code>AbortSignal</code>.
+ */
+class AbortError extends Error {
+  /** Constructs an AbortError.
+   *
+   * @param {string=} message Description of the error.
+   */
+  constructor(message) {
+    super(message || 'The operation was aborted');
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+exports.AbortError = AbortError;
+
+/** Error for git invocations which did not finish before the
+ * <code>timeout</code> option elapsed.
+ */
+class TimeoutError extends Error {
+  /** Constructs a TimeoutError.
+   *
+   * @param {string} message Description of the error.
+   * @param {number} timeout Number of milliseconds which elapsed.
+   */
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.timeout = timeout;
+  }
+}
+exports.TimeoutError = TimeoutError;
+
+/** Error for HEAD which is detached (i.e. not on a branch) when a branch is
+ * required.
+ */
+class DetachedHeadError extends Error {
+  /** Constructs a DetachedHeadError.
+   *
+   * @param {string} message Description of the error.
+   * @param {!HeadState} head State of HEAD.
+   */
+  constructor(message, head) {
+    super(message);
+    this.name = 'DetachedHeadError';
+    this.code = 'ERR_DETACHED_HEAD';
+    this.head = head;
+  }
+}
+exports.DetachedHeadError = DetachedHeadError;
+
+/** Error for a git executable which could not be found. */
+class GitNotFoundError extends Error {
+  /** Constructs a GitNotFoundError.
+   *
+   * @param {string} message Description of the error.
+   * @param {string} gitPath Name or path of the git executable.
+   */
+  constructor(message, gitPath) {
+    super(message);
+    this.name = 'GitNotFoundError';
+    this.code = 'ERR_GIT_NOT_FOUND';
+    this.gitPath = gitPath;
+  }
+}
+exports.GitNotFoundError = GitNotFoundError;
+
+/** Error for a branch name pattern (glob, RegExp, or semver range) which is
+ * not valid.
+ *
+ * It is a <code>SyntaxError</code>, which was thrown for invalid patterns
+ * before this class was added.
+ */
+class InvalidPatternError extends SyntaxError {
+  /** Constructs an InvalidPatternError.
+   *
+   * @param {string} message Description of the error.
+   * @param {string} pattern Pattern which is not valid.
+   */
+  constructor(message, pattern) {
+    super(message);
+    this.name = 'InvalidPatternError';
+    this.code = 'ERR_INVALID_PATTERN';
+    this.pattern = pattern;
+  }
+}
+exports.InvalidPatternError = InvalidPatternError;
+
+/** Error for a path which is not in a git repository. */
+class NotARepositoryError extends Error {
+  /** Constructs a NotARepositoryError.
+   *
+   * @param {string} message Description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'NotARepositoryError';
+    this.code = 'ERR_NOT_A_REPOSITORY';
+  }
+}
+exports.NotARepositoryError = NotARepositoryError;
+
+/** Compiles a regular expression, throwing {@link InvalidPatternError} if it
+ * is not valid.
+ *
+ * @param {string} pattern Source of the regular expression.
+ * @param {string=} flags Flags of the regular expression.
+ * @return {!RegExp} Compiled regular expression.
+ * @throws {InvalidPatternError} If <code>pattern</code> is not valid.
+ */
+exports.compileRegExp = function compileRegExp(pattern, flags) {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (errRegExp) {
+    throw new InvalidPatternError(errRegExp.message, pattern);
+  }
+};
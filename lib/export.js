@@ -0,0 +1,107 @@
+/**
+ * Functions for exporting the current branch as variables for shells and
+ * environment files.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/export
+ */
+
+'use strict';
+
+const {shellQuote} = require('./hooks');
+
+/** Maximum length of a slug, which is the maximum length of a DNS label.
+ *
+ * @private
+ */
+const SLUG_MAX_LENGTH = 63;
+
+/** Quotes a value for a dotenv file.
+ *
+ * Single quotes are preferred, since their content is not expanded.  Values
+ * containing single quotes are double-quoted, with <code>\</code> and
+ * <code>"</code> escaped.
+ *
+ * @private
+ * @param {string} value Value to quote.
+ * @return {string} Quoted value.
+ */
+function dotenvQuote(value) {
+  return value.indexOf('\'') < 0 ? `'${value}'`
+    : `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/** Escapes a value for a <code>set</code> command in a Windows batch file.
+ *
+ * The value is not quoted, since <code>"</code> in the value would end a
+ * quoted string.  Instead, characters which <code>cmd.exe</code> treats
+ * specially are escaped with <code>^</code>, and <code>%</code> is doubled,
+ * which is only correct in batch files (not at an interactive prompt).
+ * <code>!</code> is escaped for batch files without delayed expansion (the
+ * default).
+ *
+ * @private
+ * @param {string} value Value to escape.
+ * @return {string} Escaped value.
+ */
+function cmdEscape(value) {
+  return value
+    .replace(/[!"&()<>^|]/g, '^$&')
+    .replace(/%/g, '%%');
+}
+
+/** Functions to format a variable assignment, by format name. */
+const FORMATTERS = {
+  cmd: (name, value) => `set ${name}=${cmdEscape(value)}`,
+  dotenv: (name, value) => `${name}=${dotenvQuote(value)}`,
+  // PowerShell also treats typographic single quotes as quotes
+  powershell: (name, value) => `$env:${name} = '${
+    value.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`,
+  sh: (name, value) => `export ${name}=${shellQuote(value)}`
+};
+
+/** Names of the supported formats for {@link formatAssignments}. */
+exports.EXPORT_FORMATS = Object.freeze(Object.keys(FORMATTERS));
+
+/** Converts a branch name to a slug which is safe to use as a Docker tag or
+ * DNS label.
+ *
+ * The slug is lowercase, with each run of characters other than ASCII
+ * letters and digits replaced by <code>-</code>, without leading or trailing
+ * <code>-</code>, and at most 63 characters long.
+ *
+ * @param {string} branchName Branch name to convert.
+ * @return {string} Slug for <code>branchName</code>.  Empty if
+ * <code>branchName</code> has no ASCII letters or digits.
+ */
+exports.slugify = function slugify(branchName) {
+  return branchName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, '');
+};
+
+/** Formats variable assignments for a shell or environment file.
+ *
+ * @param {!Object<string, string>} vars Values to assign, by variable name.
+ * @param {string} format Format of the assignments.  One of
+ * {@link EXPORT_FORMATS}: <code>'sh'</code> (POSIX shell),
+ * <code>'cmd'</code> (Windows batch file), <code>'powershell'</code>, or
+ * <code>'dotenv'</code>.
+ * @return {string} Assignments, one per line, ending with a newline.
+ * @throws {RangeError} If <code>format</code> is not supported.
+ */
+exports.formatAssignments = function formatAssignments(vars, format) {
+  if (!Object.prototype.hasOwnProperty.call(FORMATTERS, format)) {
+    throw new RangeError(`Unsupported export format "${format}" (must be ${
+      exports.EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const formatter = FORMATTERS[format];
+  return Object.keys(vars)
+    .map((name) => `${formatter(name, vars[name])}\n`)
+    .join('');
+};
@@ -0,0 +1,552 @@
+/**
+ * Functions for reading the state of HEAD directly from the files in a git
+ * repository, without running git.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/fs-head
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const {NotARepositoryError} = require('./errors');
+
+/** Maximum number of tag objects to peel through when determining the commit
+ * to which a tag points, to avoid unbounded reads for malformed objects.
+ *
+ * @private
+ */
+const MAX_PEEL_DEPTH = 5;
+
+/** Maximum number of symbolic refs to follow when resolving a ref, as done by
+ * git.
+ *
+ * @private
+ */
+const MAX_SYMREF_DEPTH = 5;
+
+/** Prefixes removed to shorten ref names, in order of preference, as done by
+ * <code>git symbolic-ref --short</code> for unambiguous names.
+ *
+ * @private
+ */
+const SHORTEN_PREFIXES =
+  ['refs/heads/', 'refs/tags/', 'refs/remotes/', 'refs/'];
+
+function readFileP(filePath, encoding) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, encoding, (err, content) => {
+      if (err) { reject(err); } else { resolve(content); }
+    });
+  });
+}
+
+function readdirP(dirPath) {
+  return new Promise((resolve, reject) => {
+    fs.readdir(dirPath, (err, names) => {
+      if (err) { reject(err); } else { resolve(names); }
+    });
+  });
+}
+
+function statP(filePath) {
+  return new Promise((resolve, reject) => {
+    fs.stat(filePath, (err, stats) => {
+      if (err) { reject(err); } else { resolve(stats); }
+    });
+  });
+}
+
+/** Reads a file, if it exists.
+ *
+ * @private
+ * @param {string} filePath Path of file to read.
+ * @return {!Promise<?string>} Promise for the file content, or
+ * <code>null</code> if the file does not exist.
+ */
+function readFileIfExists(filePath) {
+  return readFileP(filePath, 'utf8').catch((err) => {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+      return null;
+    }
+    throw err;
+  });
+}
+
+/** Creates an <code>Error</code> for a path which is not a git repository.
+ *
+ * @private
+ * @param {string} dir Path which is not a repository.
+ * @return {!NotARepositoryError} Error for <code>dir</code>.
+ */
+function notARepository(dir) {
+  return new NotARepositoryError(`Not a git repository: ${dir}`);
+}
+
+/** Resolves a path which may be a git directory or a gitfile (i.e. a
+ * <code>.git</code> file containing <code>gitdir: &lt;path&gt;</code>, as
+ * used for worktrees and submodules).
+ *
+ * @private
+ * @param {string} gitPath Path to a git directory or gitfile.
+ * @return {!Promise<?string>} Promise for the path of the git directory, or
+ * <code>null</code> if <code>gitPath</code> does not exist.
+ */
+function resolveGitFile(gitPath) {
+  return statP(gitPath).then(
+    (stats) => {
+      if (stats.isDirectory()) {
+        return gitPath;
+      }
+
+      return readFileP(gitPath, 'utf8').then((content) => {
+        const match = /^gitdir: *(.*?)\s*$/m.exec(content);
+        if (!match) {
+          throw new Error(`Invalid gitfile format: ${gitPath}`);
+        }
+        return path.resolve(path.dirname(gitPath), match[1]);
+      });
+    },
+    (err) => {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+        return null;
+      }
+      throw err;
+    }
+  );
+}
+
+/** Finds the git directory for the repository containing a directory, in the
+ * same way as git (i.e. <code>.git</code> in the directory or its ancestors,
+ * or the directory itself if it is a bare repository).
+ *
+ * @private
+ * @param {string} dir Directory in which to start searching.
+ * @return {!Promise<string>} Promise for the path of the git directory.
+ */
+function discoverGitDir(dir) {
+  return resolveGitFile(path.join(dir, '.git'))
+    .then((gitDir) => {
+      if (gitDir) {
+        return gitDir;
+      }
+
+      // Check if dir is a bare repository
+      return Promise.all([
+        statP(path.join(dir, 'HEAD')),
+        statP(path.join(dir, 'objects')),
+        statP(path.join(dir, 'refs'))
+      ]).then(
+        () => dir,
+        () => {
+          const parentDir = path.dirname(dir);
+          if (parentDir === dir) {
+            return null;
+          }
+          return discoverGitDir(parentDir);
+        }
+      );
+    });
+}
+
+/** Shortens a ref name, like <code>git symbolic-ref --short</code>, without
+ * checking whether the short name is ambiguous (e.g. <code>foo</code> for
+ * <code>refs/heads/foo</code>, rather than <code>heads/foo</code>, when
+ * <code>refs/tags/foo</code> exists).
+ *
+ * @param {string} refName Full name of ref.
+ * @return {string} Short name of ref.
+ */
+exports.shortenRef = function shortenRef(refName) {
+  for (let i = 0; i < SHORTEN_PREFIXES.length; i += 1) {
+    const prefix = SHORTEN_PREFIXES[i];
+    if (refName.slice(0, prefix.length) === prefix) {
+      return refName.slice(prefix.length);
+    }
+  }
+  return refName;
+};
+
+/** Reads the names and values of loose refs in a directory, recursively.
+ *
+ * @private
+ * @param {string} refsDir Path of directory containing loose refs.
+ * @param {string} prefix Ref name prefix for refs in <code>refsDir</code>.
+ * @return {!Promise<!Object<string,string>>} Promise for an object mapping
+ * ref names to object names.
+ */
+function readLooseRefs(refsDir, prefix) {
+  return readdirP(refsDir).then(
+    (names) => Promise.all(names.map((name) => {
+      const refPath = path.join(refsDir, name);
+      return statP(refPath).then((stats) => {
+        if (stats.isDirectory()) {
+          return readLooseRefs(refPath, `${prefix}${name}/`);
+        }
+        return readFileP(refPath, 'utf8').then((content) => {
+          const refs = {};
+          refs[prefix + name] = content.trim();
+          return refs;
+        });
+      });
+    }))
+      .then((refsList) => Object.assign({}, ...refsList)),
+    (err) => {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw err;
+    }
+  );
+}
+
+/** Reads the packed refs of a repository.
+ *
+ * @private
+ * @param {string} commonDir Path of the common git directory.
+ * @return {!Promise<!Object<string,!{oid: string, peeled: ?string}>>}
+ * Promise for an object mapping ref names to object names and, for annotated
+ * tags, the peeled object name.
+ */
+function readPackedRefs(commonDir) {
+  return readFileIfExists(path.join(commonDir, 'packed-refs'))
+    .then((content) => {
+      const packedRefs = {};
+      let lastRef = null;
+      (content || '').split('\n').forEach((line) => {
+        if (line[0] === '^' && lastRef) {
+          lastRef.peeled = line.slice(1).trim();
+          return;
+        }
+
+        const match = /^([0-9a-f]+) (\S+)/.exec(line);
+        if (match) {
+          lastRef = {oid: match[1], peeled: null};
+          packedRefs[match[2]] = lastRef;
+        } else {
+          lastRef = null;
+        }
+      });
+      return packedRefs;
+    });
+}
+
+/** Peels a tag object to the object it points to, if it is stored as a loose
+ * object.
+ *
+ * @private
+ * @param {string} commonDir Path of the common git directory.
+ * @param {string} oid Object name to peel.
+ * @param {number} depth Remaining number of tags to peel through.
+ * @return {!Promise<string>} Promise for the peeled object name, or
+ * <code>oid</code> if it is not a loose tag object.
+ */
+function peelLooseTag(commonDir, oid, depth) {
+  const objectPath =
+    path.join(commonDir, 'objects', oid.slice(0, 2), oid.slice(2));
+  return readFileP(objectPath).then(
+    (compressed) => {
+      const object = zlib.inflateSync(compressed).toString('latin1');
+      const match = /^tag \d+\0object ([0-9a-f]+)\n/.exec(object);
+      if (!match || depth <= 1) {
+        return match ? match[1] : oid;
+      }
+      return peelLooseTag(commonDir, match[1], depth - 1);
+    },
+    // Object is packed (or missing).  Treat as not a tag.
+    () => oid
+  );
+}
+
+/** Gets the names of tags which point to a given commit, like
+ * <code>git tag --points-at</code>.
+ *
+ * Annotated tags are only peeled if they are packed refs or loose objects.
+ *
+ * @private
+ * @param {string} commonDir Path of the common git directory.
+ * @param {string} commit Object name of commit.
+ * @return {!Promise<!Array<string>>} Promise for the sorted names of tags which
+ * point to <code>commit</code>.
+ */
+function getTagsPointingAt(commonDir, commit) {
+  return Promise.all([
+    readPackedRefs(commonDir),
+    readLooseRefs(path.join(commonDir, 'refs', 'tags'), 'refs/tags/')
+  ]).then((results) => {
+    const [packedRefs, looseRefs] = results;
+    const tagRefs = {};
+    Object.keys(packedRefs).forEach((refName) => {
+      if (refName.slice(0, 10) === 'refs/tags/') {
+        tagRefs[refName] = packedRefs[refName];
+      }
+    });
+    // Loose refs take precedence over packed refs
+    Object.keys(looseRefs).forEach((refName) => {
+      tagRefs[refName] = {oid: looseRefs[refName], peeled: null};
+    });
+
+    const refNames = Object.keys(tagRefs);
+    return Promise.all(refNames.map((refName) => {
+      const tagRef = tagRefs[refName];
+      if (tagRef.oid === commit || tagRef.peeled === commit) {
+        return true;
+      }
+      if (tagRef.peeled) {
+        return false;
+      }
+      return peelLooseTag(commonDir, tagRef.oid, MAX_PEEL_DEPTH)
+        .then((peeled) => peeled === commit);
+    }))
+      .then((pointsAt) => refNames
+        .filter((refName, i) => pointsAt[i])
+        .map((refName) => refName.slice(10))
+        .sort());
+  });
+}
+
+/** Files in the git directory which indicate an operation is in progress,
+ * with the name of the operation, in order of precedence.
+ *
+ * @private
+ */
+const OPERATION_FILES = [
+  ['rebase-merge/head-name', 'rebase'],
+  ['rebase-apply/applying', 'am'],
+  ['rebase-apply/head-name', 'rebase'],
+  ['MERGE_HEAD', 'merge'],
+  ['CHERRY_PICK_HEAD', 'cherry-pick'],
+  ['REVERT_HEAD', 'revert'],
+  ['BISECT_START', 'bisect']
+];
+
+/** Resolves a ref to the object name to which it points, following symbolic
+ * refs.
+ *
+ * @private
+ * @param {string} commonDir Path of the common git directory.
+ * @param {string} refName Full name of ref to resolve.
+ * @param {number} depth Remaining number of symbolic refs to follow.
+ * @return {!Promise<?string>} Promise for the object name, or
+ * <code>null</code> if the ref does not exist.
+ */
+function resolveRef(commonDir, refName, depth) {
+  return readFileIfExists(path.join(commonDir, refName))
+    .then((content) => {
+      if (content === null) {
+        return readPackedRefs(commonDir).then((packedRefs) => {
+          const packedRef = packedRefs[refName];
+          return packedRef ? packedRef.oid : null;
+        });
+      }
+
+      const symref = /^ref: *(\S+)/.exec(content);
+      if (!symref) {
+        return content.trim();
+      }
+      return depth > 1 ? resolveRef(commonDir, symref[1], depth - 1) : null;
+    });
+}
+
+/** Options for {@link readHead}.
+ *
+ * @typedef {{
+ *   cwd: (?string|undefined),
+ *   gitDir: (?string|undefined)
+ * }} ReadHeadOptions
+ * @property {?string=} cwd Current working directory from which the repository
+ * is discovered.
+ * @property {?string=} gitDir Path to the repository, relative to
+ * <code>cwd</code>.  If not specified, <code>GIT_DIR</code> from the
+ * environment is used, if set.
+ */
+
+/** Finds the git directory of a repository, in the same way as git.
+ *
+ * Handles gitfiles (for worktrees and submodules) and the
+ * <code>GIT_DIR</code> environment variable.
+ *
+ * @param {!ReadHeadOptions} options Options.
+ * @return {!Promise<string>} Promise for the path of the git directory.
+ */
+exports.findGitDir = function findGitDir(options) {
+  const cwd = path.resolve(options.cwd || '.');
+  const gitDirOpt = options.gitDir || process.env.GIT_DIR;
+
+  const gitDirPromise = gitDirOpt
+    ? resolveGitFile(path.resolve(cwd, gitDirOpt))
+    : statP(cwd).then(() => discoverGitDir(cwd));
+
+  return gitDirPromise.then((gitDir) => {
+    if (!gitDir) {
+      throw notARepository(gitDirOpt ? path.resolve(cwd, gitDirOpt) : cwd);
+    }
+    return gitDir;
+  });
+};
+
+/** Operation in progress in a git repository.
+ *
+ * @typedef {{
+ *   branch: ?string,
+ *   operation: string
+ * }} Operation
+ * @property {?string} branch Name of the branch on which the operation was
+ * started, if known.
+ * @property {string} operation Name of the operation (<code>'am'</code>,
+ * <code>'bisect'</code>, <code>'cherry-pick'</code>, <code>'merge'</code>,
+ * <code>'rebase'</code>, or <code>'revert'</code>).
+ */
+
+/** Reads the operation (e.g. rebase or bisect) in progress in a git
+ * directory, if any.
+ *
+ * @param {string} gitDir Path of the git directory (of the worktree).
+ * @return {!Promise<Operation>} Promise for the operation in progress, or
+ * <code>null</code> if there is none.
+ */
+exports.readOperation = function readOperation(gitDir) {
+  return Promise.all(OPERATION_FILES.map(
+    (operationFile) => readFileIfExists(path.join(gitDir, operationFile[0]))
+  ))
+    .then((contents) => {
+      const opInd = contents.findIndex((content) => content !== null);
+      if (opInd < 0) {
+        return null;
+      }
+
+      const operationFile = OPERATION_FILES[opInd];
+      let branch = null;
+      if (/head-name$/.test(operationFile[0])
+          || operationFile[1] === 'bisect') {
+        // head-name contains a ref name or "detached HEAD".
+        // BISECT_START contains a short branch name or commit hash.
+        const start = contents[opInd].trim();
+        if (start.slice(0, 11) === 'refs/heads/') {
+          branch = start.slice(11);
+        } else if (operationFile[1] === 'bisect'
+            && start
+            && !/^[0-9a-f]{40}([0-9a-f]{24})?$/.test(start)) {
+          branch = start;
+        }
+      }
+
+      return {
+        branch,
+        operation: operationFile[1]
+      };
+    });
+};
+
+/** Finds refs, other than the branch, which a short branch name could refer
+ * to according to the git rules for resolving ref names (see
+ * <code>gitrevisions(7)</code>).
+ *
+ * @param {string} gitDir Path of the git directory.
+ * @param {string} branch Short name of branch.
+ * @return {!Promise<!Array<string>>} Promise for the full names of the refs
+ * (e.g. <code>refs/tags/&lt;branch&gt;</code>) which exist.
+ */
+exports.findAmbiguousRefs = function findAmbiguousRefs(gitDir, branch) {
+  const candidates = [
+    `refs/${branch}`,
+    `refs/tags/${branch}`,
+    `refs/remotes/${branch}`,
+    `refs/remotes/${branch}/HEAD`
+  ];
+
+  return readFileIfExists(path.join(gitDir, 'commondir'))
+    .then((commonDirContent) => {
+      const commonDir = commonDirContent
+        ? path.resolve(gitDir, commonDirContent.trim())
+        : gitDir;
+      return Promise.all([
+        readPackedRefs(commonDir),
+        Promise.all(candidates.map((refName) => statP(
+          path.join(commonDir, refName)
+        ).then((stats) => stats.isFile(), () => false)))
+      ]);
+    })
+    .then((results) => {
+      const [packedRefs, isLoose] = results;
+      return candidates.filter((refName, i) => isLoose[i]
+        || Object.prototype.hasOwnProperty.call(packedRefs, refName));
+    });
+};
+
+/** Reads the names of tags which point to HEAD directly from the files in a
+ * git repository, like <code>git tag --points-at HEAD</code>.
+ *
+ * @param {!ReadHeadOptions} options Options.
+ * @return {!Promise<!Array<string>>} Promise for the sorted names of tags
+ * which point to HEAD (or an empty Array if HEAD is an unborn branch).
+ */
+exports.readTags = function readTags(options) {
+  return exports.findGitDir(options).then((gitDir) => Promise.all([
+    readFileIfExists(path.join(gitDir, 'HEAD')),
+    readFileIfExists(path.join(gitDir, 'commondir'))
+  ]).then((contents) => {
+    const [headContent, commonDirContent] = contents;
+    if (headContent === null) {
+      throw notARepository(gitDir);
+    }
+
+    const commonDir = commonDirContent
+      ? path.resolve(gitDir, commonDirContent.trim())
+      : gitDir;
+    const symref = /^ref: *(\S+)/.exec(headContent);
+    const commitPromise = symref
+      ? resolveRef(commonDir, symref[1], MAX_SYMREF_DEPTH)
+      : Promise.resolve(headContent.trim());
+    return commitPromise.then((commit) => (commit === null ? []
+      : getTagsPointingAt(commonDir, commit)));
+  }));
+};
+
+/** Reads the state of HEAD directly from the files in a git repository.
+ *
+ * Handles gitfiles (for worktrees and submodules), <code>commondir</code>,
+ * the <code>GIT_DIR</code> environment variable, and packed refs.
+ *
+ * @param {!ReadHeadOptions} options Options.
+ * @return {!Promise<!HeadState>} Promise for the state of HEAD.
+ */
+exports.readHead = function readHead(options) {
+  return exports.findGitDir(options).then((gitDir) => Promise.all([
+    readFileIfExists(path.join(gitDir, 'HEAD')),
+    readFileIfExists(path.join(gitDir, 'commondir'))
+  ]).then((contents) => {
+    const [headContent, commonDirContent] = contents;
+    if (headContent === null) {
+      throw notARepository(gitDir);
+    }
+
+    const symref = /^ref: *(\S+)/.exec(headContent);
+    if (symref) {
+      return {
+        branch: exports.shortenRef(symref[1]),
+        detached: false,
+        ref: symref[1]
+      };
+    }
+
+    const commit = headContent.trim();
+    if (!/^[0-9a-f]{40}([0-9a-f]{24})?$/.test(commit)) {
+      throw new Error(`Invalid HEAD in ${gitDir}: ${commit}`);
+    }
+
+    const commonDir = commonDirContent
+      ? path.resolve(gitDir, commonDirContent.trim())
+      : gitDir;
+    return getTagsPointingAt(commonDir, commit).then((tags) => ({
+      branch: null,
+      commit,
+      detached: true,
+      tags
+    }));
+  }));
+};
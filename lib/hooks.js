@@ -0,0 +1,218 @@
+/**
+ * Functions for installing and uninstalling git hooks which run
+ * git-branch-is.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/hooks
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/** Names of hooks which can be installed. */
+exports.HOOK_NAMES = Object.freeze(['post-checkout', 'pre-commit', 'pre-push']);
+
+/** First line of the block managed in hook scripts.
+ *
+ * @private
+ */
+const BLOCK_BEGIN = '# BEGIN git-branch-is install-hook';
+
+/** Last line of the block managed in hook scripts.
+ *
+ * @private
+ */
+const BLOCK_END = '# END git-branch-is install-hook';
+
+/** Pattern matching the managed block, including its trailing newline.
+ *
+ * @private
+ */
+const BLOCK_RE =
+  /^# BEGIN git-branch-is install-hook\n(?:.*\n)*?# END git-branch-is install-hook(?:\n|$)/m;
+
+/** Pattern matching a shebang line for a POSIX-compatible shell.
+ *
+ * @private
+ */
+const SH_SHEBANG_RE = /^#!.*\b(?:ba|da|k|z)?sh\b/;
+
+/** Quotes an argument for a POSIX shell.
+ *
+ * @param {string} arg Argument to quote.
+ * @return {string} <code>arg</code>, quoted if necessary.
+ */
+exports.shellQuote = function shellQuote(arg) {
+  return /^[\w%+,./:=@-]+$/.test(arg) ? arg
+    : `'${arg.replace(/'/g, '\'\\\'\'')}'`;
+};
+
+/** Formats the block of shell script to manage in a hook.
+ *
+ * Since the block runs before any existing commands in the hook, the input to
+ * a <code>pre-push</code> hook is saved and given to both the command and
+ * the commands which follow the block.
+ *
+ * @param {string} hookName Name of the hook (e.g. <code>pre-commit</code>).
+ * @param {string} commandLine Command to run in the hook.
+ * @param {boolean=} forwardArgs Pass the arguments of the hook to the
+ * command (e.g. the remote name and URL for <code>--pre-push</code>).
+ * @return {string} Block of shell script, ending with a newline.
+ */
+exports.formatHookBlock =
+function formatHookBlock(hookName, commandLine, forwardArgs) {
+  const command = forwardArgs ? `${commandLine} "$@"` : commandLine;
+  let lines;
+  if (hookName === 'post-checkout') {
+    // post-checkout is also run for file checkouts (with $3 = 0).  Skip those.
+    lines = `if [ "$3" = 1 ]; then ${command} || exit $?; fi\n`;
+  } else if (hookName === 'pre-push') {
+    lines = `git_branch_is_stdin=$(cat)
+if [ -n "$git_branch_is_stdin" ]; then
+  printf '%s\\n' "$git_branch_is_stdin"
+fi | ${command} || exit $?
+if [ -n "$git_branch_is_stdin" ]; then
+  exec <<GIT_BRANCH_IS_STDIN
+$git_branch_is_stdin
+GIT_BRANCH_IS_STDIN
+else
+  exec </dev/null
+fi
+`;
+  } else {
+    lines = `${command} || exit $?\n`;
+  }
+  return `${BLOCK_BEGIN}\n${lines}${BLOCK_END}\n`;
+};
+
+/** Adds a managed block to the content of a hook script, or replaces the
+ * managed block if there is one.
+ *
+ * The block is added after the shebang line, so that it runs before (and may
+ * exit before) any existing commands.
+ *
+ * @param {?string} content Content of the hook script, or <code>null</code>
+ * if it does not exist.
+ * @param {string} block Managed block from {@link formatHookBlock}.
+ * @return {string} Content of the hook script with <code>block</code>.
+ * @throws {Error} If <code>content</code> is not a shell script.
+ */
+exports.addHookBlock = function addHookBlock(content, block) {
+  if (!content) {
+    return `#!/bin/sh\n${block}`;
+  }
+
+  if (BLOCK_RE.test(content)) {
+    return content.replace(BLOCK_RE, block);
+  }
+
+  if (content.slice(0, 2) !== '#!') {
+    return block + content;
+  }
+
+  if (!SH_SHEBANG_RE.test(content)) {
+    throw new Error('Existing hook is not a shell script');
+  }
+
+  const lineEnd = content.indexOf('\n');
+  return lineEnd < 0 ? `${content}\n${block}`
+    : content.slice(0, lineEnd + 1) + block + content.slice(lineEnd + 1);
+};
+
+/** Removes the managed block from the content of a hook script.
+ *
+ * @param {string} content Content of the hook script.
+ * @return {?string} Content of the hook script without the managed block,
+ * or <code>null</code> if nothing other than a shebang line and blank lines
+ * remain.
+ */
+exports.removeHookBlock = function removeHookBlock(content) {
+  const remaining = content.replace(BLOCK_RE, '');
+  return /^(?:#!.*)?\s*$/.test(remaining) ? null : remaining;
+};
+
+/** Installs a managed block in a hook script, creating the script if it does
+ * not exist.
+ *
+ * @param {string} hookPath Path of the hook script.
+ * @param {string} block Managed block from {@link formatHookBlock}.
+ * @param {function(Error, boolean=)} callback Callback with
+ * <code>true</code> if the hook script was changed, <code>false</code> if
+ * the block was already installed, or <code>Error</code> if it could not be
+ * installed.
+ */
+exports.installHook = function installHook(hookPath, block, callback) {
+  fs.readFile(hookPath, {encoding: 'utf8'}, (errRead, content) => {
+    if (errRead && errRead.code !== 'ENOENT') {
+      callback(errRead);
+      return;
+    }
+
+    let newContent;
+    try {
+      newContent = exports.addHookBlock(content || null, block);
+    } catch (errAdd) {
+      errAdd.message = `Unable to install in ${hookPath}: ${errAdd.message}`;
+      callback(errAdd);
+      return;
+    }
+
+    if (newContent === content) {
+      callback(null, false);
+      return;
+    }
+
+    fs.writeFile(hookPath, newContent, {mode: 0o755}, (errWrite) => {
+      if (errWrite) {
+        callback(errWrite);
+        return;
+      }
+
+      // Ensure an existing hook is executable, so the block will run
+      fs.stat(hookPath, (errStat, stats) => {
+        if (errStat) {
+          callback(errStat);
+          return;
+        }
+
+        // eslint-disable-next-line no-bitwise
+        fs.chmod(hookPath, stats.mode | 0o111, (errChmod) => {
+          callback(errChmod, errChmod ? undefined : true);
+        });
+      });
+    });
+  });
+};
+
+/** Removes the managed block from a hook script, deleting the script if
+ * nothing else remains.
+ *
+ * @param {string} hookPath Path of the hook script.
+ * @param {function(Error, boolean=)} callback Callback with
+ * <code>true</code> if the block was removed, <code>false</code> if the hook
+ * script does not exist or does not contain the block, or
+ * <code>Error</code> if it could not be removed.
+ */
+exports.uninstallHook = function uninstallHook(hookPath, callback) {
+  fs.readFile(hookPath, {encoding: 'utf8'}, (errRead, content) => {
+    if (errRead) {
+      callback(errRead.code === 'ENOENT' ? null : errRead, false);
+      return;
+    }
+
+    if (!BLOCK_RE.test(content)) {
+      callback(null, false);
+      return;
+    }
+
+    const newContent = exports.removeHookBlock(content);
+    const done = (err) => callback(err, err ? undefined : true);
+    if (newContent === null) {
+      fs.unlink(hookPath, done);
+    } else {
+      fs.writeFile(hookPath, newContent, done);
+    }
+  });
+};
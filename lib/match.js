@@ -0,0 +1,65 @@
+/**
+ * Functions for matching branch names against expected names or patterns.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/match
+ */
+
+'use strict';
+
+/** Matches a branch name against an expected name or pattern.
+ *
+ * @param {string} branchName Branch name to match.
+ * @param {string|!RegExp} expectedName Expected name or pattern.
+ * @param {RegExp} expectedRegExp Compiled pattern for
+ * <code>expectedName</code>, if it is a glob pattern (or RegExp source).
+ * @param {boolean} ignoreCase Compare branch names case-insensitively.
+ * @param {boolean} fullName <code>branchName</code> is a full name.  Names
+ * which do not start with <code>refs/</code> are compared as branches in
+ * <code>refs/heads/</code>.
+ * @return {?{
+ *   branch: string,
+ *   expected: (string|RegExp),
+ *   groups: !Object<string, (string|undefined)>,
+ *   match: !Array<(string|undefined)>
+ * }} Match of <code>branchName</code> (the <code>BranchMatch</code> of
+ * <code>gitBranchIs</code>), or <code>null</code> if it does not match.
+ */
+exports.matchBranch = function matchBranch(
+  branchName,
+  expectedName,
+  expectedRegExp,
+  ignoreCase,
+  fullName
+) {
+  const regExp = expectedName instanceof RegExp ? expectedName
+    : expectedRegExp;
+  if (regExp) {
+    // Reset lastIndex of global and sticky RegExps (as String#match does)
+    regExp.lastIndex = 0;
+    const match = regExp.exec(branchName);
+    return !match ? null : {
+      branch: branchName,
+      expected: expectedName,
+      groups: Object.assign({}, match.groups),
+      match: Array.from(match)
+    };
+  }
+
+  const compareName = fullName
+    && typeof expectedName === 'string'
+    && expectedName.slice(0, 5) !== 'refs/'
+    ? `refs/heads/${expectedName}`
+    : expectedName;
+  const isMatch = branchName === compareName
+    || (ignoreCase
+      && typeof compareName === 'string'
+      && branchName.toUpperCase() === compareName.toUpperCase());
+  return !isMatch ? null : {
+    branch: branchName,
+    expected: expectedName,
+    groups: {},
+    match: [branchName]
+  };
+};
@@ -0,0 +1,234 @@
+/**
+ * Functions for parsing, describing, and checking updates to refs, as given to
+ * git hooks.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/ref-updates
+ */
+
+'use strict';
+
+const {compileRule} = require('./rules');
+
+/** Names of operations on refs, as returned by {@link getOperation}. */
+exports.OPERATIONS =
+  Object.freeze(['create', 'delete', 'non-fast-forward', 'update']);
+
+/** Update of a ref.
+ *
+ * @typedef {{
+ *   localRef: ?string,
+ *   newCommit: ?string,
+ *   oldCommit: ?string,
+ *   ref: string
+ * }} RefUpdate
+ * @property {?string} localRef Full name of the local ref being pushed (e.g.
+ * <code>refs/heads/main</code>), or <code>null</code> if the ref is being
+ * deleted or the update was received (rather than pushed).
+ * @property {?string} newCommit Hash of the object to which the ref is
+ * updated, or <code>null</code> if the ref is being deleted.
+ * @property {?string} oldCommit Hash of the object to which the ref currently
+ * points, or <code>null</code> if the ref is being created.
+ * @property {string} ref Full name of the ref being updated (e.g.
+ * <code>refs/heads/main</code>).
+ */
+
+/** Pattern matching an object name, including the all-zero name of a missing
+ * object.
+ *
+ * @private
+ */
+const OBJECT_NAME_RE = /^[0-9a-f]{40}(?:[0-9a-f]{24})?$/;
+
+/** Converts an object name to a commit for {@link RefUpdate}.
+ *
+ * @private
+ * @param {string} objectName Object name.
+ * @return {?string} <code>objectName</code>, or <code>null</code> if it is
+ * all zeros.
+ */
+function toCommit(objectName) {
+  return /^0+$/.test(objectName) ? null : objectName;
+}
+
+/** Parses the lines given on stdin to a <code>pre-push</code> hook.
+ *
+ * Each line has the form
+ * <code>&lt;local ref&gt; &lt;local sha&gt; &lt;remote ref&gt;
+ * &lt;remote sha&gt;</code>.
+ *
+ * @param {string} input Input to the <code>pre-push</code> hook.
+ * @return {!Array<!RefUpdate>} Updates to remote refs, in the order given.
+ * @throws {SyntaxError} If <code>input</code> contains an invalid line.
+ */
+exports.parsePrePushInput = function parsePrePushInput(input) {
+  return input.split('\n')
+    .filter((line) => line.length > 0)
+    .map((line) => {
+      const parts = line.split(' ');
+      if (parts.length !== 4
+          || !OBJECT_NAME_RE.test(parts[1])
+          || !OBJECT_NAME_RE.test(parts[3])) {
+        throw new SyntaxError(`Invalid pre-push input line "${line}"`);
+      }
+
+      const newCommit = toCommit(parts[1]);
+      return {
+        // Local ref is "(delete)" when deleting
+        localRef: newCommit === null ? null : parts[0],
+        newCommit,
+        oldCommit: toCommit(parts[3]),
+        ref: parts[2]
+      };
+    });
+};
+
+/** Parses the lines given on stdin to a <code>pre-receive</code> (or
+ * <code>post-receive</code>) hook.
+ *
+ * Each line has the form
+ * <code>&lt;old sha&gt; &lt;new sha&gt; &lt;ref&gt;</code>.
+ *
+ * @param {string} input Input to the <code>pre-receive</code> hook.
+ * @return {!Array<!RefUpdate>} Updates to refs, in the order given.
+ * @throws {SyntaxError} If <code>input</code> contains an invalid line.
+ */
+exports.parsePreReceiveInput = function parsePreReceiveInput(input) {
+  return input.split('\n')
+    .filter((line) => line.length > 0)
+    .map((line) => {
+      const parts = line.split(' ');
+      if (parts.length !== 3
+          || !OBJECT_NAME_RE.test(parts[0])
+          || !OBJECT_NAME_RE.test(parts[1])) {
+        throw new SyntaxError(`Invalid pre-receive input line "${line}"`);
+      }
+
+      return {
+        localRef: null,
+        newCommit: toCommit(parts[1]),
+        oldCommit: toCommit(parts[0]),
+        ref: parts[2]
+      };
+    });
+};
+
+/** Parses the arguments given to an <code>update</code> hook.
+ *
+ * @param {!Array<string>} args Arguments to the <code>update</code> hook:
+ * <code>&lt;ref&gt; &lt;old sha&gt; &lt;new sha&gt;</code>.
+ * @return {!RefUpdate} Update to the ref.
+ * @throws {SyntaxError} If <code>args</code> are not valid.
+ */
+exports.parseUpdateArgs = function parseUpdateArgs(args) {
+  if (args.length !== 3
+      || !OBJECT_NAME_RE.test(args[1])
+      || !OBJECT_NAME_RE.test(args[2])) {
+    throw new SyntaxError(`Invalid update hook arguments "${args.join(' ')}"`);
+  }
+
+  return {
+    localRef: null,
+    newCommit: toCommit(args[2]),
+    oldCommit: toCommit(args[1]),
+    ref: args[0]
+  };
+};
+
+/** Gets the name of an updated ref to compare with expected names.
+ *
+ * @param {string} ref Full name of the ref.
+ * @param {boolean=} fullName Get the full name of branches (e.g.
+ * <code>refs/heads/main</code>).
+ * @return {string} Name of the branch, if <code>ref</code> is a branch and
+ * <code>fullName</code> is not set, otherwise <code>ref</code>.
+ */
+exports.getRefName = function getRefName(ref, fullName) {
+  return !fullName && ref.slice(0, 11) === 'refs/heads/' ? ref.slice(11)
+    : ref;
+};
+
+/** Gets the type of operation performed by an update.
+ *
+ * @param {!RefUpdate} update Update to a ref.
+ * @param {boolean} isFastForward Is <code>update.newCommit</code> a
+ * descendant of <code>update.oldCommit</code>?  Ignored for creation and
+ * deletion.
+ * @return {string} <code>'create'</code>, <code>'delete'</code>,
+ * <code>'update'</code> (fast-forward), or <code>'non-fast-forward'</code>.
+ */
+exports.getOperation = function getOperation(update, isFastForward) {
+  return update.oldCommit === null ? 'create'
+    : update.newCommit === null ? 'delete'
+      : isFastForward ? 'update'
+        : 'non-fast-forward';
+};
+
+/** Rules for the refs which may be changed by each operation.
+ *
+ * An operation on a ref is allowed if the name of the ref (see
+ * {@link getRefName}) does not satisfy the <code>deny</code> rule (if any)
+ * and satisfies the <code>allow</code> rule (if any) for the operation.
+ * Operations without rules are allowed.
+ *
+ * @typedef {Object<string, {
+ *   allow: (string|Array<string>|Object|undefined),
+ *   deny: (string|Array<string>|Object|undefined)
+ * }>} RefRules
+ * @see module:git-branch-is/lib/rules.BranchRule for the form of
+ * <code>allow</code> and <code>deny</code>.
+ */
+
+/** Compiles rules for the refs which may be changed by each operation into a
+ * function for checking operations on refs.
+ *
+ * @param {!RefRules} refRules Rules for each operation in
+ * {@link OPERATIONS}.
+ * @param {boolean=} ignoreCase Compare/match case-insensitively, if not
+ * specified by a rule.
+ * @return {function(string, string): ?string} Function which returns
+ * <code>null</code> if a given operation on a given ref name is allowed, or a
+ * description of why it is not.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If a
+ * pattern in <code>refRules</code> is not valid.
+ * @throws {TypeError} If <code>refRules</code> are not valid.
+ */
+exports.compileRefRules = function compileRefRules(refRules, ignoreCase) {
+  if (!refRules || typeof refRules !== 'object' || Array.isArray(refRules)) {
+    throw new TypeError('ref rules must be an object');
+  }
+
+  const checks = {};
+  Object.keys(refRules).forEach((operation) => {
+    if (exports.OPERATIONS.indexOf(operation) < 0) {
+      throw new TypeError(`Unknown operation "${operation}"`);
+    }
+
+    const opRules = refRules[operation];
+    if (!opRules || typeof opRules !== 'object' || Array.isArray(opRules)) {
+      throw new TypeError(`Rules for ${operation} must be an object`);
+    }
+
+    Object.keys(opRules).forEach((prop) => {
+      if (prop !== 'allow' && prop !== 'deny') {
+        throw new TypeError(`Unknown property "${prop}" for ${operation}`);
+      }
+    });
+
+    const checkAllow = opRules.allow === undefined ? null
+      : compileRule(opRules.allow, ignoreCase);
+    // A ref satisfies {not: deny} unless it satisfies deny
+    const checkDeny = opRules.deny === undefined ? null
+      : compileRule({not: opRules.deny}, ignoreCase);
+    checks[operation] = (refName) => (checkDeny && checkDeny(refName))
+      || (checkAllow && checkAllow(refName))
+      || null;
+  });
+
+  return function checkRefOperation(operation, refName) {
+    return Object.prototype.hasOwnProperty.call(checks, operation)
+      ? checks[operation](refName)
+      : null;
+  };
+};
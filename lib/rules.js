@@ -0,0 +1,149 @@
+/**
+ * Functions for checking branch names against rules, as defined in
+ * configuration files.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/rules
+ */
+
+'use strict';
+
+const {compileRegExp} = require('./errors');
+const {wildmatchToRegExp} = require('./wildmatch');
+
+/** Rule for checking a branch name.
+ *
+ * A branch satisfies a rule if it matches any of <code>branch</code>,
+ * <code>glob</code>, or <code>regex</code> (or none are given) and does not
+ * satisfy <code>not</code>.
+ *
+ * @typedef {{
+ *   branch: (string|Array<string>|undefined),
+ *   glob: (string|Array<string>|undefined),
+ *   ignoreCase: (boolean|undefined),
+ *   not: (string|Array<string>|BranchRule|undefined),
+ *   regex: (string|Array<string>|undefined)
+ * }} BranchRule
+ * @property {(string|Array<string>)=} branch Branch name(s) to match exactly.
+ * @property {(string|Array<string>)=} glob Wildmatch pattern(s) to match.
+ * @property {boolean=} ignoreCase Compare/match case-insensitively.  Inherited
+ * by <code>not</code>.
+ * @property {(string|Array<string>|BranchRule)=} not Branch name(s) or rule
+ * for branches which do not satisfy this rule.
+ * @property {(string|Array<string>)=} regex Regular expression(s) to match.
+ */
+
+/** Properties allowed in {@link BranchRule}.
+ *
+ * @private
+ */
+const RULE_PROPS = ['branch', 'glob', 'ignoreCase', 'not', 'regex'];
+
+function toArray(value) {
+  return value === undefined || value === null ? []
+    : Array.isArray(value) ? value
+      : [value];
+}
+
+/** Compiles a rule into functions for testing branch names.
+ *
+ * @private
+ * @param {string|!Array<string>|!BranchRule} rule Rule to compile.
+ * @param {boolean} defaultIgnoreCase Value of <code>ignoreCase</code> if not
+ * specified by <code>rule</code>.
+ * @return {!{
+ *   check: function(string): ?string,
+ *   matchedBy: function(string): !Array<string>
+ * }} Function to check a branch name against the rule, returning a reason
+ * if it is not satisfied, and a function to describe the patterns matched by
+ * a branch name.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If a
+ * pattern in <code>rule</code> is not valid.
+ * @throws {TypeError} If <code>rule</code> is not a valid rule.
+ */
+function compile(rule, defaultIgnoreCase) {
+  if (typeof rule === 'string' || Array.isArray(rule)) {
+    rule = {branch: rule};
+  } else if (!rule || typeof rule !== 'object') {
+    throw new TypeError('rule must be an object, string, or Array');
+  }
+
+  Object.keys(rule).forEach((prop) => {
+    if (RULE_PROPS.indexOf(prop) < 0) {
+      throw new TypeError(`Unknown rule property "${prop}"`);
+    }
+  });
+
+  const ignoreCase = rule.ignoreCase === undefined ? defaultIgnoreCase
+    : Boolean(rule.ignoreCase);
+
+  const tests = [];
+  toArray(rule.branch).forEach((name) => {
+    const nameStr = String(name);
+    const nameUpper = nameStr.toUpperCase();
+    tests.push({
+      description: `"${nameStr}"`,
+      test: ignoreCase ? (branchName) => branchName.toUpperCase() === nameUpper
+        : (branchName) => branchName === nameStr
+    });
+  });
+  toArray(rule.glob).forEach((pattern) => {
+    const globRegExp = wildmatchToRegExp(String(pattern), ignoreCase);
+    tests.push({
+      description: `glob "${pattern}"`,
+      test: (branchName) => globRegExp.test(branchName)
+    });
+  });
+  toArray(rule.regex).forEach((pattern) => {
+    const regExp = compileRegExp(pattern, ignoreCase ? 'i' : undefined);
+    tests.push({
+      description: `RegExp "${pattern}"`,
+      test: (branchName) => regExp.test(branchName)
+    });
+  });
+
+  const notRule = rule.not === undefined || rule.not === null ? null
+    : compile(rule.not, ignoreCase);
+
+  function matchedBy(branchName) {
+    return tests
+      .filter((test) => test.test(branchName))
+      .map((test) => test.description);
+  }
+
+  function check(branchName) {
+    if (tests.length > 0 && matchedBy(branchName).length === 0) {
+      return `does not match ${
+        tests.map((test) => test.description).join(' or ')}`;
+    }
+
+    if (notRule && notRule.check(branchName) === null) {
+      const excludedBy = notRule.matchedBy(branchName);
+      return excludedBy.length > 0
+        ? `matches excluded ${excludedBy.join(' and ')}`
+        : 'is excluded';
+    }
+
+    return null;
+  }
+
+  return {check, matchedBy};
+}
+
+/** Compiles a rule into a function for checking branch names.
+ *
+ * @param {string|!Array<string>|!BranchRule} rule Rule to compile.  A string
+ * or Array is treated as the <code>branch</code> property of a rule.
+ * @param {boolean=} ignoreCase Compare/match case-insensitively, if not
+ * specified by <code>rule</code>.
+ * @return {function(string): ?string} Function which returns
+ * <code>null</code> if a given branch name satisfies the rule, or a
+ * description of why it does not.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If a
+ * pattern in <code>rule</code> is not valid.
+ * @throws {TypeError} If <code>rule</code> is not a valid rule.
+ */
+exports.compileRule = function compileRule(rule, ignoreCase) {
+  return compile(rule, Boolean(ignoreCase)).check;
+};
@@ -0,0 +1,69 @@
+/**
+ * Functions for matching tag names as exact names, patterns, or semantic
+ * version ranges.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/tags
+ */
+
+'use strict';
+
+const semver = require('semver');
+
+const {InvalidPatternError, compileRegExp} = require('./errors');
+const {wildmatchToRegExp} = require('./wildmatch');
+
+/** Options for {@link compileTagTest}.
+ *
+ * @typedef {{
+ *   glob: (boolean|undefined),
+ *   ignoreCase: (boolean|undefined),
+ *   regex: (boolean|undefined),
+ *   semver: (boolean|undefined)
+ * }} TagTestOptions
+ * @property {boolean=} glob Match the expected tag as a wildmatch pattern.
+ * @property {boolean=} ignoreCase Compare/match tag names case-insensitively.
+ * @property {boolean=} regex Match the expected tag as a regular expression.
+ * @property {boolean=} semver Match the expected tag as a semantic version
+ * range (e.g. <code>^1.2.0</code>) which must be satisfied by the version in
+ * the tag name (e.g. <code>v1.2.3</code>).
+ */
+
+/** Compiles an expected tag name, pattern, or version range into a function
+ * for testing tag names.
+ *
+ * @param {string} expected Expected tag name, pattern, or version range.
+ * @param {TagTestOptions=} options Options.
+ * @return {function(string): boolean} Function which returns
+ * <code>true</code> if a given tag name matches <code>expected</code>.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If
+ * <code>expected</code> is not a valid pattern or version range.
+ */
+exports.compileTagTest = function compileTagTest(expected, options) {
+  const ignoreCase = Boolean(options && options.ignoreCase);
+
+  if (options && options.semver) {
+    const range = semver.validRange(expected);
+    if (range === null) {
+      throw new InvalidPatternError(
+        `Invalid semver range: ${expected}`,
+        expected
+      );
+    }
+    return (tagName) => {
+      const version = semver.valid(tagName);
+      return version !== null && semver.satisfies(version, range);
+    };
+  }
+
+  if (options && (options.glob || options.regex)) {
+    const regExp = options.glob ? wildmatchToRegExp(expected, ignoreCase)
+      : compileRegExp(expected, ignoreCase ? 'i' : undefined);
+    return (tagName) => regExp.test(tagName);
+  }
+
+  const expectedUpper = expected.toUpperCase();
+  return ignoreCase ? (tagName) => tagName.toUpperCase() === expectedUpper
+    : (tagName) => tagName === expected;
+};
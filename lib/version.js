@@ -0,0 +1,124 @@
+/**
+ * Functions for comparing the version in a branch name with the version in
+ * <code>package.json</code>.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/version
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+/** Default pattern for the version in a branch name.  Matches the first
+ * version-like sequence of numbers (e.g. <code>1.4</code> in
+ * <code>release/1.4</code>).
+ */
+exports.DEFAULT_VERSION_PATTERN = '(\\d+(?:\\.\\d+){0,2})';
+
+/** Version read from a <code>package.json</code> file.
+ *
+ * @typedef {{
+ *   filepath: string,
+ *   version: string
+ * }} PackageVersion
+ * @property {string} filepath Path of the <code>package.json</code> file.
+ * @property {string} version Valid semantic version from the file.
+ */
+
+/** Finds the closest <code>package.json</code> in a given directory or its
+ * ancestors and reads its version.
+ *
+ * @param {string} dir Directory in which to start searching.
+ * @param {function(Error, PackageVersion=)} callback Callback with the
+ * version and path of the file, <code>null</code> if no
+ * <code>package.json</code> was found, or <code>Error</code> if it could not
+ * be read or does not contain a valid version.
+ */
+exports.findPackageVersion = function findPackageVersion(dir, callback) {
+  dir = path.resolve(dir);
+
+  const filepath = path.join(dir, 'package.json');
+  fs.readFile(filepath, {encoding: 'utf8'}, (errRead, content) => {
+    if (errRead) {
+      const parentDir = path.dirname(dir);
+      if (errRead.code !== 'ENOENT') {
+        callback(errRead);
+      } else if (parentDir === dir) {
+        callback(null, null);
+      } else {
+        findPackageVersion(parentDir, callback);
+      }
+      return;
+    }
+
+    let packageJson;
+    try {
+      packageJson = JSON.parse(content);
+    } catch (errParse) {
+      errParse.message = `Unable to parse ${filepath}: ${errParse.message}`;
+      callback(errParse);
+      return;
+    }
+
+    const version = packageJson && packageJson.version;
+    if (typeof version !== 'string' || semver.valid(version) === null) {
+      callback(new TypeError(
+        `Invalid version ${JSON.stringify(version)} in ${filepath}`
+      ));
+      return;
+    }
+
+    callback(null, {filepath, version});
+  });
+};
+
+/** Checks that the version in a branch name is compatible with a package
+ * version.
+ *
+ * The version in the branch name is the first capture group of
+ * <code>versionRegExp</code> (or the whole match, if it has no groups).  It
+ * is compatible if its major version and minor version (if present) are the
+ * same as those of <code>packageVersion</code>.
+ *
+ * @param {string} branchName Name of the branch.
+ * @param {string} packageVersion Valid semantic version of the package.
+ * @param {!RegExp} versionRegExp Pattern for the version in
+ * <code>branchName</code>.
+ * @return {?string} Description of why the versions are not compatible, or
+ * <code>null</code> if they are.
+ */
+exports.checkBranchVersion =
+function checkBranchVersion(branchName, packageVersion, versionRegExp) {
+  const match = versionRegExp.exec(branchName);
+  if (!match) {
+    return `branch name does not contain a version matching ${versionRegExp}`;
+  }
+
+  const branchVersion = match.length > 1 ? match[1] : match[0];
+  const parts = /^v?(\d+)(?:\.(\d+))?/.exec(branchVersion || '');
+  if (!parts) {
+    return `"${branchVersion}" in branch name is not a version`;
+  }
+
+  const branchMajor = Number(parts[1]);
+  const packageMajor = semver.major(packageVersion);
+  if (branchMajor !== packageMajor) {
+    return `major version ${branchMajor} in branch name differs from ${
+      packageMajor}`;
+  }
+
+  if (parts[2] !== undefined) {
+    const branchMinor = Number(parts[2]);
+    const packageMinor = semver.minor(packageVersion);
+    if (branchMinor !== packageMinor) {
+      return `minor version ${branchMinor} in branch name differs from ${
+        packageMinor}`;
+    }
+  }
+
+  return null;
+};
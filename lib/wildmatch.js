@@ -0,0 +1,225 @@
+/**
+ * Conversion of git wildmatch patterns to regular expressions.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/wildmatch
+ */
+
+'use strict';
+
+const {InvalidPatternError} = require('./errors');
+
+/** Characters in POSIX bracket expression character classes, as they would
+ * appear in a RegExp character class.
+ *
+ * @private
+ * @type {!Object<string,string>}
+ */
+const POSIX_CLASSES = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  blank: ' \\t',
+  cntrl: '\\x00-\\x1f\\x7f',
+  digit: '0-9',
+  graph: '\\x21-\\x7e',
+  lower: 'a-z',
+  print: '\\x20-\\x7e',
+  punct: '!-\\/:-@\\[-`{-~',
+  space: ' \\t\\n\\v\\f\\r',
+  upper: 'A-Z',
+  xdigit: '0-9A-Fa-f'
+};
+
+/** Escapes a character for use in a RegExp, inside or outside of a character
+ * class.
+ *
+ * @private
+ * @param {string} ch Character to escape.
+ * @return {string} Escaped character.
+ */
+function escapeRegExpChar(ch) {
+  return /[\\^$.*+?()[\]{}|/-]/.test(ch) ? `\\${ch}` : ch;
+}
+
+/** Converts a bracket expression (e.g. <code>[a-z]</code>) to a RegExp
+ * character class.
+ *
+ * @private
+ * @param {string} pattern Pattern containing the bracket expression.
+ * @param {number} start Index of the opening <code>[</code> in
+ * <code>pattern</code>.
+ * @param {boolean} pathname Do not match <code>/</code> (as with
+ * <code>WM_PATHNAME</code>).
+ * @return {!{end: number, source: string}} Index after the closing
+ * <code>]</code> and source of the equivalent RegExp.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If the
+ * bracket expression is not valid.
+ */
+function convertBracket(pattern, start, pathname) {
+  let i = start + 1;
+  let negated = false;
+  if (pattern[i] === '!' || pattern[i] === '^') {
+    negated = true;
+    i += 1;
+  }
+
+  let classSource = '';
+  let first = true;
+  while (i < pattern.length && (first || pattern[i] !== ']')) {
+    first = false;
+
+    if (pattern.slice(i, i + 2) === '[:') {
+      const classEnd = pattern.indexOf(':]', i + 2);
+      if (classEnd < 0) {
+        throw new InvalidPatternError(
+          `Unterminated character class name in "${pattern}"`,
+          pattern
+        );
+      }
+      const className = pattern.slice(i + 2, classEnd);
+      if (!Object.prototype.hasOwnProperty.call(POSIX_CLASSES, className)) {
+        throw new InvalidPatternError(
+          `Unknown character class "${className}" in "${pattern}"`,
+          pattern
+        );
+      }
+      classSource += POSIX_CLASSES[className];
+      i = classEnd + 2;
+    } else {
+      let ch = pattern[i];
+      if (ch === '\\') {
+        i += 1;
+        ch = pattern[i];
+      }
+      i += 1;
+      classSource += escapeRegExpChar(ch);
+
+      if (pattern[i] === '-' && pattern[i + 1] !== ']'
+          && i + 1 < pattern.length) {
+        i += 1;
+        let endCh = pattern[i];
+        if (endCh === '\\') {
+          i += 1;
+          endCh = pattern[i];
+        }
+        i += 1;
+        if (endCh < ch) {
+          throw new InvalidPatternError(
+            `Range out of order "${ch}-${endCh}" in "${pattern}"`,
+            pattern
+          );
+        }
+        classSource += `-${escapeRegExpChar(endCh)}`;
+      }
+    }
+  }
+
+  if (i >= pattern.length) {
+    throw new InvalidPatternError(
+      `Unterminated bracket expression in "${pattern}"`,
+      pattern
+    );
+  }
+
+  // Like git with WM_PATHNAME, bracket expressions never match /
+  if (pathname) {
+    return {
+      end: i + 1,
+      source: negated ? `[^${classSource}/]` : `(?!/)[${classSource}]`
+    };
+  }
+
+  return {
+    end: i + 1,
+    source: negated ? `[^${classSource}]` : `[${classSource}]`
+  };
+}
+
+/** Converts a wildmatch pattern, as used by git for ref patterns, to an
+ * equivalent RegExp.
+ *
+ * By default, patterns are matched as by <code>git branch --list</code>:
+ * <code>*</code> (or <code>**</code>), <code>?</code>, and bracket
+ * expressions match any character, including <code>/</code> (so
+ * <code>release/*</code> matches <code>release/1.0/hotfix</code>).  With
+ * <code>pathname</code>, patterns are matched as paths (i.e. with
+ * <code>WM_PATHNAME</code>): <code>*</code>, <code>?</code>, and bracket
+ * expressions do not match <code>/</code>, while <code>**</code> between
+ * slashes (or at the start or end of the pattern) matches any number of path
+ * components.
+ *
+ * Bracket expressions support ranges, negation with <code>!</code> or
+ * <code>^</code>, and POSIX character classes (e.g.
+ * <code>[[:digit:]]</code>).  <code>\</code> escapes the following
+ * character.
+ *
+ * @param {string} pattern Wildmatch pattern.
+ * @param {boolean=} ignoreCase Match case-insensitively.
+ * @param {boolean=} pathname Match as a path, where wildcards do not match
+ * <code>/</code> (as with <code>WM_PATHNAME</code>).
+ * @return {!RegExp} RegExp which matches the same strings as
+ * <code>pattern</code>.
+ * @throws {module:git-branch-is/lib/errors.InvalidPatternError} If
+ * <code>pattern</code> is not valid.
+ */
+exports.wildmatchToRegExp =
+function wildmatchToRegExp(pattern, ignoreCase, pathname) {
+  let source = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (!pathname) {
+        // Without WM_PATHNAME, any number of * matches anything (including /)
+        while (pattern[i] === '*') {
+          i += 1;
+        }
+        source += '.*';
+      } else if (pattern[i + 1] === '*') {
+        const atStart = i === 0 || pattern[i - 1] === '/';
+        let end = i + 2;
+        while (pattern[end] === '*') {
+          end += 1;
+        }
+
+        if (atStart && pattern[end] === '/') {
+          // Leading **/ or /**/ matches zero or more directories
+          source += '(?:.*/)?';
+          i = end + 1;
+        } else if (atStart && end === pattern.length) {
+          // Trailing /** (or whole pattern **) matches everything
+          source += '.*';
+          i = end;
+        } else {
+          source += '[^/]*';
+          i = end;
+        }
+      } else {
+        source += '[^/]*';
+        i += 1;
+      }
+    } else if (ch === '?') {
+      source += pathname ? '[^/]' : '.';
+      i += 1;
+    } else if (ch === '[') {
+      const bracket = convertBracket(pattern, i, Boolean(pathname));
+      source += bracket.source;
+      i = bracket.end;
+    } else if (ch === '\\') {
+      if (i + 1 >= pattern.length) {
+        throw new InvalidPatternError(
+          `Trailing backslash in "${pattern}"`,
+          pattern
+        );
+      }
+      source += escapeRegExpChar(pattern[i + 1]);
+      i += 2;
+    } else {
+      source += escapeRegExpChar(ch);
+      i += 1;
+    }
+  }
+
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : undefined);
+};
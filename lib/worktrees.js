@@ -0,0 +1,108 @@
+/**
+ * Functions for parsing the list of worktrees of a git repository.
+ *
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module git-branch-is/lib/worktrees
+ */
+
+'use strict';
+
+/** Worktree of a git repository.
+ *
+ * @typedef {{
+ *   bare: boolean,
+ *   branch: ?string,
+ *   commit: ?string,
+ *   detached: boolean,
+ *   locked: boolean,
+ *   lockedReason: ?string,
+ *   path: string,
+ *   prunable: boolean,
+ *   prunableReason: ?string,
+ *   ref: ?string
+ * }} Worktree
+ * @property {boolean} bare Is this the bare repository (with no checkout)?
+ * @property {?string} branch Name of the branch checked out in the worktree,
+ * or <code>null</code> if HEAD is detached or the repository is bare.
+ * @property {?string} commit Hash of the commit at HEAD, or
+ * <code>null</code> if the repository is bare or the branch is unborn.
+ * @property {boolean} detached Is HEAD detached in the worktree?
+ * @property {boolean} locked Is the worktree locked (e.g. on removable
+ * media)?
+ * @property {?string} lockedReason Reason the worktree is locked, if given.
+ * @property {string} path Path of the worktree.
+ * @property {boolean} prunable Can the worktree be pruned (e.g. because its
+ * directory was deleted)?
+ * @property {?string} prunableReason Reason the worktree can be pruned, if
+ * given.
+ * @property {?string} ref Full name of the branch checked out in the worktree
+ * (e.g. <code>refs/heads/main</code>), or <code>null</code> if there is none.
+ */
+
+/** Parses the output of <code>git worktree list --porcelain</code>.
+ *
+ * @param {string} porcelain Output of
+ * <code>git worktree list --porcelain</code>.
+ * @return {!Array<!Worktree>} Worktrees, in the order listed.
+ */
+exports.parseWorktreeList = function parseWorktreeList(porcelain) {
+  const worktrees = [];
+  let worktree = null;
+  porcelain.split('\n').forEach((line) => {
+    const spaceInd = line.indexOf(' ');
+    const label = spaceInd < 0 ? line : line.slice(0, spaceInd);
+    const value = spaceInd < 0 ? null : line.slice(spaceInd + 1);
+    if (label === 'worktree') {
+      worktree = {
+        bare: false,
+        branch: null,
+        commit: null,
+        detached: false,
+        locked: false,
+        lockedReason: null,
+        path: value,
+        prunable: false,
+        prunableReason: null,
+        ref: null
+      };
+      worktrees.push(worktree);
+      return;
+    }
+
+    if (!worktree) {
+      // Attribute before first worktree.  Ignore, like unknown attributes.
+      return;
+    }
+
+    switch (label) {
+      case 'HEAD':
+        // All zeros for an unborn branch
+        worktree.commit = /^0+$/.test(value) ? null : value;
+        break;
+      case 'bare':
+        worktree.bare = true;
+        break;
+      case 'branch':
+        worktree.ref = value;
+        worktree.branch = value.slice(0, 11) === 'refs/heads/'
+          ? value.slice(11)
+          : value;
+        break;
+      case 'detached':
+        worktree.detached = true;
+        break;
+      case 'locked':
+        worktree.locked = true;
+        worktree.lockedReason = value;
+        break;
+      case 'prunable':
+        worktree.prunable = true;
+        worktree.prunableReason = value;
+        break;
+      default:
+        break;
+    }
+  });
+  return worktrees;
+};
@@ -19,6 +19,9 @@ module.exports = Object.freeze({
   BRANCH_SAME_COMMIT: 'same-commit',
   /** Name of a subdirectory to create within the git repo. */
   SUBDIR_NAME: 'subdir',
+  /** Name of a tag which points to the current commit while HEAD is detached.
+   * Must not contain RegExp metachars. */
+  TAG_DETACHED: 'test-tag',
   /** Path to repository in which tests are run. */
   TEST_REPO_PATH: path.join(__dirname, '..', 'test-repo')
 });
@@ -0,0 +1,180 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {getCIBranch} = require('../lib/ci');
+
+describe('getCIBranch', () => {
+  it('returns null for empty environment', () => {
+    assert.strictEqual(getCIBranch({}), null);
+  });
+
+  it('returns branch from GITHUB_REF', () => {
+    assert.deepStrictEqual(
+      getCIBranch({
+        GITHUB_ACTIONS: 'true',
+        GITHUB_HEAD_REF: '',
+        GITHUB_REF: 'refs/heads/release/1.0'
+      }),
+      {
+        branch: 'release/1.0',
+        provider: 'GitHub Actions',
+        pullRequest: false,
+        variable: 'GITHUB_REF'
+      }
+    );
+  });
+
+  it('returns null for GITHUB_REF tag', () => {
+    assert.strictEqual(
+      getCIBranch({
+        GITHUB_ACTIONS: 'true',
+        GITHUB_REF: 'refs/tags/v1.0.0'
+      }),
+      null
+    );
+  });
+
+  it('returns source branch from GITHUB_HEAD_REF for pull request', () => {
+    assert.deepStrictEqual(
+      getCIBranch({
+        GITHUB_ACTIONS: 'true',
+        GITHUB_BASE_REF: 'main',
+        GITHUB_HEAD_REF: 'feature',
+        GITHUB_REF: 'refs/pull/1/merge'
+      }),
+      {
+        branch: 'feature',
+        provider: 'GitHub Actions',
+        pullRequest: true,
+        targetBranch: 'main',
+        variable: 'GITHUB_HEAD_REF'
+      }
+    );
+  });
+
+  it('returns branch from CI_COMMIT_REF_NAME', () => {
+    const ciBranch = getCIBranch({
+      CI_COMMIT_REF_NAME: 'main',
+      GITLAB_CI: 'true'
+    });
+    assert.strictEqual(ciBranch.branch, 'main');
+    assert.strictEqual(ciBranch.variable, 'CI_COMMIT_REF_NAME');
+    assert.strictEqual(ciBranch.pullRequest, false);
+  });
+
+  it('returns null for GitLab CI tag', () => {
+    assert.strictEqual(
+      getCIBranch({
+        CI_COMMIT_REF_NAME: 'v1.0.0',
+        CI_COMMIT_TAG: 'v1.0.0',
+        GITLAB_CI: 'true'
+      }),
+      null
+    );
+  });
+
+  it('returns source branch for GitLab CI merge request', () => {
+    const ciBranch = getCIBranch({
+      CI_COMMIT_REF_NAME: 'feature',
+      CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'feature',
+      CI_MERGE_REQUEST_TARGET_BRANCH_NAME: 'main',
+      GITLAB_CI: 'true'
+    });
+    assert.strictEqual(ciBranch.branch, 'feature');
+    assert.strictEqual(ciBranch.pullRequest, true);
+    assert.strictEqual(ciBranch.targetBranch, 'main');
+  });
+
+  it('returns branch from TRAVIS_BRANCH', () => {
+    const ciBranch = getCIBranch({
+      TRAVIS: 'true',
+      TRAVIS_BRANCH: 'main',
+      TRAVIS_PULL_REQUEST: 'false'
+    });
+    assert.strictEqual(ciBranch.branch, 'main');
+    assert.strictEqual(ciBranch.provider, 'Travis CI');
+    assert.strictEqual(ciBranch.pullRequest, false);
+  });
+
+  it('returns source branch for Travis CI pull request', () => {
+    const ciBranch = getCIBranch({
+      TRAVIS: 'true',
+      TRAVIS_BRANCH: 'main',
+      TRAVIS_PULL_REQUEST: '12',
+      TRAVIS_PULL_REQUEST_BRANCH: 'feature'
+    });
+    assert.strictEqual(ciBranch.branch, 'feature');
+    assert.strictEqual(ciBranch.pullRequest, true);
+    assert.strictEqual(ciBranch.targetBranch, 'main');
+  });
+
+  it('returns branch from APPVEYOR_REPO_BRANCH', () => {
+    const ciBranch = getCIBranch({
+      APPVEYOR: 'True',
+      APPVEYOR_REPO_BRANCH: 'main'
+    });
+    assert.strictEqual(ciBranch.branch, 'main');
+    assert.strictEqual(ciBranch.provider, 'AppVeyor');
+  });
+
+  it('returns branch from Jenkins GIT_BRANCH without remote', () => {
+    const ciBranch = getCIBranch({
+      GIT_BRANCH: 'origin/main',
+      JENKINS_URL: 'https://jenkins.example.com/'
+    });
+    assert.strictEqual(ciBranch.branch, 'main');
+    assert.strictEqual(ciBranch.variable, 'GIT_BRANCH');
+  });
+
+  it('returns source branch for Jenkins change request', () => {
+    const ciBranch = getCIBranch({
+      BRANCH_NAME: 'PR-1',
+      CHANGE_BRANCH: 'feature',
+      CHANGE_ID: '1',
+      CHANGE_TARGET: 'main',
+      JENKINS_URL: 'https://jenkins.example.com/'
+    });
+    assert.strictEqual(ciBranch.branch, 'feature');
+    assert.strictEqual(ciBranch.pullRequest, true);
+    assert.strictEqual(ciBranch.targetBranch, 'main');
+  });
+
+  it('returns CIRCLE_BRANCH for CircleCI pull request', () => {
+    const ciBranch = getCIBranch({
+      CIRCLECI: 'true',
+      CIRCLE_BRANCH: 'feature',
+      CIRCLE_PULL_REQUEST: 'https://github.com/owner/repo/pull/1'
+    });
+    assert.strictEqual(ciBranch.branch, 'feature');
+    assert.strictEqual(ciBranch.pullRequest, true);
+    assert.strictEqual(ciBranch.targetBranch, undefined);
+  });
+
+  it('returns source branch for Azure Pipelines pull request', () => {
+    const ciBranch = getCIBranch({
+      BUILD_SOURCEBRANCH: 'refs/pull/1/merge',
+      SYSTEM_PULLREQUEST_SOURCEBRANCH: 'refs/heads/feature',
+      SYSTEM_PULLREQUEST_TARGETBRANCH: 'refs/heads/main',
+      TF_BUILD: 'True'
+    });
+    assert.strictEqual(ciBranch.branch, 'feature');
+    assert.strictEqual(ciBranch.pullRequest, true);
+    assert.strictEqual(ciBranch.targetBranch, 'main');
+  });
+
+  it('returns branch from BITBUCKET_BRANCH', () => {
+    const ciBranch = getCIBranch({
+      BITBUCKET_BRANCH: 'main',
+      BITBUCKET_BUILD_NUMBER: '1'
+    });
+    assert.strictEqual(ciBranch.branch, 'main');
+    assert.strictEqual(ciBranch.provider, 'Bitbucket Pipelines');
+    assert.strictEqual(ciBranch.pullRequest, false);
+  });
+});
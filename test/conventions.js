@@ -0,0 +1,173 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const assertMatch = require('../test-lib/assert-match');
+const {
+  PRESETS,
+  checkRefFormat,
+  compileConvention,
+  loadConvention
+} = require('../lib/conventions');
+
+describe('checkRefFormat', () => {
+  it('null for valid branch names', () => {
+    assert.strictEqual(checkRefFormat('main'), null);
+    assert.strictEqual(checkRefFormat('feat/ABC-123-desc'), null);
+    assert.strictEqual(checkRefFormat('release/1.2.3'), null);
+  });
+
+  it('describes invalid branch names', () => {
+    assertMatch(checkRefFormat(''), /\bempty\b/);
+    assertMatch(checkRefFormat('HEAD'), /"HEAD"/);
+    assertMatch(checkRefFormat('-x'), /"-"/);
+    assertMatch(checkRefFormat('a b'), /" "/);
+    assertMatch(checkRefFormat('a~1'), /"~"/);
+    assertMatch(checkRefFormat('a..b'), /"\.\."/);
+    assertMatch(checkRefFormat('a@{1}'), /"@\{"/);
+    assertMatch(checkRefFormat('a//b'), /"\/\/"/);
+    assertMatch(checkRefFormat('a/'), /"\/"/);
+    assertMatch(checkRefFormat('a.'), /"\."/);
+    assertMatch(checkRefFormat('a/.b'), /"\.b"/);
+    assertMatch(checkRefFormat('a.lock/b'), /"\.lock"/);
+    assertMatch(checkRefFormat('b/a.lock'), /"\.lock"/);
+  });
+
+  it('describes "@"', () => {
+    assertMatch(checkRefFormat('@'), /"@"/);
+    assert.strictEqual(checkRefFormat('a@b'), null);
+    assert.strictEqual(checkRefFormat('@/a'), null);
+  });
+
+  it('describes each invalid character', () => {
+    ['\x00', '\x1f', '\x7f', '^', ':', '?', '*', '[', '\\'].forEach((c) => {
+      assertMatch(checkRefFormat(`a${c}b`), /\bcontains\b/);
+    });
+  });
+});
+
+describe('compileConvention', () => {
+  it('returns null for branch names satisfying each rule', () => {
+    const checkConvention = compileConvention({
+      rules: {
+        prefix: {regex: '^feat/'},
+        lowercase: {regex: '^[a-z/-]+$'}
+      }
+    });
+    assert.strictEqual(checkConvention('feat/new-thing'), null);
+    const failure = checkConvention('feat/New');
+    assert.strictEqual(failure.rule, 'lowercase');
+    assertMatch(failure.reason, /\^\[a-z\/-\]\+\$/);
+  });
+
+  it('returns null for exempt branch names', () => {
+    const checkConvention = compileConvention({
+      exempt: 'main',
+      rules: {prefix: {regex: '^feat/'}}
+    });
+    assert.strictEqual(checkConvention('main'), null);
+    assert.strictEqual(checkConvention('other').rule, 'prefix');
+  });
+
+  it('returns null rule for invalid branch names', () => {
+    const checkConvention = compileConvention({rules: {}});
+    assert.deepStrictEqual(
+      checkConvention('a..b'),
+      {reason: 'contains ".."', rule: null}
+    );
+  });
+
+  it('matches case-insensitively with ignoreCase', () => {
+    const checkConvention = compileConvention(
+      {rules: {prefix: {regex: '^feat/'}}},
+      true
+    );
+    assert.strictEqual(checkConvention('FEAT/x'), null);
+  });
+
+  it('throws TypeError for unknown property', () => {
+    assert.throws(
+      () => compileConvention({rules: {}, rule: {}}),
+      (err) => err instanceof TypeError && /"rule"/.test(err.message)
+    );
+  });
+
+  it('throws TypeError without rules', () => {
+    assert.throws(() => compileConvention({}), TypeError);
+  });
+
+  it('throws SyntaxError naming rule with invalid pattern', () => {
+    assert.throws(
+      () => compileConvention({rules: {bad: {regex: 'b[ad'}}}),
+      (err) => err instanceof SyntaxError && /"bad"/.test(err.message)
+    );
+  });
+
+  describe('presets', () => {
+    const examples = {
+      conventional: {
+        valid: ['feat/add-login-page', 'fix/a.b', 'main'],
+        invalid: ['feature/x', 'feat/Upper', 'feat/a/b']
+      },
+      gitflow: {
+        valid: ['develop', 'feature/x', 'release/1.2', 'release/v2.0.1'],
+        invalid: ['feat/x', 'feature/', 'release/next']
+      },
+      'issue-key': {
+        valid: ['ABC-123', 'feat/ABC-123-short-desc', 'master'],
+        invalid: ['abc-123', 'feat/ABC-desc', 'ABC-123-Upper']
+      }
+    };
+
+    Object.keys(PRESETS).forEach((name) => {
+      const checkConvention = compileConvention(PRESETS[name]);
+
+      it(`${name} is satisfied by its example`, () => {
+        assert.strictEqual(checkConvention(PRESETS[name].example), null);
+      });
+
+      it(`${name} checks branch names`, () => {
+        examples[name].valid.forEach((branchName) => {
+          assert.strictEqual(checkConvention(branchName), null, branchName);
+        });
+        examples[name].invalid.forEach((branchName) => {
+          assert.notStrictEqual(checkConvention(branchName), null, branchName);
+        });
+      });
+    });
+  });
+});
+
+describe('loadConvention', () => {
+  it('loads preset by name', (done) => {
+    loadConvention('gitflow', __dirname, (err, convention) => {
+      assert.ifError(err);
+      assert.strictEqual(convention, PRESETS.gitflow);
+      done();
+    });
+  });
+
+  it('loads JSON file relative to dir', (done) => {
+    const dir = path.join(__dirname, '..');
+    loadConvention('package.json', dir, (err, convention) => {
+      assert.ifError(err);
+      assert.strictEqual(convention.name, 'git-branch-is');
+      done();
+    });
+  });
+
+  it('Error listing presets for unreadable file', (done) => {
+    loadConvention('nonexistent.json', __dirname, (err) => {
+      assert(err instanceof Error);
+      assertMatch(err.message, /\bnonexistent\.json\b/);
+      assertMatch(err.message, /\bissue-key\b/);
+      done();
+    });
+  });
+});
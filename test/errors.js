@@ -0,0 +1,28 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {InvalidPatternError, compileRegExp} = require('../lib/errors');
+
+describe('compileRegExp', () => {
+  it('returns RegExp with flags', () => {
+    const regExp = compileRegExp('^a', 'i');
+    assert(regExp instanceof RegExp);
+    assert(regExp.test('A'));
+  });
+
+  it('throws InvalidPatternError for invalid pattern', () => {
+    assert.throws(
+      () => compileRegExp('b[ad'),
+      (err) => err instanceof InvalidPatternError
+        && err instanceof SyntaxError
+        && err.code === 'ERR_INVALID_PATTERN'
+        && err.pattern === 'b[ad'
+    );
+  });
+});
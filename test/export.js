@@ -0,0 +1,74 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {formatAssignments, slugify} = require('../lib/export');
+
+describe('slugify', () => {
+  const examples = {
+    main: 'main',
+    'feat/ABC-123_desc': 'feat-abc-123-desc',
+    'release/1.2.3': 'release-1-2-3',
+    '-x--y.': 'x-y',
+    'é/ü': '',
+    [`${'a'.repeat(62)}/b`]: 'a'.repeat(62)
+  };
+
+  Object.keys(examples).forEach((branchName) => {
+    const slug = examples[branchName];
+    it(`"${branchName}" is "${slug}"`, () => {
+      assert.strictEqual(slugify(branchName), slug);
+    });
+  });
+});
+
+describe('formatAssignments', () => {
+  const vars = {A: 'plain', B: 'it\'s 100%'};
+
+  it('formats sh', () => {
+    assert.strictEqual(
+      formatAssignments(vars, 'sh'),
+      'export A=plain\nexport B=\'it\'\\\'\'s 100%\'\n'
+    );
+  });
+
+  it('formats cmd', () => {
+    assert.strictEqual(
+      formatAssignments(vars, 'cmd'),
+      'set A=plain\nset B=it\'s 100%%\n'
+    );
+  });
+
+  it('escapes cmd special characters', () => {
+    assert.strictEqual(
+      formatAssignments({A: 'x"&calc&"', B: '^|<>(!)'}, 'cmd'),
+      'set A=x^"^&calc^&^"\nset B=^^^|^<^>^(^!^)\n'
+    );
+  });
+
+  it('formats powershell', () => {
+    assert.strictEqual(
+      formatAssignments({A: 'plain', B: 'it\'s ’'}, 'powershell'),
+      '$env:A = \'plain\'\n$env:B = \'it\'\'s ’’\'\n'
+    );
+  });
+
+  it('formats dotenv', () => {
+    assert.strictEqual(
+      formatAssignments({A: 'plain', B: 'it\'s "\\"'}, 'dotenv'),
+      'A=\'plain\'\nB="it\'s \\"\\\\\\""\n'
+    );
+  });
+
+  it('throws RangeError for unknown format', () => {
+    assert.throws(
+      () => formatAssignments(vars, 'csh'),
+      (err) => err instanceof RangeError && /"csh"/.test(err.message)
+    );
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const pify = require('pify');
+const rimraf = require('rimraf');
+
+const gitBranchIs = require('..');
+const assertMatch = require('../test-lib/assert-match');
+const constants = require('../test-lib/constants');
+const git = require('../test-lib/git');
+
+const fsP = pify(fs);
+const rimrafP = pify(rimraf);
+
+// Local copy of shared constants
+const {
+  BRANCH_CURRENT,
+  SUBDIR_NAME,
+  TAG_DETACHED,
+  TEST_REPO_PATH
+} = constants;
+
+/** Name of an annotated tag created while HEAD is detached. */
+const TAG_ANNOTATED = `${TAG_DETACHED}-annotated`;
+
+/** Asserts that the fs and git backends produce the same result.
+ *
+ * @param {Object=} options Options to pass to getHead for both backends.
+ * @return {!Promise} Promise for the HeadState from both backends.
+ */
+function assertParity(options) {
+  const gitOpts = Object.assign({}, options, {backend: 'git'});
+  const fsOpts = Object.assign({}, options, {backend: 'fs'});
+  return Promise.all([
+    gitBranchIs.getHead(gitOpts),
+    gitBranchIs.getHead(fsOpts)
+  ]).then((heads) => {
+    assert.deepStrictEqual(heads[1], heads[0]);
+    return heads[0];
+  });
+}
+
+describe('fs backend', () => {
+  it('matches git for current branch', () => assertParity().then((head) => {
+    assert.strictEqual(head.branch, BRANCH_CURRENT);
+  }));
+
+  it('matches git in subdirectory', () => assertParity({cwd: SUBDIR_NAME}));
+
+  it('matches git with gitDir relative to cwd', () => assertParity({
+    cwd: SUBDIR_NAME,
+    gitDir: path.join('..', '.git')
+  }));
+
+  it('matches git with GIT_DIR in environment', () => {
+    const oldGitDir = process.env.GIT_DIR;
+    process.env.GIT_DIR = path.join(TEST_REPO_PATH, '.git');
+    function restoreGitDir() {
+      if (oldGitDir === undefined) {
+        delete process.env.GIT_DIR;
+      } else {
+        process.env.GIT_DIR = oldGitDir;
+      }
+    }
+    return assertParity({cwd: path.parse(TEST_REPO_PATH).root})
+      .then(restoreGitDir, (err) => { restoreGitDir(); throw err; });
+  });
+
+  it('rejects with Error outside of git repo', () => {
+    const promise = gitBranchIs.getHead({backend: 'fs', cwd: '/'});
+    return promise.then(
+      (result) => { throw new Error('expecting Error'); },
+      (err) => { assertMatch(err.message, /\bnot a git repository\b/i); }
+    );
+  });
+
+  it('rejects with Error if cwd doesn\'t exist', () => {
+    const promise = gitBranchIs.getHead({backend: 'fs', cwd: 'invalid'});
+    return promise.then(
+      (result) => { throw new Error('expecting Error'); },
+      (err) => { assert(err instanceof Error); }
+    );
+  });
+
+  it('rejects with TypeError for gitArgs', () => {
+    const options = {backend: 'fs', gitArgs: ['-C', '.']};
+    return gitBranchIs.getHead(options).then(
+      (result) => { throw new Error('expecting Error'); },
+      (err) => {
+        assert(err instanceof TypeError);
+        assertMatch(err.message, /\bgitArgs\b/);
+      }
+    );
+  });
+
+  it('rejects with TypeError for unknown backend', () => {
+    const promise = gitBranchIs.getHead({backend: 'invalid'});
+    return promise.then(
+      (result) => { throw new Error('expecting Error'); },
+      (err) => {
+        assert(err instanceof TypeError);
+        assertMatch(err.message, /\bbackend\b/);
+      }
+    );
+  });
+
+  it('auto backend gets the branch name', () => {
+    const promise = gitBranchIs.getBranch({backend: 'auto'});
+    return promise.then((branch) => {
+      assert.strictEqual(branch, BRANCH_CURRENT);
+    });
+  });
+
+  it('auto backend uses gitPath', () => {
+    const options = {
+      backend: 'auto',
+      gitArgs: [path.join('..', 'test-bin', 'echo-surprise.js')],
+      gitPath: process.execPath
+    };
+    return gitBranchIs.getBranch(options).then((branch) => {
+      assert.strictEqual(branch, 'surprise');
+    });
+  });
+
+  it('matches git with ambiguous branch name', () => {
+    const promise = git('tag', BRANCH_CURRENT)
+      .then(() => assertParity({checkAmbiguous: true}));
+    const removeTag = () => git('tag', '-d', BRANCH_CURRENT, {stdio: 'ignore'});
+    return promise.then(
+      (head) => removeTag().then(() => {
+        assert.strictEqual(head.branch, BRANCH_CURRENT);
+        assert.deepStrictEqual(
+          head.ambiguousRefs,
+          [`refs/tags/${BRANCH_CURRENT}`]
+        );
+      }),
+      (err) => removeTag().then(() => { throw err; })
+    );
+  });
+
+  describe('with separate git dir', () => {
+    const workPath = path.join(TEST_REPO_PATH, 'separate');
+    const gitDirPath = path.join(TEST_REPO_PATH, 'separate.git');
+
+    before('create repository', () => git(
+      'init',
+      '-q',
+      `--separate-git-dir=${gitDirPath}`,
+      workPath
+    ));
+
+    after('remove repository', () => rimrafP(workPath)
+      .then(() => rimrafP(gitDirPath)));
+
+    it('matches git for unborn branch', () => assertParity({cwd: workPath}));
+  });
+
+  describe('with bare repository', () => {
+    const barePath = path.join(TEST_REPO_PATH, 'bare.git');
+
+    before('create repository', () => git('init', '-q', '--bare', barePath));
+
+    after('remove repository', () => rimrafP(barePath));
+
+    it('matches git', () => assertParity({cwd: barePath}));
+  });
+
+  describe('with detached HEAD', () => {
+    before('detach HEAD', () => git('checkout', '-q', '--detach')
+      .then(() => git('tag', TAG_DETACHED))
+      .then(() => git('tag', '-a', '-m', 'Annotated', TAG_ANNOTATED)));
+
+    after('reattach HEAD', () => git('checkout', '-q', BRANCH_CURRENT)
+      .then(() => git('tag', '-d', TAG_DETACHED, {stdio: 'ignore'}))
+      .then(() => git('tag', '-d', TAG_ANNOTATED, {stdio: 'ignore'})));
+
+    it('matches git for loose tags', () => assertParity().then((head) => {
+      assert.deepStrictEqual(head.tags, [TAG_DETACHED, TAG_ANNOTATED]);
+    }));
+
+    it('matches git for packed tags', () => git('pack-refs', '--all')
+      .then(() => assertParity())
+      .then((head) => {
+        assert.deepStrictEqual(head.tags, [TAG_DETACHED, TAG_ANNOTATED]);
+      }));
+
+    it('matches git during rebase', () => {
+      const rebasePath = path.join(TEST_REPO_PATH, '.git', 'rebase-apply');
+      const promise = fsP.mkdir(rebasePath)
+        .then(() => fsP.writeFile(
+          path.join(rebasePath, 'head-name'),
+          `refs/heads/${BRANCH_CURRENT}\n`
+        ))
+        .then(() => assertParity({duringOperation: true}));
+      return promise.then(
+        (head) => rimrafP(rebasePath).then(() => {
+          assert.strictEqual(head.branch, BRANCH_CURRENT);
+          assert.strictEqual(head.operation, 'rebase');
+        }),
+        (err) => rimrafP(rebasePath).then(() => { throw err; })
+      );
+    });
+
+    it('matches git with ci option', () => {
+      const env = {BITBUCKET_BRANCH: 'ci', BITBUCKET_BUILD_NUMBER: '1'};
+      return assertParity({ci: env}).then((head) => {
+        assert.strictEqual(head.branch, 'ci');
+      });
+    });
+  });
+
+  describe('with worktrees', () => {
+    const worktreeBranch = `${BRANCH_CURRENT}-worktree`;
+    const branchPath = path.join(TEST_REPO_PATH, 'worktree-branch');
+    const detachedPath = path.join(TEST_REPO_PATH, 'worktree-detached');
+
+    before('add worktrees', () => git(
+      'worktree', 'add', '-q', '-b', worktreeBranch, branchPath
+    )
+      .then(() => git('worktree', 'add', '-q', '--detach', detachedPath))
+      .then(() => git('tag', TAG_DETACHED)));
+
+    after('remove worktrees', () => rimrafP(branchPath)
+      .then(() => rimrafP(detachedPath))
+      .then(() => git('worktree', 'prune'))
+      .then(() => git('branch', '-q', '-D', worktreeBranch))
+      .then(() => git('tag', '-d', TAG_DETACHED, {stdio: 'ignore'})));
+
+    it('matches git for worktree on branch', () => {
+      const promise = assertParity({cwd: branchPath});
+      return promise.then((head) => {
+        assert.strictEqual(head.branch, worktreeBranch);
+      });
+    });
+
+    it('matches git for detached worktree with tag in commondir', () => {
+      const promise = assertParity({cwd: detachedPath});
+      return promise.then((head) => {
+        assert.deepStrictEqual(head.tags, [TAG_DETACHED]);
+      });
+    });
+  });
+});
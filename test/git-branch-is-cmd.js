@@ -8,20 +8,89 @@
 
 const assert = require('assert');
 const {execFile} = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const pify = require('pify');
+const rimraf = require('rimraf');
 
 const assertMatch = require('../test-lib/assert-match');
 const constants = require('../test-lib/constants');
+const git = require('../test-lib/git');
 const gitBranchIsCmd = require('../bin/git-branch-is');
+const {shellQuote} = require('../lib/hooks');
+
+const fsP = pify(fs);
+const rimrafP = pify(rimraf);
 
 /** Initial command arguments. */
 const ARGS = [process.argv[0], 'git-branch-is'];
 
 // Local copy of shared constants
-const {BRANCH_CURRENT, SUBDIR_NAME, TEST_REPO_PATH} = constants;
+const {
+  BRANCH_CURRENT,
+  BRANCH_NON_EXISTENT,
+  BRANCH_SAME_COMMIT,
+  SUBDIR_NAME,
+  TAG_DETACHED,
+  TEST_REPO_PATH
+} = constants;
 
 const BRANCH_CURRENT_RE = new RegExp(`\\b${constants.BRANCH_CURRENT}\\b`);
 
+/** Upstream configured for the current branch in upstream tests. */
+const UPSTREAM = `origin/${BRANCH_CURRENT}`;
+const UPSTREAM_REF = `refs/remotes/${UPSTREAM}`;
+const UPSTREAM_RE = new RegExp(`\\b${UPSTREAM}\\b`);
+
+/** Path of the git-branch-is executable. */
+const BIN_PATH = path.join(__dirname, '..', 'bin', 'git-branch-is.js');
+
+/** Command to run git-branch-is from hooks. */
+const HOOK_COMMAND = `${shellQuote(process.execPath)} ${shellQuote(BIN_PATH)}`;
+
+/** Names of environment variables which may configure git (e.g. to disable
+ * hooks by setting core.hooksPath).
+ */
+const GIT_CONFIG_ENV_NAMES = ['GIT_CONFIG_COUNT', 'GIT_CONFIG_PARAMETERS'];
+const savedGitConfigEnv = {};
+
+/** Removes git configuration from the environment, so hooks will run. */
+function removeGitConfigEnv() {
+  GIT_CONFIG_ENV_NAMES.forEach((name) => {
+    savedGitConfigEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+}
+
+/** Restores git configuration removed by {@link removeGitConfigEnv}. */
+function restoreGitConfigEnv() {
+  GIT_CONFIG_ENV_NAMES.forEach((name) => {
+    if (savedGitConfigEnv[name] !== undefined) {
+      process.env[name] = savedGitConfigEnv[name];
+    }
+  });
+}
+
+/** Runs git-branch-is in a child process with the given arguments and input.
+ *
+ * @param {!Array<string>} args Arguments to git-branch-is.
+ * @param {string} input Input to git-branch-is.
+ * @return {!Promise<!{code: number, stderr: string, stdout: string}>}
+ * Exit code and output of git-branch-is.
+ */
+function execWithInput(args, input) {
+  return new Promise((resolve) => {
+    const child = execFile(
+      process.execPath,
+      [BIN_PATH].concat(args),
+      (err, stdout, stderr) => {
+        resolve({code: err ? err.code : 0, stderr, stdout});
+      }
+    );
+    child.stdin.end(input);
+  });
+}
+
 describe('git-branch-is', () => {
   it('exit code 0 silently for same branch name', (done) => {
     gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT), (err, result) => {
@@ -187,6 +256,7 @@ describe('git-branch-is', () => {
       assert.strictEqual(result.code, 2);
       assert(!result.stdout);
       assertMatch(result.stderr, /\bb\[ad\b/);
+      assertMatch(result.stderr, /\bInvalidPatternError\b/);
       done();
     });
   });
@@ -203,6 +273,237 @@ describe('git-branch-is', () => {
     });
   });
 
+  it('exit 0 printing regex match with --print-match', (done) => {
+    const pattern = BRANCH_CURRENT.slice(1, -1);
+    const args = ARGS.concat('--print-match', '-r', pattern);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert.strictEqual(result.stdout, `${pattern}\n`);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 0 printing numbered group with --print-group', (done) => {
+    const args = ARGS.concat('--print-group', '2', '-r', '^(\\w+)-(\\w+)$');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert.strictEqual(result.stdout, `${BRANCH_CURRENT.split('-')[1]}\n`);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 0 printing named group with --print-group', (done) => {
+    const args = ARGS.concat('--print-group', 'end', '-r', '[-](?<end>\\w+)$');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert.strictEqual(result.stdout, `${BRANCH_CURRENT.split('-')[1]}\n`);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 1 without printing for non-matching --print-match', (done) => {
+    const args = ARGS.concat('--print-match', '-r', 'invalid');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      done();
+    });
+  });
+
+  it('exit 2 with warning for non-existent --print-group', (done) => {
+    const args = ARGS.concat('--print-group', 'name', '-r', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 2);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\bgroup named "name"/);
+      done();
+    });
+  });
+
+  it('callback Error for --print-match with --not', (done) => {
+    const args = ARGS.concat('--print-match', '--not', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert(err instanceof Error);
+      assertMatch(err.message, /--print-match\b/);
+      done();
+    });
+  });
+
+  it('exit 0 with sh assignments for --export', (done) => {
+    gitBranchIsCmd(ARGS.concat('--export'), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert.strictEqual(
+        result.stdout,
+        `export GIT_BRANCH=${BRANCH_CURRENT}\n`
+        + `export GIT_BRANCH_SLUG=${BRANCH_CURRENT}\n`
+      );
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 0 with match result for --export with branch names', (done) => {
+    const args = ARGS.concat('--export', 'dotenv', 'invalid');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      const branchRE = new RegExp(`^GIT_BRANCH='${BRANCH_CURRENT}'$`, 'm');
+      assertMatch(result.stdout, branchRE);
+      assertMatch(result.stdout, /^GIT_BRANCH_MATCH='0'$/m);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 0 with inverted match result for --export', (done) => {
+    const args = ARGS.concat('--not', '--export', 'cmd', 'invalid');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assertMatch(result.stdout, /^set GIT_BRANCH_MATCH=1$/m);
+      done();
+    });
+  });
+
+  it('exit 0 with sh assignments for --export with branch name', (done) => {
+    const args = ARGS.concat('--export', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert.strictEqual(
+        result.stdout,
+        `export GIT_BRANCH=${BRANCH_CURRENT}\n`
+        + `export GIT_BRANCH_SLUG=${BRANCH_CURRENT}\n`
+        + 'export GIT_BRANCH_MATCH=1\n'
+      );
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('callback Error for --export with unknown format', (done) => {
+    gitBranchIsCmd(ARGS.concat('--export=csh'), (err, result) => {
+      assert(err instanceof Error);
+      assertMatch(err.message, /--export\b/);
+      done();
+    });
+  });
+
+  it('callback TimeoutError if git does not finish in --timeout', (done) => {
+    const args = ARGS.concat(
+      '--git-path', process.execPath,
+      '--git-arg', '-e',
+      '--git-arg', 'setTimeout(() => {}, 60000)',
+      '--timeout', '100',
+      BRANCH_CURRENT
+    );
+    gitBranchIsCmd(args, (err, result) => {
+      assert.strictEqual(err.name, 'TimeoutError');
+      assertMatch(err.message, /\b100 ms\b/);
+      done();
+    });
+  });
+
+  it('exit code 8 in JSON if git fails unexpectedly', (done) => {
+    const args = ARGS.concat(
+      '--format', 'json',
+      '--git-path', process.execPath,
+      '--git-arg', '-e',
+      '--git-arg', 'process.exit(3)',
+      BRANCH_CURRENT
+    );
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 8);
+      assert.strictEqual(JSON.parse(result.stdout).exitCode, 8);
+      done();
+    });
+  });
+
+  it('callback Error for non-numeric --timeout', (done) => {
+    gitBranchIsCmd(ARGS.concat('--timeout', 'x', 'main'), (err, result) => {
+      assert(err instanceof Error);
+      assertMatch(err.message, /--timeout\b/);
+      done();
+    });
+  });
+
+  it('exit 0 silently for matching glob branch name', (done) => {
+    const args = ARGS.concat('-g', `${BRANCH_CURRENT.slice(0, 2)}*`);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 0 silently for matching i glob branch name', (done) => {
+    const args = ARGS.concat('-i', '-g', `${BRANCH_CURRENT.toUpperCase()}*`);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit 1 with warning for non-match glob branch name', (done) => {
+    // Unlike RegExp, glob is anchored and must match the whole name
+    const args = ARGS.concat('-g', BRANCH_CURRENT.slice(1));
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\bdoes not match\b/);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      done();
+    });
+  });
+
+  it('exit 1 with warning for inverted match glob branch name', (done) => {
+    const args = ARGS.concat('-I', '-g', '*');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      done();
+    });
+  });
+
+  it('exit 2 with warning for invalid glob', (done) => {
+    gitBranchIsCmd(ARGS.concat('-g', 'b[ad'), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 2);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\bglob\b/);
+      assertMatch(result.stderr, /\bb\[ad\b/);
+      done();
+    });
+  });
+
+  it('callback Error for glob and regex', (done) => {
+    gitBranchIsCmd(ARGS.concat('-g', '-r', BRANCH_CURRENT), (err, result) => {
+      assert(err instanceof Error);
+      assertMatch(err.message, /\bglob\b/);
+      assertMatch(err.message, /\busage/i);
+      done();
+    });
+  });
+
   it('exit code 1 silently with quiet option', (done) => {
     const args = ARGS.concat('-q', 'invalid');
     gitBranchIsCmd(args, (err, result) => {
@@ -225,9 +526,76 @@ describe('git-branch-is', () => {
     });
   });
 
+  it('exit code 0 silently if any branch name matches', (done) => {
+    const args = ARGS.concat('invalid', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit code 1 with warning listing all branch names', (done) => {
+    gitBranchIsCmd(ARGS.concat('invalid1', 'invalid2'), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\binvalid1\b/);
+      assertMatch(result.stderr, /\binvalid2\b/);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      done();
+    });
+  });
+
+  it('exit code 1 with warning if any regex not matched with --all', (done) => {
+    const args = ARGS.concat('--all', '-r', BRANCH_CURRENT, 'invalid');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\binvalid\b/);
+      assertMatch(result.stderr, /does not match "invalid"\./);
+      done();
+    });
+  });
+
+  it('exit code 0 silently for inverted different names with --all', (done) => {
+    const args = ARGS.concat('--all', '--not', 'invalid1', 'invalid2');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit code 1 for inverted names including current with --all', (done) => {
+    const args = ARGS.concat('--all', '--not', 'invalid', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      done();
+    });
+  });
+
+  it('exit 2 with warning for any invalid regex', (done) => {
+    gitBranchIsCmd(ARGS.concat('-r', 'good', 'b[ad'), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 2);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\bb\[ad\b/);
+      done();
+    });
+  });
+
   // Note:  This is one of the few errors that doesn't call process.exit
-  it('callback Error for multiple args', (done) => {
-    gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT, 'foo'), (err, result) => {
+  it('callback Error for no args', (done) => {
+    gitBranchIsCmd(ARGS, (err, result) => {
       assert(err instanceof Error);
       assertMatch(err.message, /\bargument/i);
       assertMatch(err.message, /\busage/i);
@@ -375,27 +743,2100 @@ describe('git-branch-is', () => {
     });
   });
 
-  it('returns a Promise with the result', () => {
-    const promise = gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT));
-    assert(promise instanceof global.Promise);
-    return promise.then((result) => {
+  it('exit code 1 with warning for --detached on branch', (done) => {
+    gitBranchIsCmd(ARGS.concat('--detached'), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assert(!result.stdout);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      assertMatch(result.stderr, /\bnot detached\b/);
+      done();
+    });
+  });
+
+  it('exit code 0 silently for inverted --detached on branch', (done) => {
+    gitBranchIsCmd(ARGS.concat('--not', '--detached'), (err, result) => {
+      assert.ifError(err);
       assert.strictEqual(result.code, 0);
       assert(!result.stdout);
       assert(!result.stderr);
+      done();
     });
   });
 
-  it('rejects the Promise with an Error', () => {
-    const promise = gitBranchIsCmd(ARGS.concat(
-      '-C',
-      'invalid',
-      BRANCH_CURRENT
-    ));
-    assert(promise instanceof global.Promise);
-    return promise.then(
-      (result) => { throw new Error('expecting Error'); },
-      (err) => { assert(err instanceof Error); }
-    );
+  it('callback Error for --detached with branch name', (done) => {
+    const args = ARGS.concat('--detached', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert(err instanceof Error);
+      assertMatch(err.message, /\bargument/i);
+      assertMatch(err.message, /\busage/i);
+      done();
+    });
+  });
+
+  describe('with --format json', () => {
+    it('prints match for same branch name', (done) => {
+      const args = ARGS.concat('--format', 'json', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stderr);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.current, BRANCH_CURRENT);
+        assert.deepStrictEqual(report.expected, [BRANCH_CURRENT]);
+        assert.strictEqual(report.mode, 'exact');
+        assert.strictEqual(report.match, true);
+        assert.strictEqual(report.exitCode, 0);
+        assert.strictEqual(report.error, null);
+        done();
+      });
+    });
+
+    it('prints error details for different branch name', (done) => {
+      const args = ARGS.concat('--format', 'json', '-q', 'invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stderr);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.current, BRANCH_CURRENT);
+        assert.strictEqual(report.match, false);
+        assert.strictEqual(report.exitCode, 1);
+        assertMatch(report.error, /\binvalid\b/);
+        done();
+      });
+    });
+
+    it('prints match mode', (done) => {
+      const args = ARGS.concat('--format', 'json', '-r', '-i', '-I', '^X');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.mode, 'regex');
+        assert.strictEqual(report.ignoreCase, true);
+        assert.strictEqual(report.inverted, true);
+        done();
+      });
+    });
+
+    it('prints usage Error for conflicting options', (done) => {
+      const args = ARGS.concat('--format', 'json', '-g', '-r', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stderr);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.match, false);
+        assert.strictEqual(report.exitCode, 1);
+        assertMatch(report.error, /--glob and --regex/);
+        assertMatch(report.error, /\busage/i);
+        done();
+      });
+    });
+
+    it('prints usage Error for missing argument', (done) => {
+      gitBranchIsCmd(ARGS.concat('--format', 'json'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        const report = JSON.parse(result.stdout);
+        assertMatch(report.error, /\bargument/i);
+        done();
+      });
+    });
+
+    it('prints Error outside of git repo', (done) => {
+      const args = ARGS.concat('--format', 'json', '-C', '/', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.notStrictEqual(result.code, 0);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.current, null);
+        assert.strictEqual(report.match, false);
+        assert.strictEqual(report.exitCode, result.code);
+        assertMatch(report.error, /\bnot a git repository\b/i);
+        done();
+      });
+    });
+
+    it('exit code 5 outside of git repo', (done) => {
+      const args = ARGS.concat('--format', 'json', '-C', '/', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 5);
+        done();
+      });
+    });
+
+    it('exit code 6 if git does not exist', (done) => {
+      const args = ARGS.concat(
+        '--format', 'json',
+        '--git-path', 'nonexistent-git',
+        BRANCH_CURRENT
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 6);
+        assertMatch(JSON.parse(result.stdout).error, /\bnonexistent-git\b/);
+        done();
+      });
+    });
+
+    it('exit code 7 if git does not finish in --timeout', (done) => {
+      const args = ARGS.concat(
+        '--format', 'json',
+        '--git-path', process.execPath,
+        '--git-arg', '-e',
+        '--git-arg', 'setTimeout(() => {}, 60000)',
+        '--timeout', '100',
+        BRANCH_CURRENT
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 7);
+        done();
+      });
+    });
+
+    it('callback Error for unknown format', (done) => {
+      const args = ARGS.concat('--format', 'xml', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /\bformat\b/);
+        done();
+      });
+    });
+  });
+
+  describe('with message templates', () => {
+    it('prints --message with placeholders for different branch', (done) => {
+      const args = ARGS.concat(
+        '-g',
+        '--message', 'Expected {expected} ({mode}), on {current}. {unknown}',
+        'release/*'
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assert.strictEqual(
+          result.stderr,
+          `Expected release/* (glob), on ${BRANCH_CURRENT}. {unknown}\n`
+        );
+        done();
+      });
+    });
+
+    it('does not print --message for same branch', (done) => {
+      const args = ARGS.concat('--message', 'mismatch', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('does not print --message with quiet option', (done) => {
+      const args = ARGS.concat('-q', '--message', 'mismatch', 'invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('does not print --message for invalid RegExp', (done) => {
+      const args = ARGS.concat('-r', '--message', 'mismatch', 'b[');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\bb\[/);
+        done();
+      });
+    });
+
+    it('prints --success-message for same branch', (done) => {
+      const args = ARGS.concat(
+        '--success-message', 'On {current}',
+        BRANCH_CURRENT
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stdout, `On ${BRANCH_CURRENT}\n`);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('does not print --success-message for different branch', (done) => {
+      const args = ARGS.concat('--success-message', 'matched', 'invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\binvalid\b/);
+        done();
+      });
+    });
+
+    it('uses --message as error with --format json', (done) => {
+      const args = ARGS.concat(
+        '--format', 'json',
+        '--message', 'Not on {expected}',
+        'invalid'
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.error, 'Not on invalid');
+        done();
+      });
+    });
+  });
+
+  describe('with configuration file', () => {
+    const configPath = path.join(TEST_REPO_PATH, '.gitbranchisrc.js');
+
+    const config = {
+      rules: {
+        current: {glob: `${BRANCH_CURRENT.slice(0, 2)}*`},
+        excluded: {
+          not: BRANCH_CURRENT,
+          regex: BRANCH_CURRENT.slice(0, 2)
+        },
+        invalid: {regex: 'b[ad'}
+      }
+    };
+
+    before('write configuration file', () => fsP.writeFile(
+      configPath,
+      `module.exports = ${JSON.stringify(config)};\n`
+    ));
+
+    after('remove configuration file', () => fsP.unlink(configPath));
+
+    it('exit code 0 silently for satisfied rule', (done) => {
+      gitBranchIsCmd(ARGS.concat('--rule', 'current'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 0 silently for rule from subdirectory', (done) => {
+      const args = ARGS.concat('-C', SUBDIR_NAME, '--rule', 'current');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for excluded branch', (done) => {
+      gitBranchIsCmd(ARGS.concat('--rule', 'excluded'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bexcluded\b/);
+        assertMatch(result.stderr, BRANCH_CURRENT_RE);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for inverted satisfied rule', (done) => {
+      const args = ARGS.concat('--not', '--rule', 'current');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bsatisfies rule "current"/);
+        done();
+      });
+    });
+
+    it('exit code 2 with warning for unknown rule', (done) => {
+      gitBranchIsCmd(ARGS.concat('--rule', 'unknown'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bunknown\b/);
+        assertMatch(result.stderr, /\.gitbranchisrc\.js\b/);
+        done();
+      });
+    });
+
+    it('exit code 2 with warning for invalid rule', (done) => {
+      gitBranchIsCmd(ARGS.concat('--rule', 'invalid'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bb\[ad\b/);
+        done();
+      });
+    });
+
+    it('callback Error for --rule with branch name', (done) => {
+      const args = ARGS.concat('--rule', 'current', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /\bargument/i);
+        done();
+      });
+    });
+  });
+
+  describe('with --convention', () => {
+    const conventionName = 'convention.json';
+    const conventionPath = path.join(TEST_REPO_PATH, conventionName);
+
+    const convention = {
+      example: 'test-example',
+      rules: {
+        prefix: {regex: '^test-'},
+        lowercase: {regex: '^[a-z-]+$'}
+      }
+    };
+
+    before('write convention file', () => fsP.writeFile(
+      conventionPath,
+      JSON.stringify(convention)
+    ));
+
+    after('remove convention file', () => fsP.unlink(conventionPath));
+
+    it('exit code 0 silently for branch following convention', (done) => {
+      const args = ARGS.concat('--convention', conventionName);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 1 with failed rule and example for preset', (done) => {
+      const args = ARGS.concat('--convention', 'conventional');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, BRANCH_CURRENT_RE);
+        assertMatch(result.stderr, /\bconvention "conventional"/);
+        assertMatch(result.stderr, /\brule "type"/);
+        assertMatch(result.stderr, /\bfeat\/add-login-page\b/);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for inverted convention', (done) => {
+      const args = ARGS.concat('--not', '--convention', conventionName);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bfollows convention\b/);
+        done();
+      });
+    });
+
+    it('checks branch names given as arguments', (done) => {
+      const args = ARGS.concat(
+        '--convention', conventionName,
+        'test-ok',
+        'test-Upper',
+        'test..dots'
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assert(!/"test-ok"/.test(result.stderr));
+        assertMatch(result.stderr, /"test-Upper".*\brule "lowercase"/);
+        assertMatch(result.stderr, /"test\.\.dots" is not a valid branch name/);
+        assertMatch(result.stderr, /\btest-example\b/);
+        done();
+      });
+    });
+
+    it('exit code 2 with warning for unknown convention', (done) => {
+      const args = ARGS.concat('--convention', 'unknown');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bunknown\b/);
+        assertMatch(result.stderr, /\bconventional\b/);
+        done();
+      });
+    });
+
+    it('callback Error for --convention with --rule', (done) => {
+      const args = ARGS.concat('--convention', 'gitflow', '--rule', 'current');
+      gitBranchIsCmd(args, (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--convention\b/);
+        done();
+      });
+    });
+  });
+
+  it('exit code 0 silently for full name with --full-name', (done) => {
+    const args = ARGS.concat('--full-name', `refs/heads/${BRANCH_CURRENT}`);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit code 0 for short name of branch with --full-name', (done) => {
+    const args = ARGS.concat('--full-name', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('exit code 1 with full name for other name with --full-name', (done) => {
+    const args = ARGS.concat('--full-name', 'invalid');
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 1);
+      assertMatch(result.stderr, /\brefs\/heads\//);
+      done();
+    });
+  });
+
+  describe('with --tag', () => {
+    before('create tag', () => git('tag', 'v1.2.3'));
+
+    after('remove tag', () => git('tag', '-d', 'v1.2.3', {stdio: 'ignore'}));
+
+    it('exit code 0 silently for tag name', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', 'v1.2.3'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for other tag name', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', 'v1.2.4'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bv1\.2\.4\b/);
+        assertMatch(result.stderr, /\bv1\.2\.3\b/);
+        done();
+      });
+    });
+
+    it('exit code 1 for branch name', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', BRANCH_CURRENT), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        done();
+      });
+    });
+
+    it('exit code 0 for matching glob', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', '-g', 'v1.*'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 0 for inverted non-matching regex', (done) => {
+      const args = ARGS.concat('--tag', '-I', '-r', '^v2\\.');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 0 for satisfied semver range', (done) => {
+      const args = ARGS.concat('--tag', '--semver', '>=1.2.0 <1.3.0');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 1 for unsatisfied semver range', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', '--semver', '^2'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /"\^2"/);
+        done();
+      });
+    });
+
+    it('exit code 2 for invalid semver range', (done) => {
+      const args = ARGS.concat('--tag', '--semver', 'invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\bsemver range\b/);
+        done();
+      });
+    });
+
+    describe('with package.json', () => {
+      const packagePath = path.join(TEST_REPO_PATH, 'package.json');
+      const subPackagePath = path.join(SUBDIR_NAME, 'package.json');
+
+      before('write package.json files', () => fsP.writeFile(
+        packagePath,
+        JSON.stringify({name: 'test', version: '1.2.3'})
+      )
+        .then(() => fsP.writeFile(
+          subPackagePath,
+          JSON.stringify({name: 'test-sub', version: '1.2.4'})
+        )));
+
+      after('remove package.json files', () => fsP.unlink(packagePath)
+        .then(() => fsP.unlink(subPackagePath)));
+
+      it('exit code 0 for package.json version without range', (done) => {
+        gitBranchIsCmd(ARGS.concat('--tag', '--semver'), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 0);
+          assert(!result.stderr, result.stderr);
+          done();
+        });
+      });
+
+      it('exit code 1 for other package.json version', (done) => {
+        const args = ARGS.concat('-C', SUBDIR_NAME, '--tag', '--semver');
+        gitBranchIsCmd(args, (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 1);
+          assertMatch(result.stderr, /"1\.2\.4"/);
+          done();
+        });
+      });
+    });
+
+    it('prints tags with verbose option', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', '-v', 'v1.2.3'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /\bv1\.2\.3\b/);
+        done();
+      });
+    });
+
+    it('prints tags with --format json', (done) => {
+      const args = ARGS.concat('--tag', '--format', 'json', 'v1.2.3');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        const report = JSON.parse(result.stdout);
+        assert.deepStrictEqual(report.tags, ['v1.2.3']);
+        assert.strictEqual(report.match, true);
+        done();
+      });
+    });
+
+    it('callback Error for --semver without --tag', (done) => {
+      gitBranchIsCmd(ARGS.concat('--semver', '^1'), (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--semver/);
+        done();
+      });
+    });
+
+    it('callback Error for --tag with --rule', (done) => {
+      gitBranchIsCmd(ARGS.concat('--tag', '--rule', 'x'), (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--tag/);
+        done();
+      });
+    });
+  });
+
+  describe('with --matches-version', () => {
+    const BRANCH_RELEASE = 'release/1.4';
+    const packagePath = path.join(TEST_REPO_PATH, 'package.json');
+    const subPackagePath = path.join(SUBDIR_NAME, 'package.json');
+
+    before('write package.json files', () => fsP.writeFile(
+      packagePath,
+      JSON.stringify({name: 'test', version: '1.4.2'})
+    )
+      .then(() => fsP.writeFile(
+        subPackagePath,
+        JSON.stringify({name: 'test-sub', version: '2.0.0'})
+      )));
+
+    after('remove package.json files', () => fsP.unlink(packagePath)
+      .then(() => fsP.unlink(subPackagePath)));
+
+    before('checkout release branch', () => git(
+      'checkout', '-q', '-b', BRANCH_RELEASE
+    ));
+
+    after('remove release branch', () => git('checkout', '-q', BRANCH_CURRENT)
+      .then(() => git('branch', '-q', '-D', BRANCH_RELEASE)));
+
+    it('exit code 0 silently for matching version', (done) => {
+      gitBranchIsCmd(ARGS.concat('--matches-version'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 0 with message for matching version if verbose', (done) => {
+      const args = ARGS.concat('-v', '--matches-version', BRANCH_RELEASE);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /\bmatches version 1\.4\.2\b/);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for different major version', (done) => {
+      const args = ARGS.concat('-C', SUBDIR_NAME, '--matches-version');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\brelease\/1\.4\b/);
+        assertMatch(result.stderr, /\bversion 2\.0\.0\b/);
+        assertMatch(result.stderr, /\bmajor version 1\b/);
+        done();
+      });
+    });
+
+    it('exit code 1 without checking version for other branch', (done) => {
+      const args = ARGS.concat('--matches-version', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, BRANCH_CURRENT_RE);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning if --version-pattern not matched', (done) => {
+      const args = ARGS.concat(
+        '--matches-version',
+        '--version-pattern', 'v(\\d+)'
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /\bdoes not contain a version\b/);
+        done();
+      });
+    });
+
+    it('exit code 2 with warning for invalid --version-pattern', (done) => {
+      const args = ARGS.concat(
+        '--matches-version',
+        '--version-pattern', 'b[ad'
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\bb\[ad\b/);
+        done();
+      });
+    });
+
+    it('callback Error for --version-pattern alone', (done) => {
+      const args = ARGS.concat('--version-pattern', 'x', BRANCH_RELEASE);
+      gitBranchIsCmd(args, (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--matches-version/);
+        done();
+      });
+    });
+  });
+
+  describe('with --watch', () => {
+    let watcher;
+
+    afterEach('close watcher', () => {
+      if (watcher) {
+        watcher.close();
+        watcher = null;
+      }
+    });
+
+    after('checkout current branch', () => git(
+      'checkout', '-q', BRANCH_CURRENT
+    ));
+
+    it('checks branch initially and after each change', (done) => {
+      let checkCount = 0;
+      const args = ARGS.concat('--watch', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        ({watcher} = result);
+        assert(watcher);
+        checkCount += 1;
+        if (checkCount === 1) {
+          assert.strictEqual(result.code, 0);
+          assert(!result.stdout);
+          assert(!result.stderr);
+          git('checkout', '-q', BRANCH_SAME_COMMIT).catch(done);
+        } else if (checkCount === 2) {
+          assert.strictEqual(result.code, 1);
+          assertMatch(
+            result.stdout,
+            /\bchanged from "test-branch" to "same-commit"/
+          );
+          assertMatch(result.stderr, BRANCH_CURRENT_RE);
+          watcher.close();
+          git('checkout', '-q', BRANCH_CURRENT).then(() => done(), done);
+        }
+      });
+    });
+
+    it('prints each change without <branch name>', (done) => {
+      const args = ARGS.concat('--watch', '--allow-detached');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        ({watcher} = result);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stderr);
+        if (!result.stdout) {
+          git('checkout', '-q', '--detach').catch(done);
+        } else {
+          assertMatch(result.stdout, /\bto detached HEAD\b/);
+          watcher.close();
+          git('checkout', '-q', BRANCH_CURRENT).then(() => done(), done);
+        }
+      });
+    });
+
+    it('callback Error for --watch with --tag', (done) => {
+      gitBranchIsCmd(ARGS.concat('--watch', '--tag', 'x'), (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--watch/);
+        done();
+      });
+    });
+  });
+
+  describe('with submodule', () => {
+    const metaPath = path.join(TEST_REPO_PATH, 'meta');
+    const submodulePath = path.join(metaPath, 'lib');
+
+    before('create repository with submodule', () => git(
+      'init', '-q', metaPath
+    )
+      .then(() => git(
+        '-C', metaPath,
+        'symbolic-ref', 'HEAD', `refs/heads/${BRANCH_CURRENT}`
+      ))
+      .then(() => git(
+        '-C', metaPath,
+        '-c', 'protocol.file.allow=always',
+        'submodule', '--quiet', 'add', TEST_REPO_PATH, 'lib'
+      ))
+      .then(() => git(
+        '-C', metaPath,
+        '-c', 'user.name=Test User',
+        '-c', 'user.email=test@example.com',
+        'commit', '-q', '-m', 'Add submodule'
+      )));
+
+    after('remove repository with submodule', () => rimrafP(metaPath));
+
+    it('exit code 0 with table if all repositories match', (done) => {
+      const args = ARGS.concat(
+        '-C', metaPath,
+        '--recurse-submodules',
+        BRANCH_CURRENT
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /^Repository +Branch +Result\n/);
+        assertMatch(result.stdout, /^\. +test-branch +OK$/m);
+        assertMatch(result.stdout, /^lib +test-branch +OK$/m);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 1 with table if a submodule does not match', (done) => {
+      const args = ARGS.concat(
+        '--repo', 'meta',
+        '--recurse-submodules',
+        BRANCH_CURRENT
+      );
+      git('-C', submodulePath, 'checkout', '-q', BRANCH_SAME_COMMIT)
+        .then(() => gitBranchIsCmd(args))
+        .then((result) => {
+          assert.strictEqual(result.code, 1);
+          assertMatch(result.stdout, /^meta +test-branch +OK$/m);
+          assertMatch(
+            result.stdout,
+            /^meta\/lib +same-commit +Current branch is "same-commit"/m
+          );
+          return git('-C', submodulePath, 'checkout', '-q', BRANCH_CURRENT);
+        })
+        .then(() => done(), done);
+    });
+
+    it('exit code 0 silently for repeated --repo with -q', (done) => {
+      const args = ARGS.concat(
+        '-q',
+        '--repo', '.',
+        '--repo', 'meta',
+        BRANCH_CURRENT
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('prints each repository with --format json', (done) => {
+      const args = ARGS.concat(
+        '--format', 'json',
+        '--repo', '.',
+        '--repo', 'meta',
+        BRANCH_SAME_COMMIT
+      );
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.match, false);
+        assert.deepStrictEqual(
+          report.repositories.map((repository) => repository.path),
+          ['.', 'meta']
+        );
+        assert.strictEqual(report.repositories[1].current, BRANCH_CURRENT);
+        assert.strictEqual(report.repositories[1].match, false);
+        assertMatch(report.repositories[1].error, /\bsame-commit\b/);
+        done();
+      });
+    });
+
+    it('callback Error for --repo with --tag', (done) => {
+      const args = ARGS.concat('--repo', 'meta', '--tag', 'x');
+      gitBranchIsCmd(args, (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--repo\b/);
+        done();
+      });
+    });
+  });
+
+  describe('with worktrees', () => {
+    const BRANCH_WORKTREE = 'worktree-branch';
+    const BRANCH_PRUNABLE = 'worktree-prunable';
+    const worktreePath = path.join(TEST_REPO_PATH, 'worktree');
+    const prunablePath = path.join(TEST_REPO_PATH, 'prunable');
+
+    before('add worktrees', () => git(
+      'worktree', 'add', '-q', '-b', BRANCH_WORKTREE, worktreePath
+    )
+      .then(() => git('worktree', 'lock', '--reason', 'testing', worktreePath))
+      .then(() => git(
+        'worktree', 'add', '-q', '-b', BRANCH_PRUNABLE, prunablePath
+      ))
+      .then(() => rimrafP(prunablePath)));
+
+    after('remove worktrees', () => git('worktree', 'unlock', worktreePath)
+      .then(() => git('worktree', 'remove', '--force', worktreePath))
+      .then(() => git('worktree', 'prune'))
+      .then(() => git('branch', '-q', '-D', BRANCH_WORKTREE, BRANCH_PRUNABLE)));
+
+    it('exit code 0 silently for branch in other worktree', (done) => {
+      const args = ARGS.concat('--any-worktree', BRANCH_WORKTREE);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 0 for current branch with --any-worktree', (done) => {
+      const args = ARGS.concat('--any-worktree', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for branch not checked out', (done) => {
+      const args = ARGS.concat('--any-worktree', BRANCH_SAME_COMMIT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bnot checked out in any worktree\b/);
+        done();
+      });
+    });
+
+    it('exit code 1 with worktree for inverted checked out branch', (done) => {
+      const args = ARGS.concat('--any-worktree', '-I', BRANCH_WORKTREE);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(result.stderr.includes(worktreePath));
+        assertMatch(result.stderr, /\(locked: testing\)/);
+        done();
+      });
+    });
+
+    it('prints worktrees with --which-worktree', (done) => {
+      const args = ARGS.concat('--which-worktree', '-g', 'worktree-*');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        const prunableReason = 'gitdir file points to non-existent location';
+        assert.deepStrictEqual(
+          result.stdout.split('\n').sort(),
+          [
+            '',
+            `${prunablePath} (prunable: ${prunableReason})`,
+            `${worktreePath} (locked: testing)`
+          ]
+        );
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('callback Error for --any-worktree with --tag', (done) => {
+      const args = ARGS.concat('--any-worktree', '--tag', BRANCH_WORKTREE);
+      gitBranchIsCmd(args, (err, result) => {
+        assert(err instanceof Error);
+        assertMatch(err.message, /--any-worktree\b/);
+        done();
+      });
+    });
+  });
+
+  describe('with tag named like branch', () => {
+    before('create tag', () => git('tag', BRANCH_CURRENT));
+
+    after('remove tag', () => git(
+      'tag', '-d', BRANCH_CURRENT, {stdio: 'ignore'}
+    ));
+
+    it('exit code 0 with warning for same branch name', (done) => {
+      gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /^Warning: .*\bambiguous\b/);
+        assertMatch(result.stderr, /\brefs\/tags\//);
+        done();
+      });
+    });
+
+    it('exit code 0 silently with quiet option', (done) => {
+      gitBranchIsCmd(ARGS.concat('-q', BRANCH_CURRENT), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('prints ambiguousRefs with --format json', (done) => {
+      const args = ARGS.concat('--format', 'json', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stderr);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.error, null);
+        assert.deepStrictEqual(
+          report.head.ambiguousRefs,
+          [`refs/tags/${BRANCH_CURRENT}`]
+        );
+        done();
+      });
+    });
+  });
+
+  describe('with upstream', () => {
+    before('set upstream', () => git('remote', 'add', 'origin', '../none')
+      .then(() => git('update-ref', UPSTREAM_REF, 'HEAD'))
+      .then(() => git('branch', '-q', '-u', UPSTREAM)));
+
+    after('remove upstream', () => git('branch', '--unset-upstream')
+      .then(() => git('remote', 'remove', 'origin')));
+
+    it('exit code 0 silently for same upstream', (done) => {
+      gitBranchIsCmd(ARGS.concat('--upstream', UPSTREAM), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 0 for branch name and upstream', (done) => {
+      const args = ARGS.concat('--upstream', UPSTREAM, BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for different upstream', (done) => {
+      const args = ARGS.concat('--upstream', 'origin/invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\borigin\/invalid\b/);
+        assertMatch(result.stderr, UPSTREAM_RE);
+        done();
+      });
+    });
+
+    it('exit code 1 for different branch name before upstream', (done) => {
+      const args = ARGS.concat('--upstream', UPSTREAM, 'invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /\binvalid\b/);
+        done();
+      });
+    });
+
+    it('exit code 0 for inverted different upstream', (done) => {
+      const args = ARGS.concat('-I', '--upstream', 'origin/invalid');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 0 for matching upstream glob', (done) => {
+      const args = ARGS.concat('-g', '--upstream', 'origin/*');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        done();
+      });
+    });
+
+    it('exit code 1 for non-matching upstream regex', (done) => {
+      const args = ARGS.concat('-r', '--upstream', '^upstream/');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /\bdoes not match\b/);
+        done();
+      });
+    });
+
+    it('exit code 2 for invalid upstream regex', (done) => {
+      const args = ARGS.concat('-r', '--upstream', 'b[');
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\bb\[/);
+        done();
+      });
+    });
+
+    it('prints upstream with verbose option', (done) => {
+      const args = ARGS.concat('-v', '--upstream', UPSTREAM);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, UPSTREAM_RE);
+        assert(!result.stderr);
+        done();
+      });
+    });
+  });
+
+  it('exit code 4 with warning for no upstream', (done) => {
+    gitBranchIsCmd(ARGS.concat('--upstream', UPSTREAM), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 4);
+      assert(!result.stdout);
+      assertMatch(result.stderr, /\bno upstream\b/);
+      assertMatch(result.stderr, BRANCH_CURRENT_RE);
+      done();
+    });
+  });
+
+  it('exit code 4 with warning for up-to-date without upstream', (done) => {
+    gitBranchIsCmd(ARGS.concat('--up-to-date'), (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 4);
+      assertMatch(result.stderr, /\bno upstream\b/);
+      done();
+    });
+  });
+
+  it('exit code 0 for up-to-date against same commit', (done) => {
+    const args = ARGS.concat('--up-to-date', '--against', BRANCH_SAME_COMMIT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      done();
+    });
+  });
+
+  describe('with remote', () => {
+    const remotePath = path.join(TEST_REPO_PATH, 'remote.git');
+    let orphanCommit;
+
+    before('create remote', () => git('init', '-q', '--bare', remotePath)
+      .then(() => git('remote', 'add', 'origin', remotePath))
+      .then(() => git('push', '-q', '-u', 'origin', BRANCH_CURRENT))
+      .then(() => git(
+        'commit-tree', 'HEAD^{tree}', '-m', 'Orphan', {stdio: 'pipe'}
+      ))
+      .then((outputs) => { orphanCommit = outputs[0].trim(); }));
+
+    after('remove remote', () => git('branch', '--unset-upstream')
+      .then(() => git('remote', 'remove', 'origin'))
+      .then(() => rimrafP(remotePath)));
+
+    /** Pushes a new commit on the current branch to the remote and fetches
+     * it, so the current branch is behind its upstream.
+     */
+    function pushNewCommit() {
+      const options = {stdio: 'pipe'};
+      return git('commit-tree', 'HEAD^{tree}', '-p', 'HEAD', '-m', 'New',
+        options)
+        .then((outputs) => git(
+          'push', '-q', 'origin', `${outputs[0].trim()}:${BRANCH_CURRENT}`
+        ))
+        .then(() => git('fetch', '-q', 'origin'));
+    }
+
+    /** Resets the remote branch to the current branch. */
+    function resetRemote() {
+      return git('push', '-q', '-f', 'origin', BRANCH_CURRENT);
+    }
+
+    it('exit code 0 silently for up-to-date', (done) => {
+      gitBranchIsCmd(ARGS.concat('--up-to-date'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('prints ahead/behind with verbose option', (done) => {
+      const args = ARGS.concat('-v', '--up-to-date', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, BRANCH_CURRENT_RE);
+        assertMatch(result.stdout, /\bup to date\b/);
+        assertMatch(result.stdout, UPSTREAM_RE);
+        done();
+      });
+    });
+
+    it('exit code 1 for up-to-date with different branch name', (done) => {
+      gitBranchIsCmd(ARGS.concat('--up-to-date', 'invalid'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /\binvalid\b/);
+        done();
+      });
+    });
+
+    describe('when behind upstream', () => {
+      before('push new commit', pushNewCommit);
+      after('reset remote', resetRemote);
+
+      it('exit code 1 with warning for not-behind', (done) => {
+        gitBranchIsCmd(ARGS.concat('--not-behind'), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 1);
+          assert(!result.stdout);
+          assertMatch(result.stderr, /\b1 commit behind\b/);
+          assertMatch(result.stderr, UPSTREAM_RE);
+          done();
+        });
+      });
+
+      it('exit code 1 for up-to-date', (done) => {
+        gitBranchIsCmd(ARGS.concat('--up-to-date'), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 1);
+          assertMatch(result.stderr, /\bbehind\b/);
+          done();
+        });
+      });
+
+      it('exit code 0 for not-ahead', (done) => {
+        gitBranchIsCmd(ARGS.concat('--not-ahead'), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 0);
+          done();
+        });
+      });
+    });
+
+    it('exit code 1 with warning for not-ahead of diverged ref', (done) => {
+      const args = ARGS.concat('--not-ahead', '--against', orphanCommit);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /\b1 commit ahead of\b/);
+        assert(!/\bbehind\b/.test(result.stderr));
+        done();
+      });
+    });
+  });
+
+  describe('with detached HEAD', () => {
+    const TAG_DETACHED_RE = new RegExp(`\\b${TAG_DETACHED}\\b`);
+
+    before('detach HEAD', () => git('checkout', '-q', '--detach')
+      .then(() => git('tag', TAG_DETACHED)));
+
+    after('reattach HEAD', () => git('checkout', '-q', BRANCH_CURRENT)
+      .then(() => git('tag', '-d', TAG_DETACHED, {stdio: 'ignore'})));
+
+    it('exit code 3 with warning for branch name', (done) => {
+      gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 3);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bdetached\b/);
+        assertMatch(result.stderr, TAG_DETACHED_RE);
+        done();
+      });
+    });
+
+    it('exit code 3 silently with quiet option', (done) => {
+      gitBranchIsCmd(ARGS.concat('-q', BRANCH_CURRENT), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 3);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('prints commit with --format json', (done) => {
+      const args = ARGS.concat('--format', 'json', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 3);
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report.current, null);
+        assert.strictEqual(report.head.detached, true);
+        assert.deepStrictEqual(report.head.tags, [TAG_DETACHED]);
+        assertMatch(report.error, /\bdetached\b/);
+        done();
+      });
+    });
+
+    it('prints commit for {current} in --message', (done) => {
+      const args = ARGS.concat('--message', 'On {current}', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 3);
+        assertMatch(result.stderr, /^On [0-9a-f]{40}\n$/);
+        done();
+      });
+    });
+
+    it('exit code 3 for inverted branch name', (done) => {
+      gitBranchIsCmd(ARGS.concat('-I', BRANCH_CURRENT), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 3);
+        assertMatch(result.stderr, /\bdetached\b/);
+        done();
+      });
+    });
+
+    describe('during rebase', () => {
+      const rebasePath = path.join(TEST_REPO_PATH, '.git', 'rebase-merge');
+
+      before('create rebase state', () => fsP.mkdir(rebasePath)
+        .then(() => fsP.writeFile(
+          path.join(rebasePath, 'head-name'),
+          `refs/heads/${BRANCH_CURRENT}\n`
+        )));
+
+      after('remove rebase state', () => rimrafP(rebasePath));
+
+      it('exit code 0 for rebased branch with --during-operation', (done) => {
+        const args = ARGS.concat('--during-operation', BRANCH_CURRENT);
+        gitBranchIsCmd(args, (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 0);
+          assert(!result.stdout);
+          assert(!result.stderr);
+          done();
+        });
+      });
+
+      it('exit code 1 with operation for different branch', (done) => {
+        const args = ARGS.concat('--during-operation', 'invalid');
+        gitBranchIsCmd(args, (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 1);
+          assertMatch(result.stderr, BRANCH_CURRENT_RE);
+          assertMatch(result.stderr, /\bduring rebase\b/);
+          done();
+        });
+      });
+
+      it('exit code 3 without --during-operation', (done) => {
+        gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 3);
+          done();
+        });
+      });
+    });
+
+    describe('in CI environment', () => {
+      const ciEnv = {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_BASE_REF: '',
+        GITHUB_HEAD_REF: '',
+        GITHUB_REF: `refs/heads/${BRANCH_CURRENT}`
+      };
+      const origEnv = {};
+
+      before('set CI environment variables', () => {
+        Object.keys(ciEnv).forEach((name) => {
+          origEnv[name] = process.env[name];
+          process.env[name] = ciEnv[name];
+        });
+      });
+
+      after('restore environment variables', () => {
+        Object.keys(origEnv).forEach((name) => {
+          if (origEnv[name] === undefined) {
+            delete process.env[name];
+          } else {
+            process.env[name] = origEnv[name];
+          }
+        });
+      });
+
+      it('exit code 0 silently with --ci', (done) => {
+        gitBranchIsCmd(ARGS.concat('--ci', BRANCH_CURRENT), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 0);
+          assert(!result.stdout);
+          assert(!result.stderr);
+          done();
+        });
+      });
+
+      it('exit code 1 with variable name for --ci mismatch', (done) => {
+        gitBranchIsCmd(ARGS.concat('--ci', 'invalid'), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 1);
+          assert(!result.stdout);
+          assertMatch(result.stderr, BRANCH_CURRENT_RE);
+          assertMatch(result.stderr, /\bGITHUB_REF\b/);
+          done();
+        });
+      });
+
+      it('exit code 4 for --ci --upstream without upstream', (done) => {
+        const args =
+          ARGS.concat('--ci', '--upstream', UPSTREAM, BRANCH_CURRENT);
+        gitBranchIsCmd(args, (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 4);
+          assertMatch(result.stderr, /\bno upstream\b/);
+          done();
+        });
+      });
+
+      it('callback DetachedHeadError for --ci --upstream without local branch',
+        (done) => {
+          process.env.GITHUB_REF = `refs/heads/${BRANCH_NON_EXISTENT}`;
+          const args =
+            ARGS.concat('--ci', '--upstream', UPSTREAM, BRANCH_NON_EXISTENT);
+          gitBranchIsCmd(args, (err, result) => {
+            process.env.GITHUB_REF = ciEnv.GITHUB_REF;
+            assert.strictEqual(err.name, 'DetachedHeadError');
+            assertMatch(err.message, /\bdoes not exist locally\b/);
+            assertMatch(err.message, /\bGITHUB_REF\b/);
+            done();
+          });
+        });
+
+      it('exit code 3 without --ci', (done) => {
+        gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT), (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result.code, 3);
+          done();
+        });
+      });
+    });
+
+    it('exit code 0 silently with --allow-detached', (done) => {
+      const args = ARGS.concat('--allow-detached', BRANCH_CURRENT);
+      gitBranchIsCmd(args, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assert(!result.stdout);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 0 with message for --detached if verbose', (done) => {
+      gitBranchIsCmd(ARGS.concat('-v', '--detached'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /\bdetached\b/);
+        assertMatch(result.stdout, TAG_DETACHED_RE);
+        assert(!result.stderr);
+        done();
+      });
+    });
+
+    it('exit code 1 with warning for inverted --detached', (done) => {
+      gitBranchIsCmd(ARGS.concat('-I', '--detached'), (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.code, 1);
+        assert(!result.stdout);
+        assertMatch(result.stderr, /\bdetached\b/);
+        done();
+      });
+    });
+  });
+
+  it('exit code 0 silently for same branch name with fs backend', (done) => {
+    const args = ARGS.concat('--backend', 'fs', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+      done();
+    });
+  });
+
+  it('callback TypeError for unknown backend', (done) => {
+    const args = ARGS.concat('--backend', 'invalid', BRANCH_CURRENT);
+    gitBranchIsCmd(args, (err, result) => {
+      assert(err instanceof TypeError);
+      assertMatch(err.message, /\bbackend\b/);
+      done();
+    });
+  });
+
+  it('returns a Promise with the result', () => {
+    const promise = gitBranchIsCmd(ARGS.concat(BRANCH_CURRENT));
+    assert(promise instanceof global.Promise);
+    return promise.then((result) => {
+      assert.strictEqual(result.code, 0);
+      assert(!result.stdout);
+      assert(!result.stderr);
+    });
+  });
+
+  it('rejects the Promise with an Error', () => {
+    const promise = gitBranchIsCmd(ARGS.concat(
+      '-C',
+      'invalid',
+      BRANCH_CURRENT
+    ));
+    assert(promise instanceof global.Promise);
+    return promise.then(
+      (result) => { throw new Error('expecting Error'); },
+      (err) => { assert(err instanceof Error); }
+    );
+  });
+
+  describe('with --pre-push', () => {
+    const remotePath = path.join(TEST_REPO_PATH, 'push-remote.git');
+    const zeroCommit = '0'.repeat(40);
+    let headCommit, orphanCommit;
+
+    before('create commits', () => git('rev-parse', 'HEAD', {stdio: 'pipe'})
+      .then((outputs) => { headCommit = outputs[0].trim(); })
+      .then(() => git(
+        'commit-tree', 'HEAD^{tree}', '-m', 'Orphan', {stdio: 'pipe'}
+      ))
+      .then((outputs) => { orphanCommit = outputs[0].trim(); }));
+
+    /** Runs git-branch-is with --pre-push, arguments, and hook input. */
+    function runPrePush(args, input) {
+      return execWithInput(['--pre-push'].concat(args), input);
+    }
+
+    it('exit code 1 for push to protected branch', () => runPrePush(
+      ['--protect', BRANCH_CURRENT, 'origin', remotePath],
+      `refs/heads/${BRANCH_CURRENT} ${orphanCommit} `
+        + `refs/heads/${BRANCH_CURRENT} ${zeroCommit}\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, '');
+        assertMatch(result.stderr, /^Error: Creation of "test-branch" /);
+        assertMatch(result.stderr, / on origin /);
+        assertMatch(result.stderr, /\bprotected by "test-branch"/);
+      }));
+
+    it('exit code 0 for push to unprotected branch', () => runPrePush(
+      ['-v', '--protect', BRANCH_CURRENT],
+      `refs/heads/${BRANCH_CURRENT} ${headCommit} `
+        + `refs/heads/other ${zeroCommit}\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stdout, 'Creation of "other" is allowed.\n');
+        assert.strictEqual(result.stderr, '');
+      }));
+
+    it('exit code 0 without refs to push', () => runPrePush(
+      ['--protect', BRANCH_CURRENT],
+      ''
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stderr, '');
+      }));
+
+    it('detects force-push and deletion', () => runPrePush(
+      ['-g', '--protect', 'release/*'],
+      `refs/heads/${BRANCH_CURRENT} ${orphanCommit} `
+        + `refs/heads/release/1 ${headCommit}\n`
+        + `(delete) ${zeroCommit} refs/heads/release/2 ${headCommit}\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(
+          result.stderr,
+          'Error: Force-push to "release/1" is not allowed '
+            + '(protected by "release/*").\n'
+            + 'Error: Deletion of "release/2" is not allowed '
+            + '(protected by "release/*").\n'
+        );
+      }));
+
+    it('exit code 0 for push allowed by --allow', () => runPrePush(
+      ['-r', '--protect', '^release/', '--allow', '^release/next$', '-v'],
+      `refs/heads/${BRANCH_CURRENT} ${orphanCommit} `
+        + `refs/heads/release/next ${headCommit}\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(
+          result.stdout,
+          'Force-push to "release/next" is allowed '
+            + '(allowed by "^release/next$").\n'
+        );
+      }));
+
+    it('matches full ref name with --full-name', () => runPrePush(
+      ['--full-name', '--protect', `refs/heads/${BRANCH_CURRENT}`],
+      `refs/heads/${BRANCH_CURRENT} ${orphanCommit} `
+        + `refs/heads/${BRANCH_CURRENT} ${headCommit}\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 1);
+        assertMatch(result.stderr, /"refs\/heads\/test-branch"/);
+      }));
+
+    it('prints ref updates with --format json', () => runPrePush(
+      ['--format', 'json', '--protect', 'main'],
+      `refs/heads/${BRANCH_CURRENT} ${headCommit} `
+        + `refs/heads/${BRANCH_CURRENT} ${headCommit}\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assert.deepStrictEqual(JSON.parse(result.stdout).refUpdates, [{
+          allowed: true,
+          localRef: `refs/heads/${BRANCH_CURRENT}`,
+          name: BRANCH_CURRENT,
+          newCommit: headCommit,
+          oldCommit: headCommit,
+          operation: 'update',
+          protected: false,
+          reason: null,
+          ref: `refs/heads/${BRANCH_CURRENT}`
+        }]);
+      }));
+
+    it('exit code 2 for invalid input', () => runPrePush(
+      ['--protect', BRANCH_CURRENT],
+      'invalid\n'
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\binvalid\b/);
+      }));
+
+    it('callback Error for --protect without --pre-push', () => gitBranchIsCmd(
+      ARGS.concat('--protect', BRANCH_CURRENT, BRANCH_CURRENT)
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /--pre-push\b/); }
+      ));
+
+    it('callback Error for --pre-push without --protect', () => gitBranchIsCmd(
+      ARGS.concat('--pre-push')
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /--protect\b/); }
+      ));
+
+    it('callback Error for --pre-push with --not', () => gitBranchIsCmd(
+      ARGS.concat('--pre-push', '--protect', BRANCH_CURRENT, '--not')
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /--pre-push\b/); }
+      ));
+
+    describe('as pre-push hook', () => {
+      // Ignore core.hooksPath (e.g. to disable hooks) in the environment
+      before(removeGitConfigEnv);
+
+      before('create remote and install hook', () => git(
+        'init', '-q', '--bare', remotePath
+      )
+        .then(() => gitBranchIsCmd(ARGS.concat(
+          'install-hook',
+          '--hook',
+          'pre-push',
+          '--hook-command',
+          HOOK_COMMAND,
+          '--pre-push',
+          '--protect',
+          BRANCH_CURRENT
+        ))));
+
+      after('remove remote and uninstall hook', () => gitBranchIsCmd(
+        ARGS.concat('uninstall-hook', '--hook', 'pre-push')
+      )
+        .then(() => rimrafP(remotePath)));
+
+      after(restoreGitConfigEnv);
+
+      it('blocks git push to protected branch', () => git(
+        'push', '-q', remotePath, BRANCH_CURRENT, {stdio: 'pipe'}
+      )
+        .then(
+          () => { throw new Error('expecting push to fail'); },
+          // Rejected with [Error, stdout, stderr] from execFile
+          (errOutputs) => {
+            assertMatch(errOutputs[2], /Creation of "test-branch"/);
+          }
+        ));
+
+      it('allows git push to unprotected branch', () => git(
+        'push', '-q', remotePath, `${BRANCH_CURRENT}:other`, {stdio: 'pipe'}
+      ));
+    });
+  });
+
+  describe('with --pre-receive and --update', () => {
+    const remotePath = path.join(TEST_REPO_PATH, 'receive-remote.git');
+    const configPath = path.join(remotePath, '.gitbranchisrc');
+    const zeroCommit = '0'.repeat(40);
+    let headCommit, orphanCommit;
+
+    before('create remote with refs rules', () => git(
+      'init', '-q', '--bare', remotePath
+    )
+      .then(() => fsP.writeFile(configPath, JSON.stringify({
+        refs: {
+          create: {allow: {glob: 'feature/*'}},
+          delete: {deny: ['main', BRANCH_CURRENT]},
+          'non-fast-forward': {deny: {regex: '^(?!feature/)'}}
+        }
+      })))
+      .then(() => git('rev-parse', 'HEAD', {stdio: 'pipe'}))
+      .then((outputs) => { headCommit = outputs[0].trim(); })
+      .then(() => git(
+        'commit-tree', 'HEAD^{tree}', '-m', 'Orphan', {stdio: 'pipe'}
+      ))
+      .then((outputs) => { orphanCommit = outputs[0].trim(); }));
+
+    after('remove remote', () => rimrafP(remotePath));
+
+    it('exit code 0 for allowed --update', () => execWithInput(
+      [
+        '-C',
+        remotePath,
+        '-v',
+        '--update',
+        'refs/heads/feature/1',
+        zeroCommit,
+        headCommit
+      ],
+      ''
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(
+          result.stdout,
+          'Creation of "feature/1" is allowed.\n'
+        );
+        assert.strictEqual(result.stderr, '');
+      }));
+
+    it('exit code 1 for --update not matching allow', () => execWithInput(
+      [
+        '-C',
+        remotePath,
+        '--update',
+        `refs/heads/${BRANCH_CURRENT}`,
+        zeroCommit,
+        headCommit
+      ],
+      ''
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(
+          result.stderr,
+          `Error: Creation of "${BRANCH_CURRENT}" is not allowed `
+            + '(does not match glob "feature/*").\n'
+        );
+      }));
+
+    it('exit code 1 for denied --pre-receive updates', () => execWithInput(
+      ['-C', remotePath, '--pre-receive'],
+      `${headCommit} ${zeroCommit} refs/heads/${BRANCH_CURRENT}\n`
+        + `${headCommit} ${orphanCommit} refs/heads/feature/2\n`
+        + `${headCommit} ${orphanCommit} refs/heads/other\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(
+          result.stderr,
+          `Error: Deletion of "${BRANCH_CURRENT}" is not allowed `
+            + `(matches excluded "${BRANCH_CURRENT}").\n`
+            + 'Error: Force-push to "other" is not allowed '
+            + '(matches excluded RegExp "^(?!feature/)").\n'
+        );
+      }));
+
+    it('exit code 2 without refs rules', () => execWithInput(
+      ['--pre-receive'],
+      `${zeroCommit} ${headCommit} refs/heads/feature/1\n`
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\brefs rules\b/);
+      }));
+
+    it('exit code 2 for invalid --update arguments', () => execWithInput(
+      ['-C', remotePath, '--update', 'refs/heads/main', 'HEAD', headCommit],
+      ''
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 2);
+        assertMatch(result.stderr, /\bInvalid update hook arguments\b/);
+      }));
+
+    it('callback Error for --update without 3 arguments', () => gitBranchIsCmd(
+      ARGS.concat('--update', 'refs/heads/main')
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /--update\b/); }
+      ));
+
+    it('callback Error for --pre-receive with --glob', () => gitBranchIsCmd(
+      ARGS.concat('--pre-receive', '--glob')
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /--glob\b/); }
+      ));
+
+    it('callback Error for --pre-receive with --pre-push', () => gitBranchIsCmd(
+      ARGS.concat('--pre-receive', '--pre-push', '--protect', 'main')
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /\bcan not be combined\b/); }
+      ));
+
+    describe('as server hooks', () => {
+      // Ignore core.hooksPath (e.g. to disable hooks) in the environment
+      before(removeGitConfigEnv);
+      after(restoreGitConfigEnv);
+
+      /** Writes a hook script which runs git-branch-is in the remote. */
+      function writeHook(hookName, args) {
+        return fsP.writeFile(
+          path.join(remotePath, 'hooks', hookName),
+          `#!/bin/sh\nexec ${HOOK_COMMAND} ${args}\n`,
+          {mode: 0o755}
+        );
+      }
+
+      afterEach('remove hooks', () => rimrafP(path.join(remotePath, 'hooks'))
+        .then(() => fsP.mkdir(path.join(remotePath, 'hooks'))));
+
+      it('pre-receive hook rejects push', () => writeHook(
+        'pre-receive',
+        '--pre-receive'
+      )
+        .then(() => git(
+          'push', '-q', remotePath, BRANCH_CURRENT, {stdio: 'pipe'}
+        ))
+        .then(
+          () => { throw new Error('expecting push to fail'); },
+          // Rejected with [Error, stdout, stderr] from execFile
+          (errOutputs) => {
+            assertMatch(errOutputs[2], /Creation of "test-branch"/);
+          }
+        ));
+
+      it('update hook accepts allowed push', () => writeHook(
+        'update',
+        '--update "$@"'
+      )
+        .then(() => git(
+          'push', '-q', remotePath, `${BRANCH_CURRENT}:feature/3`,
+          {stdio: 'pipe'}
+        )));
+    });
+  });
+
+  describe('install-hook', () => {
+    const hooksPath = path.join(TEST_REPO_PATH, '.git', 'hooks');
+    const preCommitPath = path.join(hooksPath, 'pre-commit');
+
+    // Ignore core.hooksPath (e.g. to disable hooks) in the environment
+    before(removeGitConfigEnv);
+    after(restoreGitConfigEnv);
+
+    afterEach(() => rimrafP(preCommitPath));
+
+    it('installs pre-commit hook which runs check', () => gitBranchIsCmd(
+      ARGS.concat(
+        'install-hook',
+        '--hook-command',
+        HOOK_COMMAND,
+        '--not',
+        BRANCH_CURRENT
+      )
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /^Installed\b/);
+        assert(result.stdout.includes(preCommitPath));
+        return new Promise((resolve) => {
+          execFile('sh', [preCommitPath], (err, stdout, stderr) => {
+            assert(err instanceof Error);
+            assert.strictEqual(err.code, 1);
+            assertMatch(stderr, BRANCH_CURRENT_RE);
+            resolve();
+          });
+        });
+      })
+      .then(() => gitBranchIsCmd(ARGS.concat('uninstall-hook')))
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /^Removed\b/);
+        assert(!fs.existsSync(preCommitPath));
+      }));
+
+    it('runs this script with this node by default', () => gitBranchIsCmd(
+      ARGS.concat('install-hook', '--not', BRANCH_CURRENT)
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        return fsP.readFile(preCommitPath, {encoding: 'utf8'});
+      })
+      .then((content) => {
+        assert(content.includes(HOOK_COMMAND), content);
+        return new Promise((resolve) => {
+          // Without node_modules/.bin (where git-branch-is may be) on PATH
+          const PATH = process.env.PATH.split(path.delimiter)
+            .filter((dir) => !/\bnode_modules\b/.test(dir))
+            .join(path.delimiter);
+          const env = Object.assign({}, process.env, {PATH});
+          execFile('/bin/sh', [preCommitPath], {env}, (err, stdout, stderr) => {
+            assert(err instanceof Error);
+            assert.strictEqual(err.code, 1);
+            assertMatch(stderr, BRANCH_CURRENT_RE);
+            resolve();
+          });
+        });
+      }));
+
+    it('is idempotent', () => {
+      const args = ARGS.concat('install-hook', BRANCH_CURRENT);
+      return gitBranchIsCmd(args)
+        .then(() => gitBranchIsCmd(args))
+        .then((result) => {
+          assert.strictEqual(result.code, 0);
+          assertMatch(result.stdout, /\balready installed\b/);
+          return fsP.readFile(preCommitPath, {encoding: 'utf8'});
+        })
+        .then((content) => {
+          assert.strictEqual(content.split('# BEGIN').length, 2);
+        });
+    });
+
+    it('preserves existing hook', () => {
+      const existing = '#!/bin/sh\necho existing\n';
+      return fsP.writeFile(preCommitPath, existing)
+        .then(() => gitBranchIsCmd(ARGS.concat('install-hook', BRANCH_CURRENT)))
+        .then(() => fsP.readFile(preCommitPath, {encoding: 'utf8'}))
+        .then((content) => {
+          assertMatch(content, /^#!\/bin\/sh\n# BEGIN\b/);
+          assertMatch(content, /\necho existing\n$/);
+          return gitBranchIsCmd(ARGS.concat('uninstall-hook'));
+        })
+        .then(() => fsP.readFile(preCommitPath, {encoding: 'utf8'}))
+        .then((content) => {
+          assert.strictEqual(content, existing);
+        });
+    });
+
+    describe('in existing pre-push hook which reads input', () => {
+      const prePushPath = path.join(hooksPath, 'pre-push');
+      const inputPath = path.join(TEST_REPO_PATH, 'pre-push-input');
+      const remotePath = path.join(TEST_REPO_PATH, 'hook-remote.git');
+
+      before('create remote and install hook', () => git(
+        'init', '-q', '--bare', remotePath
+      )
+        .then(() => fsP.writeFile(
+          prePushPath,
+          `#!/bin/sh\ncat > ${shellQuote(inputPath)}\n`,
+          {mode: 0o755}
+        ))
+        .then(() => gitBranchIsCmd(ARGS.concat(
+          'install-hook',
+          '--hook',
+          'pre-push',
+          '--hook-command',
+          HOOK_COMMAND,
+          '--pre-push',
+          '--protect',
+          'protected'
+        ))));
+
+      after('remove remote, hook, and input', () => rimrafP(remotePath)
+        .then(() => rimrafP(prePushPath))
+        .then(() => rimrafP(inputPath)));
+
+      it('passes input to existing commands', () => git(
+        'push', '-q', remotePath, `${BRANCH_CURRENT}:other`, {stdio: 'pipe'}
+      )
+        .then(() => fsP.readFile(inputPath, {encoding: 'utf8'}))
+        .then((input) => {
+          assertMatch(
+            input,
+            /^refs\/heads\/test-branch [0-9a-f]+ refs\/heads\/other 0+\n$/
+          );
+        }));
+
+      it('passes remote argument to git-branch-is', () => git(
+        'push', '-q', remotePath, `${BRANCH_CURRENT}:protected`,
+        {stdio: 'pipe'}
+      )
+        .then(
+          () => { throw new Error('expecting push to fail'); },
+          // Rejected with [Error, stdout, stderr] from execFile
+          (errOutputs) => {
+            assert(errOutputs[2].includes(
+              `Creation of "protected" on ${remotePath}`
+            ));
+          }
+        ));
+    });
+
+    describe('with core.hooksPath', () => {
+      const customHooksPath = path.join(TEST_REPO_PATH, '.githooks');
+
+      before(() => git('config', 'core.hooksPath', '.githooks'));
+      after(() => git('config', '--unset', 'core.hooksPath')
+        .then(() => rimrafP(customHooksPath)));
+
+      it('installs in core.hooksPath from subdirectory', () => gitBranchIsCmd(
+        ARGS.concat(
+          'install-hook',
+          '-C',
+          SUBDIR_NAME,
+          '--hook',
+          'pre-push',
+          BRANCH_CURRENT
+        )
+      )
+        .then((result) => {
+          assert.strictEqual(result.code, 0);
+          assert(fs.existsSync(path.join(customHooksPath, 'pre-push')));
+        }));
+    });
+
+    it('callback Error without git-branch-is arguments', () => gitBranchIsCmd(
+      ARGS.concat('install-hook', '--hook', 'pre-push')
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /\bargument\b/); }
+      ));
+
+    it('callback Error for unsupported hook', () => gitBranchIsCmd(
+      ARGS.concat('install-hook', '--hook', 'invalid', BRANCH_CURRENT)
+    )
+      .then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /\binvalid\b/); }
+      ));
+
+    it('reports when not installed', () => gitBranchIsCmd(
+      ARGS.concat('uninstall-hook')
+    )
+      .then((result) => {
+        assert.strictEqual(result.code, 0);
+        assertMatch(result.stdout, /\bnot installed\b/);
+      }));
   });
 
   describe('without global Promise', () => {
@@ -457,10 +2898,10 @@ describe('git-branch-is', () => {
     );
   });
 
-  it('exit code 1 with extra args works when executed', (done) => {
+  it('exit code 1 without args works when executed', (done) => {
     execFile(
       process.execPath,
-      [path.join('..', 'bin', 'git-branch-is.js'), 'invalid', 'extra arg'],
+      [path.join('..', 'bin', 'git-branch-is.js')],
       (err, stdout, stderr) => {
         assert(err instanceof Error);
         assert.strictEqual(err.code, 1);
@@ -8,10 +8,17 @@
 const gitBranchIs = require('..');
 
 const assert = require('assert');
+const fs = require('fs');
 const path = require('path');
+const pify = require('pify');
+const rimraf = require('rimraf');
 
 const assertMatch = require('../test-lib/assert-match');
 const constants = require('../test-lib/constants');
+const git = require('../test-lib/git');
+
+const fsP = pify(fs);
+const rimrafP = pify(rimraf);
 
 // Local copy of shared constants
 const {
@@ -19,9 +26,14 @@ const {
   BRANCH_NON_EXISTENT,
   BRANCH_SAME_COMMIT,
   SUBDIR_NAME,
+  TAG_DETACHED,
   TEST_REPO_PATH
 } = constants;
 
+/** Upstream configured for the current branch in upstream tests. */
+const UPSTREAM = `origin/${BRANCH_CURRENT}`;
+const UPSTREAM_REF = `refs/remotes/${UPSTREAM}`;
+
 describe('gitBranchIs', () => {
   it('callback true for current branch name', (done) => {
     gitBranchIs(BRANCH_CURRENT, (err, result) => {
@@ -55,6 +67,118 @@ describe('gitBranchIs', () => {
     });
   });
 
+  it('callback true for Array including current branch name', (done) => {
+    gitBranchIs([BRANCH_NON_EXISTENT, BRANCH_CURRENT], (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
+  it('callback false for Array excluding current branch name', (done) => {
+    gitBranchIs([BRANCH_NON_EXISTENT, BRANCH_SAME_COMMIT], (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, false);
+      done();
+    });
+  });
+
+  it('callback true for matching glob', (done) => {
+    const options = {glob: true};
+    gitBranchIs(`${BRANCH_CURRENT.slice(0, 2)}*`, options, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
+  it('callback true for Array including matching glob', (done) => {
+    const patterns = ['x*', BRANCH_CURRENT.toUpperCase()];
+    const options = {glob: true, ignoreCase: true};
+    gitBranchIs(patterns, options, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
+  it('callback false for non-matching glob', (done) => {
+    gitBranchIs(`?${BRANCH_CURRENT}`, {glob: true}, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, false);
+      done();
+    });
+  });
+
+  it('callback SyntaxError for invalid glob', (done) => {
+    gitBranchIs('b[ad', {glob: true}, (err, result) => {
+      assert(err instanceof SyntaxError);
+      assert(result === undefined || result === null);
+      done();
+    });
+  });
+
+  it('callback InvalidPatternError for invalid rule regex', (done) => {
+    gitBranchIs({regex: 'b[ad'}, (err, result) => {
+      assert(err instanceof gitBranchIs.InvalidPatternError);
+      assert.strictEqual(err.code, 'ERR_INVALID_PATTERN');
+      assert.strictEqual(err.pattern, 'b[ad');
+      done();
+    });
+  });
+
+  it('callback true for matching RegExp', (done) => {
+    gitBranchIs(/^test-/, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
+  it('callback match details for RegExp with matchDetails', (done) => {
+    const regExp = /^(\w+)-(\w+)$/;
+    gitBranchIs(['x', regExp], {matchDetails: true}, (err, result) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(result, {
+        branch: BRANCH_CURRENT,
+        expected: regExp,
+        groups: {},
+        match: [BRANCH_CURRENT].concat(BRANCH_CURRENT.split('-'))
+      });
+      done();
+    });
+  });
+
+  it('callback match details for branch name with matchDetails', (done) => {
+    gitBranchIs(BRANCH_CURRENT, {matchDetails: true}, (err, result) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(result, {
+        branch: BRANCH_CURRENT,
+        expected: BRANCH_CURRENT,
+        groups: {},
+        match: [BRANCH_CURRENT]
+      });
+      done();
+    });
+  });
+
+  it('callback null for non-matching with matchDetails', (done) => {
+    gitBranchIs(/^x/, {matchDetails: true}, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, null);
+      done();
+    });
+  });
+
+  it('callback true for case-insensitive branch name', (done) => {
+    const branchUpper = BRANCH_CURRENT.toUpperCase();
+    gitBranchIs(branchUpper, {ignoreCase: true}, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
   it('callback true for function comparing branch name', (done) => {
     function checkBranchName(branchName) {
       return branchName === BRANCH_CURRENT;
@@ -139,14 +263,65 @@ describe('gitBranchIs', () => {
     });
   });
 
+  it('callback NotARepositoryError outside of git repo', (done) => {
+    gitBranchIs(BRANCH_CURRENT, {cwd: '/'}, (err, result) => {
+      assert(err instanceof gitBranchIs.NotARepositoryError);
+      assert.strictEqual(err.code, 'ERR_NOT_A_REPOSITORY');
+      assertMatch(err.message, /\bnot a git repository\b/i);
+      done();
+    });
+  });
+
+  describe('with translated git messages', () => {
+    const LOCALE_ENV_NAMES = ['LANG', 'LANGUAGE', 'LC_ALL', 'LC_MESSAGES'];
+    const savedEnv = {};
+    before(() => {
+      LOCALE_ENV_NAMES.forEach((name) => {
+        savedEnv[name] = process.env[name];
+        delete process.env[name];
+      });
+      // git has German translations of messages in the C.UTF-8 locale
+      process.env.LANG = 'C.UTF-8';
+      process.env.LANGUAGE = 'de';
+    });
+    after(() => {
+      LOCALE_ENV_NAMES.forEach((name) => {
+        if (savedEnv[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = savedEnv[name];
+        }
+      });
+    });
+
+    it('callback NotARepositoryError outside of git repo', (done) => {
+      gitBranchIs(BRANCH_CURRENT, {cwd: '/'}, (err, result) => {
+        assert(err instanceof gitBranchIs.NotARepositoryError);
+        assert.strictEqual(err.code, 'ERR_NOT_A_REPOSITORY');
+        done();
+      });
+    });
+  });
+
   it('callback Error if cwd doesn\'t exist', (done) => {
     gitBranchIs(BRANCH_CURRENT, {cwd: 'invalid'}, (err, result) => {
       assert(err instanceof Error);
+      assert(!(err instanceof gitBranchIs.GitNotFoundError));
       assert(result === undefined || result === null);
       done();
     });
   });
 
+  it('callback GitNotFoundError if git does not exist', (done) => {
+    const options = {gitPath: 'nonexistent-git'};
+    gitBranchIs(BRANCH_CURRENT, options, (err, result) => {
+      assert(err instanceof gitBranchIs.GitNotFoundError);
+      assert.strictEqual(err.code, 'ERR_GIT_NOT_FOUND');
+      assert.strictEqual(err.gitPath, 'nonexistent-git');
+      done();
+    });
+  });
+
   it('callback Error if git is not executable', (done) => {
     const badGitPath = path.join(__dirname, '..', 'package.json');
     gitBranchIs(BRANCH_CURRENT, {gitPath: badGitPath}, (err, result) => {
@@ -198,6 +373,57 @@ describe('gitBranchIs', () => {
         done();
       });
     });
+
+    // Run a process in place of git which does not exit on its own
+    const hangOptions = {
+      gitArgs: ['-e', 'setTimeout(() => {}, 60000)'],
+      gitPath: process.execPath
+    };
+
+    it('callback TimeoutError if git does not finish in timeout', (done) => {
+      const options = Object.assign({timeout: 100}, hangOptions);
+      gitBranchIs.getBranch(options, (err, result) => {
+        assert(err instanceof gitBranchIs.TimeoutError);
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+        assert.strictEqual(err.timeout, 100);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+
+    it('callback AbortError when signal is aborted', function() {
+      const {AbortController} = global;
+      if (typeof AbortController !== 'function') {
+        this.skip();
+      }
+
+      const controller = new AbortController();
+      const options = Object.assign({signal: controller.signal}, hangOptions);
+      const promise = gitBranchIs.getBranch(options);
+      setTimeout(() => controller.abort(), 100);
+      return promise.then(
+        () => { throw new Error('expected rejection'); },
+        (err) => {
+          assert(err instanceof gitBranchIs.AbortError);
+          assert.strictEqual(err.code, 'ABORT_ERR');
+        }
+      );
+    });
+
+    it('callback AbortError without running git if aborted', function() {
+      const {AbortController} = global;
+      if (typeof AbortController !== 'function') {
+        this.skip();
+      }
+
+      const controller = new AbortController();
+      controller.abort();
+      const options = {gitPath: 'nonexistent-git', signal: controller.signal};
+      return gitBranchIs.getBranch(options).then(
+        () => { throw new Error('expected rejection'); },
+        (err) => assert(err instanceof gitBranchIs.AbortError)
+      );
+    });
   });
 
   it('Promise resolves true for same branch name', () => {
@@ -286,4 +512,969 @@ describe('gitBranchIs', () => {
       );
     });
   });
+
+  describe('.getHead()', () => {
+    it('resolves to the branch for attached HEAD', () => {
+      const promise = gitBranchIs.getHead();
+      assert(promise instanceof global.Promise);
+      return promise.then((head) => {
+        assert.deepStrictEqual(head, {
+          branch: BRANCH_CURRENT,
+          detached: false,
+          ref: `refs/heads/${BRANCH_CURRENT}`
+        });
+      });
+    });
+
+    it('rejects on Error', () => {
+      const promise = gitBranchIs.getHead(BRANCH_CURRENT);
+      assert(promise instanceof global.Promise);
+      return promise.then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => {
+          assert(err instanceof TypeError);
+          assertMatch(err.message, /\boptions\b/);
+        }
+      );
+    });
+
+    it('callback Error outside of git repo', (done) => {
+      gitBranchIs.getHead({cwd: '/'}, (err, result) => {
+        assert(err instanceof Error);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+  });
+
+  describe('with configuration file', () => {
+    const configPath = path.join(TEST_REPO_PATH, '.gitbranchisrc');
+    const config = {
+      rules: {
+        current: {branch: BRANCH_CURRENT},
+        notCurrent: {not: BRANCH_CURRENT}
+      }
+    };
+
+    before('write configuration file', () => fsP.writeFile(
+      configPath,
+      JSON.stringify(config)
+    ));
+
+    after('remove configuration file', () => fsP.unlink(configPath));
+
+    it('.getConfig() resolves to configuration and path', () => {
+      const promise = gitBranchIs.getConfig();
+      assert(promise instanceof global.Promise);
+      return promise.then((loaded) => {
+        assert.deepStrictEqual(loaded, {config, filepath: configPath});
+      });
+    });
+
+    it('.getConfig() searches parent directories of cwd', (done) => {
+      gitBranchIs.getConfig({cwd: SUBDIR_NAME}, (err, loaded) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(loaded, {config, filepath: configPath});
+        done();
+      });
+    });
+
+    it('.getConfig() prefers closer package.json property', () => {
+      const packagePath = path.join(SUBDIR_NAME, 'package.json');
+      const subConfig = {rules: {}};
+      return fsP.writeFile(
+        packagePath,
+        JSON.stringify({name: 'test', 'git-branch-is': subConfig})
+      )
+        .then(() => gitBranchIs.getConfig({cwd: SUBDIR_NAME}))
+        .then(
+          (loaded) => {
+            assert.deepStrictEqual(loaded.config, subConfig);
+            assert.strictEqual(
+              loaded.filepath,
+              path.join(TEST_REPO_PATH, packagePath)
+            );
+            return fsP.unlink(packagePath);
+          },
+          (err) => fsP.unlink(packagePath).then(() => { throw err; })
+        );
+    });
+
+    it('callback true for satisfied rule', (done) => {
+      gitBranchIs(config.rules.current, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result, true);
+        done();
+      });
+    });
+
+    it('callback false for unsatisfied rule', (done) => {
+      gitBranchIs(config.rules.notCurrent, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result, false);
+        done();
+      });
+    });
+
+    it('callback TypeError for invalid rule', (done) => {
+      gitBranchIs({regexp: BRANCH_CURRENT}, (err, result) => {
+        assert(err instanceof TypeError);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+  });
+
+  describe('with package.json', () => {
+    const packagePath = path.join(TEST_REPO_PATH, 'package.json');
+
+    before('write package.json', () => fsP.writeFile(
+      packagePath,
+      JSON.stringify({name: 'test', version: '1.4.2'})
+    ));
+
+    after('remove package.json', () => fsP.unlink(packagePath));
+
+    it('.getPackageVersion() resolves to version and path', () => {
+      const promise = gitBranchIs.getPackageVersion({cwd: SUBDIR_NAME});
+      return promise.then((packageVersion) => {
+        assert.deepStrictEqual(packageVersion, {
+          filepath: packagePath,
+          version: '1.4.2'
+        });
+      });
+    });
+
+    it('.getPackageVersion() rejects invalid version', () => {
+      const subPackagePath = path.join(SUBDIR_NAME, 'package.json');
+      return fsP.writeFile(
+        subPackagePath,
+        JSON.stringify({name: 'test', version: 'next'})
+      )
+        .then(() => gitBranchIs.getPackageVersion({cwd: SUBDIR_NAME}))
+        .then(
+          () => fsP.unlink(subPackagePath)
+            .then(() => { throw new Error('expected rejection'); }),
+          (err) => fsP.unlink(subPackagePath).then(() => {
+            assert(err instanceof TypeError);
+            assertMatch(err.message, /\bnext\b/);
+          })
+        );
+    });
+  });
+
+  it('.getBranch() resolves to full name with fullName', () => {
+    const promise = gitBranchIs.getBranch({fullName: true});
+    return promise.then((branch) => {
+      assert.strictEqual(branch, `refs/heads/${BRANCH_CURRENT}`);
+    });
+  });
+
+  it('callback true for full name with fullName', (done) => {
+    const fullName = `refs/heads/${BRANCH_CURRENT}`;
+    gitBranchIs(fullName, {fullName: true}, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
+  it('callback true for short name of branch with fullName', (done) => {
+    gitBranchIs(BRANCH_CURRENT, {fullName: true}, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, true);
+      done();
+    });
+  });
+
+  it('callback false for other full name with fullName', (done) => {
+    const fullName = `refs/tags/${BRANCH_CURRENT}`;
+    gitBranchIs(fullName, {fullName: true}, (err, result) => {
+      assert.ifError(err);
+      assert.strictEqual(result, false);
+      done();
+    });
+  });
+
+  it('.getHead() resolves no ambiguousRefs with checkAmbiguous', () => {
+    const promise = gitBranchIs.getHead({checkAmbiguous: true});
+    return promise.then((head) => {
+      assert.deepStrictEqual(head.ambiguousRefs, []);
+    });
+  });
+
+  describe('with tag named like branch', () => {
+    before('create tag', () => git('tag', BRANCH_CURRENT));
+
+    after('remove tag', () => git(
+      'tag', '-d', BRANCH_CURRENT, {stdio: 'ignore'}
+    ));
+
+    it('.getBranch() resolves to unambiguous branch name', () => {
+      const promise = gitBranchIs.getBranch();
+      return promise.then((branch) => {
+        assert.strictEqual(branch, BRANCH_CURRENT);
+      });
+    });
+
+    it('callback true for current branch name', (done) => {
+      gitBranchIs(BRANCH_CURRENT, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result, true);
+        done();
+      });
+    });
+
+    it('.getHead() resolves ambiguousRefs with checkAmbiguous', () => {
+      const promise = gitBranchIs.getHead({checkAmbiguous: true});
+      return promise.then((head) => {
+        assert.deepStrictEqual(
+          head.ambiguousRefs,
+          [`refs/tags/${BRANCH_CURRENT}`]
+        );
+      });
+    });
+  });
+
+  describe('with tags at HEAD', () => {
+    before('create tags', () => git('tag', 'v1.2.3')
+      .then(() => git('tag', '-a', '-m', 'Release', 'release-1')));
+
+    after('remove tags', () => git('tag', '-d', 'v1.2.3', {stdio: 'ignore'})
+      .then(() => git('tag', '-d', 'release-1', {stdio: 'ignore'})));
+
+    it('.getTags() resolves to tags at HEAD', () => {
+      const promise = gitBranchIs.getTags();
+      return promise.then((tags) => {
+        assert.deepStrictEqual(tags, ['release-1', 'v1.2.3']);
+      });
+    });
+
+    it('.getTags() resolves to tags at HEAD with fs backend', () => {
+      const promise = gitBranchIs.getTags({backend: 'fs'});
+      return promise.then((tags) => {
+        assert.deepStrictEqual(tags, ['release-1', 'v1.2.3']);
+      });
+    });
+
+    it('.isAtTag() resolves true for tag name', () => {
+      const promise = gitBranchIs.isAtTag('v1.2.3');
+      return promise.then((result) => {
+        assert.strictEqual(result, true);
+      });
+    });
+
+    it('.isAtTag() resolves false for other tag name', () => {
+      const promise = gitBranchIs.isAtTag('v1.2.4');
+      return promise.then((result) => {
+        assert.strictEqual(result, false);
+      });
+    });
+
+    it('.isAtTag() resolves true for matching RegExp', () => {
+      const promise = gitBranchIs.isAtTag(/^release-/);
+      return promise.then((result) => {
+        assert.strictEqual(result, true);
+      });
+    });
+
+    it('.isAtTag() resolves true for matching glob', () => {
+      const promise = gitBranchIs.isAtTag(['x', 'rel*'], {glob: true});
+      return promise.then((result) => {
+        assert.strictEqual(result, true);
+      });
+    });
+
+    it('.isAtTag() resolves for semver range', () => {
+      const options = {semver: true};
+      return Promise.all([
+        gitBranchIs.isAtTag('^1.2.0', options),
+        gitBranchIs.isAtTag('^2.0.0', options)
+      ]).then((results) => {
+        assert.deepStrictEqual(results, [true, false]);
+      });
+    });
+
+    it('.isAtTag() checks package.json version with semver', () => {
+      const packagePath = path.join(TEST_REPO_PATH, 'package.json');
+      const subPackagePath = path.join(SUBDIR_NAME, 'package.json');
+      const options = {semver: true};
+      const subOptions = {cwd: SUBDIR_NAME, semver: true};
+      const cleanup = () => fsP.unlink(packagePath)
+        .then(() => fsP.unlink(subPackagePath));
+      return fsP.writeFile(
+        packagePath,
+        JSON.stringify({name: 'test', version: '1.2.3'})
+      )
+        .then(() => fsP.writeFile(
+          subPackagePath,
+          JSON.stringify({name: 'test-sub', version: '1.2.4'})
+        ))
+        .then(() => Promise.all([
+          gitBranchIs.isAtTag(null, options),
+          gitBranchIs.isAtTag(null, subOptions)
+        ]))
+        .then(
+          (results) => cleanup().then(() => {
+            assert.deepStrictEqual(results, [true, false]);
+          }),
+          (err) => cleanup().then(() => { throw err; })
+        );
+    });
+
+    it('.isAtTag() rejects with TypeError for null without semver', () => {
+      const promise = gitBranchIs.isAtTag(null);
+      return promise.then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assert(err instanceof TypeError); }
+      );
+    });
+
+    it('.isAtTag() calls callback with test function result', (done) => {
+      const tagTest = (tagName) => tagName.length === 9;
+      gitBranchIs.isAtTag(tagTest, null, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result, true);
+        done();
+      });
+    });
+
+    it('.isAtTag() rejects with SyntaxError for invalid range', () => {
+      const promise = gitBranchIs.isAtTag('invalid', {semver: true});
+      return promise.then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assert(err instanceof SyntaxError); }
+      );
+    });
+  });
+
+  it('.getTags() resolves to empty Array without tags', () => {
+    const promise = gitBranchIs.getTags();
+    return promise.then((tags) => {
+      assert.deepStrictEqual(tags, []);
+    });
+  });
+
+  describe('.getUpstream()', () => {
+    it('resolves null without upstream', () => {
+      const promise = gitBranchIs.getUpstream();
+      return promise.then((upstream) => {
+        assert.strictEqual(upstream, null);
+      });
+    });
+
+    describe('with upstream', () => {
+      before('set upstream', () => git('remote', 'add', 'origin', '../none')
+        .then(() => git('update-ref', UPSTREAM_REF, 'HEAD'))
+        .then(() => git('branch', '-q', '-u', UPSTREAM)));
+
+      after('remove upstream', () => git('branch', '--unset-upstream')
+        .then(() => git('remote', 'remove', 'origin')));
+
+      it('resolves upstream of current branch', () => {
+        const promise = gitBranchIs.getUpstream();
+        return promise.then((upstream) => {
+          assert.strictEqual(upstream, UPSTREAM);
+        });
+      });
+
+      it('calls callback with upstream', (done) => {
+        gitBranchIs.getUpstream(null, (err, upstream) => {
+          assert.ifError(err);
+          assert.strictEqual(upstream, UPSTREAM);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.watch()', () => {
+    let watcher;
+
+    afterEach('close watcher', () => {
+      if (watcher) {
+        watcher.close();
+        watcher = null;
+      }
+    });
+
+    after('checkout current branch', () => git(
+      'checkout', '-q', BRANCH_CURRENT
+    ));
+
+    it('emits ready with HEAD', (done) => {
+      watcher = gitBranchIs.watch();
+      watcher.on('error', done);
+      watcher.on('ready', (head) => {
+        assert.strictEqual(head.branch, BRANCH_CURRENT);
+        done();
+      });
+    });
+
+    it('emits change with new and previous branch', (done) => {
+      watcher = gitBranchIs.watch();
+      watcher.on('error', done);
+      watcher.on('ready', () => {
+        git('checkout', '-q', BRANCH_SAME_COMMIT).catch(done);
+      });
+      watcher.once('change', (change) => {
+        watcher.close();
+        assert.strictEqual(change.branch, BRANCH_SAME_COMMIT);
+        assert.strictEqual(change.previousBranch, BRANCH_CURRENT);
+        assert.strictEqual(change.head.branch, BRANCH_SAME_COMMIT);
+        git('checkout', '-q', BRANCH_CURRENT).then(() => done(), done);
+      });
+    });
+
+    it('emits change with null branch for detached HEAD', (done) => {
+      watcher = gitBranchIs.watch({backend: 'fs'});
+      watcher.on('error', done);
+      watcher.on('ready', () => {
+        git('checkout', '-q', '--detach').catch(done);
+      });
+      watcher.once('change', (change) => {
+        watcher.close();
+        assert.strictEqual(change.branch, null);
+        assert.strictEqual(change.previousBranch, BRANCH_CURRENT);
+        git('checkout', '-q', BRANCH_CURRENT).then(() => done(), done);
+      });
+    });
+
+    it('emits change when detached HEAD moves to another commit', (done) => {
+      let previousCommit;
+      git('checkout', '-q', '--detach')
+        .then(() => {
+          watcher = gitBranchIs.watch({backend: 'fs'});
+          watcher.on('error', done);
+          watcher.on('ready', (head) => {
+            previousCommit = head.commit;
+            git(
+              '-c', 'user.name=Test User',
+              '-c', 'user.email=test@example.com',
+              'commit', '-q', '--allow-empty', '-m', 'Detached Commit'
+            ).catch(done);
+          });
+          watcher.once('change', (change) => {
+            watcher.close();
+            assert.strictEqual(change.branch, null);
+            assert.strictEqual(change.previousBranch, null);
+            assert(change.head.commit);
+            assert.notStrictEqual(change.head.commit, previousCommit);
+            git('checkout', '-q', BRANCH_CURRENT).then(() => done(), done);
+          });
+        }, done);
+    });
+
+    describe('during rebase', () => {
+      const rebasePath = path.join(TEST_REPO_PATH, '.git', 'rebase-merge');
+
+      before('create rebase state', () => git('checkout', '-q', '--detach')
+        .then(() => fsP.mkdir(rebasePath))
+        .then(() => fsP.writeFile(
+          path.join(rebasePath, 'head-name'),
+          `refs/heads/${BRANCH_CURRENT}\n`
+        )));
+
+      after('remove rebase state', () => rimrafP(rebasePath));
+
+      it('does not emit change when detached HEAD moves', (done) => {
+        watcher = gitBranchIs.watch({backend: 'fs'});
+        watcher.on('error', done);
+        watcher.on('ready', (head) => {
+          assert.strictEqual(head.branch, BRANCH_CURRENT);
+          git(
+            '-c', 'user.name=Test User',
+            '-c', 'user.email=test@example.com',
+            'commit', '-q', '--allow-empty', '-m', 'Rebased Commit'
+          )
+            // Give the watcher time to read the moved HEAD
+            .then(() => new Promise((resolve) => setTimeout(resolve, 200)))
+            .then(() => rimrafP(rebasePath))
+            .then(() => git('checkout', '-q', BRANCH_SAME_COMMIT))
+            .catch(done);
+        });
+        watcher.once('change', (change) => {
+          watcher.close();
+          assert.strictEqual(change.previousBranch, BRANCH_CURRENT);
+          assert.strictEqual(change.branch, BRANCH_SAME_COMMIT);
+          git('checkout', '-q', BRANCH_CURRENT).then(() => done(), done);
+        });
+      });
+    });
+
+    it('emits close after close()', (done) => {
+      watcher = gitBranchIs.watch();
+      watcher.on('error', done);
+      watcher.on('close', () => done());
+      watcher.close();
+    });
+
+    it('emits error outside of git repo', (done) => {
+      watcher = gitBranchIs.watch({cwd: '/'});
+      watcher.on('error', (err) => {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+
+    it('throws TypeError for non-object options', () => {
+      assert.throws(() => gitBranchIs.watch(true), TypeError);
+    });
+  });
+
+  describe('.getBranches()', () => {
+    const metaPath = path.join(TEST_REPO_PATH, 'meta');
+    const submodulePath = path.join(metaPath, 'lib');
+
+    before('create repository with submodule', () => git(
+      'init', '-q', metaPath
+    )
+      .then(() => git(
+        '-C', metaPath,
+        'symbolic-ref', 'HEAD', `refs/heads/${BRANCH_CURRENT}`
+      ))
+      .then(() => git(
+        '-C', metaPath,
+        '-c', 'protocol.file.allow=always',
+        'submodule', '--quiet', 'add', TEST_REPO_PATH, 'lib'
+      ))
+      .then(() => git(
+        '-C', metaPath,
+        '-c', 'user.name=Test User',
+        '-c', 'user.email=test@example.com',
+        'commit', '-q', '-m', 'Add submodule'
+      )));
+
+    after('remove repository with submodule', () => rimrafP(metaPath));
+
+    it('resolves to branch of each repository', () => {
+      const promise = gitBranchIs.getBranches(['.', 'meta']);
+      return promise.then((repoBranches) => {
+        assert.deepStrictEqual(
+          repoBranches.map((repoBranch) => repoBranch.path),
+          ['.', 'meta']
+        );
+        assert.strictEqual(repoBranches[0].branch, BRANCH_CURRENT);
+        assert.strictEqual(repoBranches[1].branch, BRANCH_CURRENT);
+        assert.strictEqual(repoBranches[1].head.branch, BRANCH_CURRENT);
+      });
+    });
+
+    it('resolves submodules with recurseSubmodules', () => {
+      const promise = gitBranchIs.getBranches(
+        ['.'],
+        {cwd: metaPath, recurseSubmodules: true}
+      );
+      return promise.then((repoBranches) => {
+        assert.deepStrictEqual(
+          repoBranches.map((repoBranch) => repoBranch.path),
+          ['.', 'lib']
+        );
+        assert.strictEqual(repoBranches[1].branch, BRANCH_CURRENT);
+      });
+    });
+
+    it('resolves detached submodule with null branch', () => git(
+      '-C', submodulePath, 'checkout', '-q', '--detach'
+    )
+      .then(() => gitBranchIs.getBranches(['meta'], {recurseSubmodules: true}))
+      .then((repoBranches) => {
+        assert.strictEqual(repoBranches[1].path, path.join('meta', 'lib'));
+        assert.strictEqual(repoBranches[1].branch, null);
+        return git('-C', submodulePath, 'checkout', '-q', BRANCH_CURRENT);
+      }));
+
+    it('callback Error for non-repository path', (done) => {
+      gitBranchIs.getBranches(['.', '/'], (err, result) => {
+        assert(err instanceof Error);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+
+    it('callback TypeError for non-Array paths', (done) => {
+      gitBranchIs.getBranches('meta', (err, result) => {
+        assert(err instanceof TypeError);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+  });
+
+  describe('.listWorktrees()', () => {
+    const BRANCH_WORKTREE = 'worktree-branch';
+    const BRANCH_PRUNABLE = 'worktree-prunable';
+    const worktreePath = path.join(TEST_REPO_PATH, 'worktree');
+    const prunablePath = path.join(TEST_REPO_PATH, 'prunable');
+
+    before('add worktrees', () => git(
+      'worktree', 'add', '-q', '-b', BRANCH_WORKTREE, worktreePath
+    )
+      .then(() => git('worktree', 'lock', '--reason', 'testing', worktreePath))
+      .then(() => git(
+        'worktree', 'add', '-q', '-b', BRANCH_PRUNABLE, prunablePath
+      ))
+      .then(() => rimrafP(prunablePath)));
+
+    after('remove worktrees', () => git('worktree', 'unlock', worktreePath)
+      .then(() => git('worktree', 'remove', '--force', worktreePath))
+      .then(() => git('worktree', 'prune'))
+      .then(() => git('branch', '-q', '-D', BRANCH_WORKTREE, BRANCH_PRUNABLE)));
+
+    it('resolves to worktrees with branches', () => {
+      const promise = gitBranchIs.listWorktrees();
+      return promise.then((worktrees) => {
+        assert.deepStrictEqual(
+          worktrees.map((worktree) => worktree.path),
+          [TEST_REPO_PATH, prunablePath, worktreePath].sort()
+        );
+        const byPath = {};
+        worktrees.forEach((worktree) => { byPath[worktree.path] = worktree; });
+        assert.strictEqual(byPath[TEST_REPO_PATH].branch, BRANCH_CURRENT);
+        assert.strictEqual(byPath[worktreePath].branch, BRANCH_WORKTREE);
+        assert.strictEqual(byPath[worktreePath].locked, true);
+        assert.strictEqual(byPath[worktreePath].lockedReason, 'testing');
+        assert.strictEqual(byPath[prunablePath].branch, BRANCH_PRUNABLE);
+        assert.strictEqual(byPath[prunablePath].prunable, true);
+      });
+    });
+
+    it('callback Error outside of git repo', (done) => {
+      gitBranchIs.listWorktrees({cwd: '/'}, (err, result) => {
+        assert(err instanceof Error);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+  });
+
+  describe('.getHooksDir()', () => {
+    it('resolves to absolute path with core.hooksPath', () => {
+      const promise = gitBranchIs.getHooksDir({
+        cwd: path.join(TEST_REPO_PATH, SUBDIR_NAME),
+        gitArgs: ['-c', 'core.hooksPath=.githooks']
+      });
+      return promise.then((hooksDir) => {
+        assert.strictEqual(hooksDir, path.join(TEST_REPO_PATH, '.githooks'));
+      });
+    });
+
+    it('callback Error outside of git repo', (done) => {
+      gitBranchIs.getHooksDir({cwd: '/'}, (err, result) => {
+        assert(err instanceof Error);
+        assert.strictEqual(result, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('.isFastForward()', () => {
+    let childCommit, orphanCommit;
+
+    before('create commits', () => git(
+      'commit-tree', 'HEAD^{tree}', '-p', 'HEAD', '-m', 'Child', {stdio: 'pipe'}
+    )
+      .then((outputs) => { childCommit = outputs[0].trim(); })
+      .then(() => git(
+        'commit-tree', 'HEAD^{tree}', '-m', 'Orphan', {stdio: 'pipe'}
+      ))
+      .then((outputs) => { orphanCommit = outputs[0].trim(); }));
+
+    it('resolves true for descendant', () => {
+      const promise = gitBranchIs.isFastForward('HEAD', childCommit);
+      return promise.then((isFastForward) => {
+        assert.strictEqual(isFastForward, true);
+      });
+    });
+
+    it('resolves false for non-descendant', () => {
+      const promise = gitBranchIs.isFastForward(childCommit, orphanCommit);
+      return promise.then((isFastForward) => {
+        assert.strictEqual(isFastForward, false);
+      });
+    });
+
+    it('resolves false for missing old commit', () => {
+      const missingCommit = '0123456789abcdef0123456789abcdef01234567';
+      const promise = gitBranchIs.isFastForward(missingCommit, 'HEAD');
+      return promise.then((isFastForward) => {
+        assert.strictEqual(isFastForward, false);
+      });
+    });
+
+    it('callback Error outside of git repo', (done) => {
+      gitBranchIs.isFastForward('HEAD', 'HEAD', {cwd: '/'}, (err, result) => {
+        assert(err instanceof Error);
+        assert.strictEqual(result, undefined);
+        done();
+      });
+    });
+
+    it('callback TypeError for option-like commit', (done) => {
+      gitBranchIs.isFastForward('--all', 'HEAD', (err, result) => {
+        assert(err instanceof TypeError);
+        assert.strictEqual(result, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('.getAheadBehind()', () => {
+    it('resolves null without upstream', () => {
+      const promise = gitBranchIs.getAheadBehind(null);
+      return promise.then((counts) => {
+        assert.strictEqual(counts, null);
+      });
+    });
+
+    it('resolves counts for given ref without upstream', () => {
+      const promise = gitBranchIs.getAheadBehind(BRANCH_SAME_COMMIT);
+      return promise.then((counts) => {
+        assert.deepStrictEqual(counts, {
+          ahead: 0,
+          behind: 0,
+          ref: BRANCH_SAME_COMMIT
+        });
+      });
+    });
+
+    it('rejects with TypeError for non-string ref', () => {
+      const promise = gitBranchIs.getAheadBehind(1);
+      return promise.then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assert(err instanceof TypeError); }
+      );
+    });
+
+    describe('with remote', () => {
+      const remotePath = path.join(TEST_REPO_PATH, 'remote.git');
+      let orphanCommit;
+
+      before('create remote', () => git('init', '-q', '--bare', remotePath)
+        .then(() => git('remote', 'add', 'origin', remotePath))
+        .then(() => git('push', '-q', '-u', 'origin', BRANCH_CURRENT))
+        .then(() => git(
+          'commit-tree', 'HEAD^{tree}', '-m', 'Orphan', {stdio: 'pipe'}
+        ))
+        .then((outputs) => { orphanCommit = outputs[0].trim(); }));
+
+      after('remove remote', () => git('branch', '--unset-upstream')
+        .then(() => git('remote', 'remove', 'origin'))
+        .then(() => rimrafP(remotePath)));
+
+      /** Pushes a new commit on the current branch to the remote and fetches
+       * it, so the current branch is behind its upstream.
+       */
+      function pushNewCommit() {
+        const options = {stdio: 'pipe'};
+        return git('commit-tree', 'HEAD^{tree}', '-p', 'HEAD', '-m', 'New',
+          options)
+          .then((outputs) => git(
+            'push', '-q', 'origin', `${outputs[0].trim()}:${BRANCH_CURRENT}`
+          ))
+          .then(() => git('fetch', '-q', 'origin'));
+      }
+
+      /** Resets the remote branch to the current branch. */
+      function resetRemote() {
+        return git('push', '-q', '-f', 'origin', BRANCH_CURRENT);
+      }
+
+      it('resolves 0 for up-to-date upstream', () => {
+        const promise = gitBranchIs.getAheadBehind(null);
+        return promise.then((counts) => {
+          assert.deepStrictEqual(counts, {ahead: 0, behind: 0, ref: UPSTREAM});
+        });
+      });
+
+      it('resolves behind count for upstream', () => {
+        const promise = pushNewCommit()
+          .then(() => gitBranchIs.getAheadBehind(null));
+        return promise.then(
+          (counts) => resetRemote().then(() => {
+            assert.deepStrictEqual(
+              counts,
+              {ahead: 0, behind: 1, ref: UPSTREAM}
+            );
+          }),
+          (err) => resetRemote().then(() => { throw err; })
+        );
+      });
+
+      it('calls callback with counts for diverged ref', (done) => {
+        gitBranchIs.getAheadBehind(orphanCommit, null, (err, counts) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(counts, {
+            ahead: 1,
+            behind: 1,
+            ref: orphanCommit
+          });
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with detached HEAD', () => {
+    let commit;
+
+    before('detach HEAD', () => git('checkout', '-q', '--detach')
+      .then(() => git('tag', TAG_DETACHED))
+      .then(() => git('rev-parse', 'HEAD', {stdio: 'pipe'}))
+      .then((outputs) => { commit = outputs[0].trim(); }));
+
+    after('reattach HEAD', () => git('checkout', '-q', BRANCH_CURRENT)
+      .then(() => git('tag', '-d', TAG_DETACHED, {stdio: 'ignore'})));
+
+    it('.getHead() resolves to commit and tags', () => {
+      const promise = gitBranchIs.getHead();
+      return promise.then((head) => {
+        assert.deepStrictEqual(head, {
+          branch: null,
+          commit,
+          detached: true,
+          tags: [TAG_DETACHED]
+        });
+      });
+    });
+
+    it('.getBranch() rejects with Error including HEAD state', () => {
+      const promise = gitBranchIs.getBranch();
+      return promise.then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => {
+          assert(err instanceof gitBranchIs.DetachedHeadError);
+          assert.strictEqual(err.code, 'ERR_DETACHED_HEAD');
+          assertMatch(err.message, /\bdetached\b/);
+          assert.strictEqual(err.head.commit, commit);
+        }
+      );
+    });
+
+    it('.getHead() resolves to branch from ci environment', () => {
+      const env = {
+        TRAVIS: 'true',
+        TRAVIS_BRANCH: 'ci-branch',
+        TRAVIS_PULL_REQUEST: 'false'
+      };
+      return gitBranchIs.getHead({ci: env}).then((head) => {
+        assert.strictEqual(head.branch, 'ci-branch');
+        assert.strictEqual(head.commit, commit);
+        assert.strictEqual(head.detached, true);
+        assert.strictEqual(head.ci.variable, 'TRAVIS_BRANCH');
+      });
+    });
+
+    it('.getBranch() resolves to branch from ci environment', () => {
+      const env = {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_REF: 'refs/heads/ci-branch'
+      };
+      return gitBranchIs.getBranch({ci: env}).then((branch) => {
+        assert.strictEqual(branch, 'ci-branch');
+      });
+    });
+
+    it('.getBranch() rejects for ci environment without branch', () => {
+      const promise = gitBranchIs.getBranch({ci: {}});
+      return promise.then(
+        (result) => { throw new Error('expecting Error'); },
+        (err) => { assertMatch(err.message, /\bdetached\b/); }
+      );
+    });
+
+    it('callback Error for branch name', (done) => {
+      gitBranchIs(BRANCH_CURRENT, (err, result) => {
+        assert(err instanceof Error);
+        assert.strictEqual(err.head.detached, true);
+        assert(result === undefined || result === null);
+        done();
+      });
+    });
+
+    describe('during rebase', () => {
+      const rebasePath = path.join(TEST_REPO_PATH, '.git', 'rebase-merge');
+
+      before('create rebase state', () => fsP.mkdir(rebasePath)
+        .then(() => fsP.writeFile(
+          path.join(rebasePath, 'head-name'),
+          `refs/heads/${BRANCH_CURRENT}\n`
+        )));
+
+      after('remove rebase state', () => rimrafP(rebasePath));
+
+      it('.getBranch() rejects without duringOperation', () => {
+        const promise = gitBranchIs.getBranch();
+        return promise.then(
+          (result) => { throw new Error('expecting Error'); },
+          (err) => { assertMatch(err.message, /\bdetached\b/); }
+        );
+      });
+
+      it('.getBranch() resolves to rebased branch', () => {
+        const promise = gitBranchIs.getBranch({duringOperation: true});
+        return promise.then((branch) => {
+          assert.strictEqual(branch, BRANCH_CURRENT);
+        });
+      });
+
+      it('.getHead() resolves to operation and commit', () => {
+        const promise = gitBranchIs.getHead({duringOperation: true});
+        return promise.then((head) => {
+          assert.deepStrictEqual(head, {
+            branch: BRANCH_CURRENT,
+            commit,
+            detached: true,
+            operation: 'rebase',
+            tags: [TAG_DETACHED]
+          });
+        });
+      });
+
+      it('.getHead() resolves to operation with fs backend', () => {
+        const options = {backend: 'fs', duringOperation: true};
+        return gitBranchIs.getHead(options).then((head) => {
+          assert.strictEqual(head.branch, BRANCH_CURRENT);
+          assert.strictEqual(head.operation, 'rebase');
+        });
+      });
+
+      it('callback true for rebased branch name', (done) => {
+        const options = {duringOperation: true};
+        gitBranchIs(BRANCH_CURRENT, options, (err, result) => {
+          assert.ifError(err);
+          assert.strictEqual(result, true);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('during bisect', () => {
+    before('start bisect', () => git('bisect', 'start')
+      .then(() => git('checkout', '-q', '--detach')));
+
+    after('reset bisect', () => git('bisect', 'reset', {stdio: 'ignore'}));
+
+    it('.getHead() resolves to bisected branch', () => {
+      const promise = gitBranchIs.getHead({duringOperation: true});
+      return promise.then((head) => {
+        assert.strictEqual(head.branch, BRANCH_CURRENT);
+        assert.strictEqual(head.detached, true);
+        assert.strictEqual(head.operation, 'bisect');
+      });
+    });
+  });
+
+  it('.getHead() resolves null operation without operation', () => {
+    const promise = gitBranchIs.getHead({duringOperation: true});
+    return promise.then((head) => {
+      assert.deepStrictEqual(head, {
+        branch: BRANCH_CURRENT,
+        detached: false,
+        operation: null,
+        ref: `refs/heads/${BRANCH_CURRENT}`
+      });
+    });
+  });
 });
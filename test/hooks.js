@@ -0,0 +1,111 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  addHookBlock,
+  formatHookBlock,
+  removeHookBlock,
+  shellQuote
+} = require('../lib/hooks');
+
+const BLOCK = formatHookBlock('pre-commit', 'git-branch-is --not main');
+
+describe('shellQuote', () => {
+  it('does not quote safe arguments', () => {
+    assert.strictEqual(shellQuote('release/1.0'), 'release/1.0');
+    assert.strictEqual(shellQuote('--not'), '--not');
+  });
+
+  it('quotes arguments with special characters', () => {
+    assert.strictEqual(shellQuote('release/*'), '\'release/*\'');
+    assert.strictEqual(shellQuote('a b'), '\'a b\'');
+    assert.strictEqual(shellQuote(''), '\'\'');
+  });
+
+  it('escapes single quotes', () => {
+    assert.strictEqual(shellQuote('it\'s'), '\'it\'\\\'\'s\'');
+  });
+});
+
+describe('formatHookBlock', () => {
+  it('exits with status of command', () => {
+    assert(BLOCK.includes('\ngit-branch-is --not main || exit $?\n'));
+  });
+
+  it('runs post-checkout command only for branch checkout', () => {
+    const block = formatHookBlock('post-checkout', 'git-branch-is main');
+    assert(block.includes('if [ "$3" = 1 ]; then git-branch-is main'));
+  });
+
+  it('forwards hook arguments if forwardArgs', () => {
+    const block = formatHookBlock('pre-push', 'git-branch-is --pre-push', true);
+    assert(block.includes('| git-branch-is --pre-push "$@" || exit $?\n'));
+    assert(!BLOCK.includes('"$@"'));
+  });
+
+  it('restores pre-push input for following commands', () => {
+    const block = formatHookBlock('pre-push', 'git-branch-is --pre-push');
+    assert(block.includes('\n  exec <<GIT_BRANCH_IS_STDIN\n'));
+  });
+});
+
+describe('addHookBlock', () => {
+  it('creates shell script for non-existent hook', () => {
+    assert.strictEqual(addHookBlock(null, BLOCK), `#!/bin/sh\n${BLOCK}`);
+  });
+
+  it('adds block after shebang of existing hook', () => {
+    assert.strictEqual(
+      addHookBlock('#!/bin/bash\necho hi\n', BLOCK),
+      `#!/bin/bash\n${BLOCK}echo hi\n`
+    );
+  });
+
+  it('adds block at start of hook without shebang', () => {
+    assert.strictEqual(addHookBlock('echo hi\n', BLOCK), `${BLOCK}echo hi\n`);
+  });
+
+  it('replaces existing block', () => {
+    const content = `#!/bin/sh\n${BLOCK}echo hi\n`;
+    const newBlock = formatHookBlock('pre-commit', 'git-branch-is main');
+    assert.strictEqual(
+      addHookBlock(content, newBlock),
+      `#!/bin/sh\n${newBlock}echo hi\n`
+    );
+  });
+
+  it('does not change hook with same block', () => {
+    const content = `#!/bin/sh\n${BLOCK}echo hi\n`;
+    assert.strictEqual(addHookBlock(content, BLOCK), content);
+  });
+
+  it('throws Error for non-shell script', () => {
+    assert.throws(
+      () => addHookBlock('#!/usr/bin/env node\nconsole.log(1);\n', BLOCK),
+      /\bnot a shell script\b/
+    );
+  });
+});
+
+describe('removeHookBlock', () => {
+  it('removes block from hook with other commands', () => {
+    assert.strictEqual(
+      removeHookBlock(`#!/bin/sh\n${BLOCK}echo hi\n`),
+      '#!/bin/sh\necho hi\n'
+    );
+  });
+
+  it('returns null if only shebang remains', () => {
+    assert.strictEqual(removeHookBlock(`#!/bin/sh\n${BLOCK}`), null);
+  });
+
+  it('returns content without block unchanged', () => {
+    assert.strictEqual(removeHookBlock('echo hi\n'), 'echo hi\n');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {matchBranch} = require('../lib/match');
+
+describe('matchBranch', () => {
+  it('matches an equal name', () => {
+    assert.deepStrictEqual(
+      matchBranch('main', 'main', undefined, false, false),
+      {
+        branch: 'main',
+        expected: 'main',
+        groups: {},
+        match: ['main']
+      }
+    );
+    assert.strictEqual(matchBranch('main', 'Main', undefined, false, false),
+      null);
+  });
+
+  it('compares case-insensitively with ignoreCase', () => {
+    const match = matchBranch('main', 'Main', undefined, true, false);
+    assert.deepStrictEqual(match.match, ['main']);
+    assert.strictEqual(match.expected, 'Main');
+  });
+
+  it('compares names without refs/ as branches with fullName', () => {
+    const branchName = 'refs/heads/main';
+    assert.notStrictEqual(
+      matchBranch(branchName, 'main', undefined, false, true),
+      null
+    );
+    assert.notStrictEqual(
+      matchBranch(branchName, branchName, undefined, false, true),
+      null
+    );
+    assert.strictEqual(
+      matchBranch(branchName, 'main', undefined, false, false),
+      null
+    );
+  });
+
+  it('matches expectedRegExp with groups', () => {
+    const regExp = /^feat\/(?<issue>\d+)-(.*)$/g;
+    const expected = 'feat/*';
+    // Matches the same from any lastIndex
+    regExp.lastIndex = 5;
+    assert.deepStrictEqual(
+      matchBranch('feat/12-desc', expected, regExp, false, false),
+      {
+        branch: 'feat/12-desc',
+        expected,
+        groups: {issue: '12'},
+        match: ['feat/12-desc', '12', 'desc']
+      }
+    );
+    assert.strictEqual(
+      matchBranch('fix/12-desc', expected, regExp, false, false),
+      null
+    );
+  });
+
+  it('matches RegExp expectedName', () => {
+    const match = matchBranch('feat/x', /^feat\//, undefined, false, false);
+    assert.deepStrictEqual(match.match, ['feat/']);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  compileRefRules,
+  getOperation,
+  getRefName,
+  parsePrePushInput,
+  parsePreReceiveInput,
+  parseUpdateArgs
+} = require('../lib/ref-updates');
+
+const COMMIT1 = '0123456789abcdef0123456789abcdef01234567';
+const COMMIT2 = '89abcdef0123456789abcdef0123456789abcdef';
+const ZERO = '0000000000000000000000000000000000000000';
+
+describe('parsePrePushInput', () => {
+  it('parses update, creation, and deletion', () => {
+    assert.deepStrictEqual(
+      parsePrePushInput(`refs/heads/main ${COMMIT2} refs/heads/main ${COMMIT1}
+refs/heads/topic ${COMMIT1} refs/heads/feature ${ZERO}
+(delete) ${ZERO} refs/heads/old ${COMMIT1}
+`),
+      [
+        {
+          localRef: 'refs/heads/main',
+          newCommit: COMMIT2,
+          oldCommit: COMMIT1,
+          ref: 'refs/heads/main'
+        },
+        {
+          localRef: 'refs/heads/topic',
+          newCommit: COMMIT1,
+          oldCommit: null,
+          ref: 'refs/heads/feature'
+        },
+        {
+          localRef: null,
+          newCommit: null,
+          oldCommit: COMMIT1,
+          ref: 'refs/heads/old'
+        }
+      ]
+    );
+  });
+
+  it('returns empty Array for empty input', () => {
+    assert.deepStrictEqual(parsePrePushInput(''), []);
+  });
+
+  it('throws SyntaxError for invalid line', () => {
+    assert.throws(
+      () => parsePrePushInput(`refs/heads/main ${COMMIT1} refs/heads/main\n`),
+      SyntaxError
+    );
+    assert.throws(
+      () => parsePrePushInput(`refs/heads/main HEAD refs/heads/main ${ZERO}`),
+      SyntaxError
+    );
+  });
+});
+
+describe('parsePreReceiveInput', () => {
+  it('parses update, creation, and deletion', () => {
+    assert.deepStrictEqual(
+      parsePreReceiveInput(`${COMMIT1} ${COMMIT2} refs/heads/main
+${ZERO} ${COMMIT1} refs/tags/v1.0.0
+${COMMIT1} ${ZERO} refs/heads/old
+`),
+      [
+        {
+          localRef: null,
+          newCommit: COMMIT2,
+          oldCommit: COMMIT1,
+          ref: 'refs/heads/main'
+        },
+        {
+          localRef: null,
+          newCommit: COMMIT1,
+          oldCommit: null,
+          ref: 'refs/tags/v1.0.0'
+        },
+        {
+          localRef: null,
+          newCommit: null,
+          oldCommit: COMMIT1,
+          ref: 'refs/heads/old'
+        }
+      ]
+    );
+  });
+
+  it('throws SyntaxError for invalid line', () => {
+    assert.throws(
+      () => parsePreReceiveInput(`refs/heads/main ${COMMIT1} ${COMMIT2}\n`),
+      SyntaxError
+    );
+  });
+});
+
+describe('parseUpdateArgs', () => {
+  it('parses ref, old, and new', () => {
+    assert.deepStrictEqual(
+      parseUpdateArgs(['refs/heads/main', COMMIT1, COMMIT2]),
+      {
+        localRef: null,
+        newCommit: COMMIT2,
+        oldCommit: COMMIT1,
+        ref: 'refs/heads/main'
+      }
+    );
+  });
+
+  it('throws SyntaxError for invalid arguments', () => {
+    assert.throws(
+      () => parseUpdateArgs(['refs/heads/main', COMMIT1]),
+      SyntaxError
+    );
+    assert.throws(
+      () => parseUpdateArgs(['refs/heads/main', 'HEAD', COMMIT2]),
+      SyntaxError
+    );
+  });
+});
+
+describe('getRefName', () => {
+  it('removes refs/heads/ from branches', () => {
+    assert.strictEqual(getRefName('refs/heads/main'), 'main');
+  });
+
+  it('returns full name of branches with fullName', () => {
+    assert.strictEqual(getRefName('refs/heads/main', true), 'refs/heads/main');
+  });
+
+  it('returns full name of other refs', () => {
+    assert.strictEqual(getRefName('refs/tags/v1.0.0'), 'refs/tags/v1.0.0');
+  });
+});
+
+describe('getOperation', () => {
+  const update = {
+    localRef: 'refs/heads/main',
+    newCommit: COMMIT2,
+    oldCommit: COMMIT1,
+    ref: 'refs/heads/main'
+  };
+
+  it('returns update for fast-forward', () => {
+    assert.strictEqual(getOperation(update, true), 'update');
+  });
+
+  it('returns non-fast-forward for other updates', () => {
+    assert.strictEqual(getOperation(update, false), 'non-fast-forward');
+  });
+
+  it('returns create for creation', () => {
+    assert.strictEqual(
+      getOperation(Object.assign({}, update, {oldCommit: null}), false),
+      'create'
+    );
+  });
+
+  it('returns delete for deletion', () => {
+    assert.strictEqual(
+      getOperation(Object.assign({}, update, {newCommit: null}), false),
+      'delete'
+    );
+  });
+});
+
+describe('compileRefRules', () => {
+  const checkRefOperation = compileRefRules({
+    create: {allow: {glob: 'feature/*'}},
+    delete: {deny: ['main', 'release']},
+    update: {allow: {regex: '^feature/'}, deny: 'feature/frozen'}
+  });
+
+  it('allows operations without rules', () => {
+    assert.strictEqual(checkRefOperation('non-fast-forward', 'main'), null);
+  });
+
+  it('allows refs which satisfy allow', () => {
+    assert.strictEqual(checkRefOperation('create', 'feature/1'), null);
+  });
+
+  it('describes refs which do not satisfy allow', () => {
+    assert.strictEqual(
+      checkRefOperation('create', 'main'),
+      'does not match glob "feature/*"'
+    );
+  });
+
+  it('describes refs which satisfy deny', () => {
+    assert.strictEqual(
+      checkRefOperation('delete', 'release'),
+      'matches excluded "release"'
+    );
+    assert.strictEqual(checkRefOperation('delete', 'feature/1'), null);
+  });
+
+  it('checks deny before allow', () => {
+    assert.strictEqual(
+      checkRefOperation('update', 'feature/frozen'),
+      'matches excluded "feature/frozen"'
+    );
+    assert.strictEqual(checkRefOperation('update', 'feature/1'), null);
+  });
+
+  it('matches case-insensitively with ignoreCase', () => {
+    const checkIgnoreCase = compileRefRules({delete: {deny: 'main'}}, true);
+    assert.notStrictEqual(checkIgnoreCase('delete', 'MAIN'), null);
+  });
+
+  it('throws TypeError for unknown operation', () => {
+    assert.throws(
+      () => compileRefRules({push: {deny: 'main'}}),
+      TypeError
+    );
+  });
+
+  it('throws TypeError for unknown property', () => {
+    assert.throws(
+      () => compileRefRules({delete: {forbid: 'main'}}),
+      TypeError
+    );
+  });
+
+  it('throws TypeError for non-object rules', () => {
+    assert.throws(() => compileRefRules(['main']), TypeError);
+    assert.throws(() => compileRefRules({delete: 'main'}), TypeError);
+  });
+
+  it('throws SyntaxError for invalid pattern', () => {
+    assert.throws(
+      () => compileRefRules({delete: {deny: {regex: '('}}}),
+      SyntaxError
+    );
+  });
+});
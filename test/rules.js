@@ -0,0 +1,90 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const assertMatch = require('../test-lib/assert-match');
+const {compileRule} = require('../lib/rules');
+
+describe('compileRule', () => {
+  it('satisfied by branch name in string rule', () => {
+    const checkRule = compileRule('main');
+    assert.strictEqual(checkRule('main'), null);
+    assertMatch(checkRule('other'), /\bmain\b/);
+  });
+
+  it('satisfied by any branch name in Array rule', () => {
+    const checkRule = compileRule(['main', 'release']);
+    assert.strictEqual(checkRule('release'), null);
+    assertMatch(checkRule('other'), /"main" or "release"/);
+  });
+
+  it('satisfied by any branch, glob, or regex', () => {
+    const checkRule = compileRule({
+      branch: 'main',
+      glob: 'release/*',
+      regex: '^hotfix-'
+    });
+    assert.strictEqual(checkRule('main'), null);
+    assert.strictEqual(checkRule('release/1.0'), null);
+    assert.strictEqual(checkRule('hotfix-1'), null);
+    assert.strictEqual(checkRule('release/1.0/x'), null);
+    assert.notStrictEqual(checkRule('release'), null);
+  });
+
+  it('satisfied by anything for empty rule', () => {
+    assert.strictEqual(compileRule({})('anything'), null);
+  });
+
+  it('not satisfied by branches matching not', () => {
+    const checkRule = compileRule({
+      not: ['release/old'],
+      regex: '^release/'
+    });
+    assert.strictEqual(checkRule('release/new'), null);
+    assertMatch(checkRule('release/old'), /\bexcluded\b.*"release\/old"/);
+  });
+
+  it('supports rule in not', () => {
+    const checkRule = compileRule({not: {glob: 'wip/**'}});
+    assert.strictEqual(checkRule('main'), null);
+    assertMatch(checkRule('wip/a/b'), /\bglob "wip\/\*\*"/);
+  });
+
+  it('supports ignoreCase inherited by not', () => {
+    const checkRule = compileRule({
+      branch: 'MAIN',
+      ignoreCase: true,
+      not: 'main'
+    });
+    assertMatch(checkRule('Main'), /\bexcluded\b/);
+  });
+
+  it('uses ignoreCase argument as default', () => {
+    assert.strictEqual(compileRule('MAIN', true)('main'), null);
+    assert.strictEqual(compileRule({branch: 'MAIN'}, true)('main'), null);
+    assert.notStrictEqual(
+      compileRule({branch: 'MAIN', ignoreCase: false}, true)('main'),
+      null
+    );
+  });
+
+  it('throws SyntaxError for invalid regex', () => {
+    assert.throws(() => compileRule({regex: 'b[ad'}), SyntaxError);
+  });
+
+  it('throws TypeError for unknown property', () => {
+    assert.throws(
+      () => compileRule({regexp: '^release/'}),
+      (err) => err instanceof TypeError && /\bregexp\b/.test(err.message)
+    );
+  });
+
+  it('throws TypeError for non-object rule', () => {
+    assert.throws(() => compileRule(1), TypeError);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {compileTagTest} = require('../lib/tags');
+
+describe('compileTagTest', () => {
+  it('matches exact tag name', () => {
+    const isMatch = compileTagTest('v1.2.3');
+    assert.strictEqual(isMatch('v1.2.3'), true);
+    assert.strictEqual(isMatch('V1.2.3'), false);
+    assert.strictEqual(isMatch('v1.2.3-rc.1'), false);
+  });
+
+  it('matches case-insensitively if requested', () => {
+    const isMatch = compileTagTest('v1.2.3', {ignoreCase: true});
+    assert.strictEqual(isMatch('V1.2.3'), true);
+  });
+
+  it('matches glob pattern', () => {
+    const isMatch = compileTagTest('v1.*', {glob: true});
+    assert.strictEqual(isMatch('v1.2.3'), true);
+    assert.strictEqual(isMatch('v2.0.0'), false);
+  });
+
+  it('matches regular expression', () => {
+    const isMatch = compileTagTest('^v1\\.', {regex: true});
+    assert.strictEqual(isMatch('v1.2.3'), true);
+    assert.strictEqual(isMatch('v10.0.0'), false);
+  });
+
+  it('matches semver range', () => {
+    const isMatch = compileTagTest('^1.2.0', {semver: true});
+    assert.strictEqual(isMatch('v1.2.3'), true);
+    assert.strictEqual(isMatch('1.9.0'), true);
+    assert.strictEqual(isMatch('v2.0.0'), false);
+    assert.strictEqual(isMatch('v1.2.3-rc.1'), false);
+    assert.strictEqual(isMatch('release-1.2.3'), false);
+  });
+
+  it('matches exact version as semver range', () => {
+    const isMatch = compileTagTest('1.2.3', {semver: true});
+    assert.strictEqual(isMatch('v1.2.3'), true);
+    assert.strictEqual(isMatch('v1.2.4'), false);
+  });
+
+  it('throws SyntaxError for invalid semver range', () => {
+    assert.throws(
+      () => compileTagTest('foo', {semver: true}),
+      SyntaxError
+    );
+  });
+
+  it('throws SyntaxError for invalid glob', () => {
+    assert.throws(() => compileTagTest('[abc', {glob: true}), SyntaxError);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const assertMatch = require('../test-lib/assert-match');
+const {
+  DEFAULT_VERSION_PATTERN,
+  checkBranchVersion
+} = require('../lib/version');
+
+const DEFAULT_VERSION_RE = new RegExp(DEFAULT_VERSION_PATTERN);
+
+describe('checkBranchVersion', () => {
+  it('satisfied by same major and minor version', () => {
+    assert.strictEqual(
+      checkBranchVersion('release/1.4', '1.4.2', DEFAULT_VERSION_RE),
+      null
+    );
+  });
+
+  it('satisfied by same major version without minor', () => {
+    assert.strictEqual(
+      checkBranchVersion('release-1', '1.4.2', DEFAULT_VERSION_RE),
+      null
+    );
+  });
+
+  it('ignores patch version', () => {
+    assert.strictEqual(
+      checkBranchVersion('release/1.4.0', '1.4.2', DEFAULT_VERSION_RE),
+      null
+    );
+  });
+
+  it('describes different major version', () => {
+    assertMatch(
+      checkBranchVersion('release/2.0', '1.4.2', DEFAULT_VERSION_RE),
+      /\bmajor version 2\b.* 1$/
+    );
+  });
+
+  it('describes different minor version', () => {
+    assertMatch(
+      checkBranchVersion('release/1.4', '1.3.0', DEFAULT_VERSION_RE),
+      /\bminor version 4\b.* 3$/
+    );
+  });
+
+  it('describes branch name without version', () => {
+    assertMatch(
+      checkBranchVersion('main', '1.4.2', DEFAULT_VERSION_RE),
+      /\bdoes not contain a version\b/
+    );
+  });
+
+  it('uses first capture group of pattern', () => {
+    const versionRE = /^\d+-release-v(\d+\.\d+)$/;
+    assert.strictEqual(
+      checkBranchVersion('2-release-v1.4', '1.4.2', versionRE),
+      null
+    );
+    assertMatch(
+      checkBranchVersion('1-release-v2.4', '1.4.2', versionRE),
+      /\bmajor version 2\b/
+    );
+  });
+
+  it('describes non-version capture', () => {
+    assertMatch(
+      checkBranchVersion('release/next', '1.4.2', /release\/(.*)/),
+      /"next" in branch name is not a version\b/
+    );
+  });
+});
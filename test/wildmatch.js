@@ -0,0 +1,114 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {wildmatchToRegExp} = require('../lib/wildmatch');
+
+/** Test cases of [pattern, text, isMatch], mostly from git t3070-wildmatch.sh
+ * with pathname matching.
+ */
+const PATHNAME_MATCH_CASES = [
+  ['foo', 'foo', true],
+  ['bar', 'foo', false],
+  ['', '', true],
+  ['???', 'foo', true],
+  ['??', 'foo', false],
+  ['*', 'foo', true],
+  ['f*', 'foo', true],
+  ['*f', 'foo', false],
+  ['*foo*', 'foo', true],
+  ['*ob*a*r*', 'foobar', true],
+  ['\\*', '*', true],
+  ['\\*', 'foo', false],
+  ['[ab]', 'a', true],
+  ['[!ab]', 'a', false],
+  ['[^ab]', 'c', true],
+  ['[a-c]', 'b', true],
+  ['[]]', ']', true],
+  ['[]-]', '-', true],
+  ['[\\-_]', '-', true],
+  ['a[!b]c', 'a/c', false],
+  ['a?c', 'a/c', false],
+  ['a*c', 'a/b/c', false],
+  ['release/*', 'release/1.0', true],
+  ['release/*', 'release/1.0/hotfix', false],
+  ['release/*', 'release', false],
+  ['feature/**', 'feature/a/b', true],
+  ['feature/**', 'feature', false],
+  ['**/foo', 'foo', true],
+  ['**/foo', 'a/b/foo', true],
+  ['a/**/b', 'a/b', true],
+  ['a/**/b', 'a/x/y/b', true],
+  ['a**b', 'a/b', false],
+  ['**', 'a/b/c', true],
+  ['[[:digit:]]*', '1abc', true],
+  ['[[:upper:]]', 'a', false],
+  ['[![:alpha:]]', '1', true],
+  ['v[[:digit:]].[[:digit:]]', 'v1.2', true],
+  ['a.b', 'axb', false],
+  ['(a|b)', 'a', false],
+  ['(a|b)', '(a|b)', true]
+];
+
+/** Test cases of [pattern, text, isMatch] without pathname matching, as
+ * checked with <code>git branch --list</code>.
+ */
+const MATCH_CASES = [
+  ['a[!b]c', 'a/c', true],
+  ['a[/]c', 'a/c', true],
+  ['a?c', 'a/c', true],
+  ['a*c', 'a/b/c', true],
+  ['release/*', 'release/1.0', true],
+  ['release/*', 'release/1.0/hotfix', true],
+  ['release/*', 'release', false],
+  ['*/hotfix', 'release/1.0/hotfix', true],
+  ['**/foo', 'foo', false],
+  ['**/foo', 'a/b/foo', true],
+  ['a/**/b', 'a/b', false],
+  ['a/**/b', 'a/x/y/b', true],
+  ['a**b', 'a/b', true],
+  ['[[:digit:]]*', '1abc', true],
+  ['(a|b)', 'a', false]
+];
+
+describe('wildmatchToRegExp', () => {
+  MATCH_CASES.forEach((matchCase) => {
+    const [pattern, text, isMatch] = matchCase;
+    it(`${JSON.stringify(pattern)} ${isMatch ? 'matches' : 'does not match'} ${
+      JSON.stringify(text)}`, () => {
+      assert.strictEqual(wildmatchToRegExp(pattern).test(text), isMatch);
+    });
+  });
+
+  describe('with pathname', () => {
+    PATHNAME_MATCH_CASES.forEach((matchCase) => {
+      const [pattern, text, isMatch] = matchCase;
+      const desc = `${JSON.stringify(pattern)} ${
+        isMatch ? 'matches' : 'does not match'} ${JSON.stringify(text)}`;
+      it(desc, () => {
+        const regExp = wildmatchToRegExp(pattern, false, true);
+        assert.strictEqual(regExp.test(text), isMatch);
+      });
+    });
+  });
+
+  it('matches case-insensitively if requested', () => {
+    const text = 'release/1';
+    assert.strictEqual(wildmatchToRegExp('Release/*', true).test(text), true);
+    assert.strictEqual(wildmatchToRegExp('Release/*').test(text), false);
+  });
+
+  ['[abc', '[[:foo:]]', '[z-a]', 'foo\\'].forEach((pattern) => {
+    it(`throws SyntaxError for ${JSON.stringify(pattern)}`, () => {
+      assert.throws(
+        () => wildmatchToRegExp(pattern),
+        SyntaxError
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @copyright Copyright 2016 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {parseWorktreeList} = require('../lib/worktrees');
+
+const COMMIT = '0123456789abcdef0123456789abcdef01234567';
+
+describe('parseWorktreeList', () => {
+  it('parses main worktree with branch', () => {
+    assert.deepStrictEqual(
+      parseWorktreeList(`worktree /src/repo
+HEAD ${COMMIT}
+branch refs/heads/main
+
+`),
+      [
+        {
+          bare: false,
+          branch: 'main',
+          commit: COMMIT,
+          detached: false,
+          locked: false,
+          lockedReason: null,
+          path: '/src/repo',
+          prunable: false,
+          prunableReason: null,
+          ref: 'refs/heads/main'
+        }
+      ]
+    );
+  });
+
+  it('parses bare, detached, locked, and prunable worktrees', () => {
+    const worktrees = parseWorktreeList(`worktree /src/repo.git
+bare
+
+worktree /src/detached
+HEAD ${COMMIT}
+detached
+
+worktree /media/usb/release
+HEAD ${COMMIT}
+branch refs/heads/release/1.0
+locked on USB drive
+
+worktree /src/locked
+HEAD ${COMMIT}
+branch refs/heads/locked
+locked
+
+worktree /src/deleted
+HEAD ${COMMIT}
+branch refs/heads/deleted
+prunable gitdir file points to non-existent location
+
+`);
+    assert.strictEqual(worktrees.length, 5);
+    assert.strictEqual(worktrees[0].bare, true);
+    assert.strictEqual(worktrees[0].branch, null);
+    assert.strictEqual(worktrees[0].commit, null);
+    assert.strictEqual(worktrees[1].detached, true);
+    assert.strictEqual(worktrees[1].branch, null);
+    assert.strictEqual(worktrees[2].branch, 'release/1.0');
+    assert.strictEqual(worktrees[2].locked, true);
+    assert.strictEqual(worktrees[2].lockedReason, 'on USB drive');
+    assert.strictEqual(worktrees[3].locked, true);
+    assert.strictEqual(worktrees[3].lockedReason, null);
+    assert.strictEqual(worktrees[4].prunable, true);
+    assert.strictEqual(
+      worktrees[4].prunableReason,
+      'gitdir file points to non-existent location'
+    );
+  });
+
+  it('parses unborn branch with null commit', () => {
+    const worktrees = parseWorktreeList(`worktree /src/repo
+HEAD 0000000000000000000000000000000000000000
+branch refs/heads/main
+`);
+    assert.strictEqual(worktrees[0].commit, null);
+    assert.strictEqual(worktrees[0].branch, 'main');
+  });
+
+  it('ignores unknown attributes', () => {
+    const worktrees = parseWorktreeList(`worktree /src/repo
+HEAD ${COMMIT}
+branch refs/heads/main
+future-attribute value
+`);
+    assert.strictEqual(worktrees.length, 1);
+    assert.strictEqual(worktrees[0].branch, 'main');
+  });
+
+  it('returns empty Array for empty output', () => {
+    assert.deepStrictEqual(parseWorktreeList(''), []);
+  });
+});